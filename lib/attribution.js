@@ -0,0 +1,137 @@
+'use strict';
+
+const license = require('./license');
+
+// Summarize the obligations that come with redistributing a set of sources.
+// `entries` is a list of {file, source} objects, the report lists:
+//
+// - shareAlike: sources requiring derivative works to use the same terms
+// - attributions: each attribution name with its license URL and sources
+// - unnamed: sources requiring attribution that don't name who to attribute
+// - missing: sources without a license, or with a null one
+// - presumed: sources whose license terms were interpreted by a contributor
+// - deprecated: sources still using a license string or top-level attribution
+function report(entries) {
+    const result = {
+        sources: entries.length,
+        shareAlike: [],
+        attributions: [],
+        unnamed: [],
+        missing: [],
+        presumed: [],
+        deprecated: []
+    };
+
+    const attributions = new Map();
+
+    entries.forEach(entry => {
+        const file = entry.file;
+        const lic = entry.source.license;
+
+        if (typeof entry.source.attribution === 'string') {
+            result.deprecated.push({ file: file, attribution: entry.source.attribution });
+        }
+
+        if (lic === undefined || lic === null) {
+            result.missing.push({ file: file });
+            return;
+        }
+
+        if (typeof lic === 'string') {
+            result.deprecated.push({ file: file, license: lic });
+            return;
+        }
+
+        if (lic['share-alike'] === true || (lic.spdx && license.isShareAlike(license.lookup(lic.spdx)))) {
+            result.shareAlike.push({ file: file, url: lic.url, spdx: lic.spdx, text: lic.text });
+        }
+
+        if (lic.presumed === true) {
+            result.presumed.push({ file: file, url: lic.url, spdx: lic.spdx, text: lic.text });
+        }
+
+        if (license.needsAttributionName(lic)) {
+            result.unnamed.push({ file: file, url: lic.url, spdx: lic.spdx, text: lic.text });
+        }
+
+        if (lic['attribution name'] && lic.attribution !== false) {
+            const key = `${lic['attribution name']}\n${lic.url || ''}`;
+
+            if (!attributions.has(key)) {
+                attributions.set(key, { name: lic['attribution name'], url: lic.url, spdx: lic.spdx, files: [] });
+            }
+
+            attributions.get(key).files.push(file);
+
+        }
+
+    });
+
+    result.attributions = Array.from(attributions.values()).sort((a, b) => a.name.localeCompare(b.name));
+
+    return result;
+
+}
+
+function describe(entry) {
+    return [entry.spdx, entry.text, entry.url].filter(Boolean).join(', ');
+}
+
+// a Markdown section listing items after some introductory lines
+function section(title, intro, items) {
+    if (items.length === 0) {
+        return [`## ${title}`, '', 'None.', ''];
+    }
+
+    return [`## ${title}`, ''].concat(intro, items, ['']);
+
+}
+
+function listItem(entry) {
+    return `- ${entry.file}${describe(entry) ? `: ${describe(entry)}` : ''}`;
+}
+
+// render a report as Markdown
+function toMarkdown(result) {
+    const escape = value => String(value).replace(/\|/g, '\\|');
+
+    return [
+        '# License report',
+        '',
+        `${result.sources} source(s) selected.`,
+        ''
+    ].concat(
+        section('Share-alike', [
+            'These sources require derivative works to be licensed under the same or compatible terms.',
+            ''
+        ], result.shareAlike.map(listItem)),
+        section('Attribution', [
+            'Attribute the following copyright holders.',
+            '',
+            'Name | License | Sources',
+            '---- | ------- | -------'
+        ], result.attributions.map(entry => `${escape(entry.name)} | ${escape(describe(entry))} | ${entry.files.join('<br>')}`)),
+        section('Attribution name needed', [
+            'These sources require attribution but don\'t name the copyright holder, read their license terms before redistributing them.',
+            ''
+        ], result.unnamed.map(listItem)),
+        section('Missing license', [
+            'These sources have no license, their terms of use are unknown.',
+            ''
+        ], result.missing.map(listItem)),
+        section('Presumed license', [
+            'The share-alike and attribution terms of these sources were interpreted by a contributor.',
+            ''
+        ], result.presumed.map(listItem)),
+        section('Deprecated license', [
+            'These sources describe their license with a deprecated string or top-level attribution.',
+            ''
+        ], result.deprecated.map(entry => `- ${entry.file}: ${JSON.stringify(entry.license !== undefined ? entry.license : entry.attribution)}`))
+    ).join('\n');
+
+}
+
+module.exports = {
+    report: report,
+    toMarkdown: toMarkdown
+};
@@ -0,0 +1,196 @@
+'use strict';
+
+const coverage = require('./coverage');
+const usCensus = require('./us_census');
+const centroids = require('./country_centroids.json').centroids;
+
+// Build an index of sources as GeoJSON, one feature per source, along with a
+// flat CSV version of it for spreadsheets.  The geometry of a feature is the
+// source's `coverage.geometry`, else the boundary its `US Census` geoid
+// resolves to, else the centroid of its country as a Point.  `geometry_source`
+// says which one was used.
+
+// the CSV columns, in order, the last two are the representative point
+const columns = [
+    'path',
+    'country',
+    'state',
+    'county',
+    'city',
+    'type',
+    'conform_type',
+    'license',
+    'share_alike',
+    'attribution',
+    'skip',
+    'accuracy',
+    'geometry_source',
+    'lon',
+    'lat'
+];
+
+// the ISO 3166-1 alpha-2 code of the country a source covers
+function countryCode(file, source) {
+    const cov = source.coverage || {};
+    const iso = cov['ISO 3166'];
+
+    if (iso && typeof iso.alpha2 === 'string') {
+        return iso.alpha2.slice(0, 2).toUpperCase();
+    }
+
+    return String(cov.country || coverage.fromPath(file).country || '').toUpperCase();
+
+}
+
+// a one-line description of the license of a source
+function licenseSummary(license) {
+    if (typeof license === 'string') return license;
+    if (!license || typeof license !== 'object') return undefined;
+
+    return license.spdx || license.text || license.url;
+
+}
+
+function geometryOf(file, source) {
+    const cov = source.coverage || {};
+
+    if (cov.geometry && typeof cov.geometry === 'object') {
+        return { geometry: cov.geometry, from: 'coverage' };
+    }
+
+    const census = cov['US Census'];
+    const boundary = census ? usCensus.resolve(census.geoid) : null;
+
+    if (boundary) {
+        return { geometry: boundary, from: 'US Census' };
+    }
+
+    const centroid = centroids[countryCode(file, source)];
+
+    if (centroid) {
+        return { geometry: { type: 'Point', coordinates: centroid }, from: 'country' };
+    }
+
+    return { geometry: null, from: null };
+
+}
+
+// return the catalog feature of a source
+function feature(file, source) {
+    const cov = source.coverage || {};
+    const conform = source.conform || {};
+    const license = source.license;
+    const located = geometryOf(file, source);
+    const properties = {
+        path: file,
+        country: cov.country,
+        state: cov.state || cov.province,
+        county: cov.county,
+        city: cov.city,
+        type: source.type,
+        conform_type: conform.type,
+        license: licenseSummary(license),
+        share_alike: license && typeof license === 'object' ? license['share-alike'] : undefined,
+        attribution: license && typeof license === 'object' ? license['attribution name'] : source.attribution,
+        skip: source.skip === true,
+        accuracy: conform.accuracy,
+        geometry_source: located.from
+    };
+
+    // every feature has every property so consumers see a consistent schema
+    Object.keys(properties).forEach(key => {
+        if (properties[key] === undefined) properties[key] = null;
+    });
+
+    return {
+        type: 'Feature',
+        properties: properties,
+        geometry: located.geometry
+    };
+
+}
+
+// every [lon, lat] position of a geometry
+function positions(geometry) {
+    const found = [];
+
+    (function collect(coordinates) {
+        if (typeof coordinates[0] === 'number') return found.push(coordinates);
+
+        coordinates.forEach(collect);
+
+    })(geometry.type === 'GeometryCollection' ? geometry.geometries.map(g => g.coordinates) : geometry.coordinates);
+
+    return found;
+
+}
+
+// a single point standing in for a geometry: a Point itself, otherwise the
+// center of the bounding box
+function representativePoint(geometry) {
+    if (!geometry) return null;
+    if (geometry.type === 'Point') return geometry.coordinates;
+
+    const all = positions(geometry);
+
+    if (all.length === 0) return null;
+
+    const lons = all.map(position => position[0]);
+    const lats = all.map(position => position[1]);
+
+    return [
+        (Math.min.apply(null, lons) + Math.max.apply(null, lons)) / 2,
+        (Math.min.apply(null, lats) + Math.max.apply(null, lats)) / 2
+    ];
+
+}
+
+// build the catalog FeatureCollection of a list of {file, source} entries
+function build(entries) {
+    return {
+        type: 'FeatureCollection',
+        features: entries.map(entry => feature(entry.file, entry.source))
+    };
+
+}
+
+// a FeatureCollection with one feature per line
+function toGeoJSON(catalog) {
+    return `{"type":"FeatureCollection","features":[\n${catalog.features.map(f => JSON.stringify(f)).join(',\n')}\n]}\n`;
+}
+
+// quote CSV values containing separators, quotes or line breaks
+function csvValue(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+
+}
+
+// the catalog as CSV, one row per source
+function toCSV(catalog) {
+    const rows = catalog.features.map(f => {
+        const point = representativePoint(f.geometry) || [];
+
+        return columns.map(column => {
+            if (column === 'lon') return point[0];
+            if (column === 'lat') return point[1];
+
+            return f.properties[column];
+
+        }).map(csvValue).join(',');
+
+    });
+
+    return `${[columns.join(',')].concat(rows).join('\r\n')}\r\n`;
+
+}
+
+module.exports = {
+    columns: columns,
+    feature: feature,
+    representativePoint: representativePoint,
+    build: build,
+    toGeoJSON: toGeoJSON,
+    toCSV: toCSV
+};
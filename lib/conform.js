@@ -0,0 +1,401 @@
+'use strict';
+
+// A JavaScript implementation of the conform attribute functions documented in
+// ATTRIBUTE_FUNCTIONS.md.  It exists so that source acceptance tests can be run
+// as part of `npm test` instead of only being discovered in the machine.
+
+// the conform attributes that acceptance tests can make assertions about
+const attributes = [
+    'id',
+    'number',
+    'street',
+    'unit',
+    'city',
+    'district',
+    'region',
+    'postcode',
+    'addrtype',
+    'lon',
+    'lat'
+];
+
+// these attributes are trimmed after being conformed, same as the machine does
+const trimmedAttributes = ['number', 'street', 'unit'];
+
+const regexp = require('./regexp');
+
+// unit designators by language, `postfixed_unit` and `postfixed_street` use
+// the `language` of the function, else of the source, else English
+const unitDesignators = require('./unit_designators.json');
+
+// house numbers may have a letter suffix or a fraction, eg "143A" or "15 1/2"
+const numberPattern = '\\d+[a-z]?(?:[ -]\\d+/\\d+)?';
+
+const prefixedNumberPattern = new RegExp(`^\\s*(${numberPattern})\\s+`, 'i');
+const postfixedStreetPattern = new RegExp(`^(?:\\s*${numberPattern}\\s+)?(.+)$`, 'i');
+
+// house numbers written after the street, as in most of Europe, may also have
+// a bis/ter marker, a range or a slash, eg "12a", "12 bis", "12-14", "12/3" or
+// "25-k143"
+const europeanNumberPattern = '\\d+(?:\\s?(?:bis|ter|quater)|\\s?[a-z])?(?![a-z])(?:\\s?[-/]\\s?[a-z0-9]+)*';
+
+const postfixedNumberPattern = new RegExp(`(?:^|\\s)(${europeanNumberPattern})\\s*$`, 'i');
+const prefixedStreetPattern = new RegExp(`^(.+?)(?:\\s+${europeanNumberPattern})?\\s*$`, 'i');
+
+// the patterns matching the unit designators of each language.  Words can't
+// be followed by another letter, accented or not, so "Whg. 3" and "bât B" match
+// but "Lotus" doesn't.
+const unitPatterns = Object.keys(unitDesignators).reduce((patterns, language) => {
+    const words = unitDesignators[language].filter(word => word !== '#');
+    const designator = `(?:(?:${words.join('|')})(?![a-z\\u00e0-\\u00ff])${unitDesignators[language].indexOf('#') >= 0 ? '|#' : ''})`;
+
+    patterns[language] = {
+        street: new RegExp(`^(?:\\s*${numberPattern}\\s+)?(.+?)(?:\\s+${designator}.*)?$`, 'i'),
+        unit: new RegExp(`\\s(${designator}.*)$`, 'i')
+    };
+
+    return patterns;
+
+}, {});
+
+// the unit patterns of a function, falling back to English for languages
+// without designators
+function unitPatternsOf(fxn, context) {
+    const language = fxn.language || context.language;
+
+    return unitPatterns[language] || unitPatterns.en;
+
+}
+
+// field names are compared case-insensitively, so `ADDRESS` in a conform will
+// find an `Address` input
+function getValue(row, field) {
+    if (Object.prototype.hasOwnProperty.call(row, field)) {
+        return toString(row[field]);
+    }
+
+    const lowerCaseField = field.toLowerCase();
+    const key = Object.keys(row).find(k => k.toLowerCase() === lowerCaseField);
+
+    return key === undefined ? '' : toString(row[key]);
+
+}
+
+function toString(value) {
+    return value === null || value === undefined ? '' : String(value);
+}
+
+// return the concatenation of all captured groups of the first match, or an
+// empty string if there was no match
+function joinGroups(match) {
+    if (!match) return '';
+
+    return match.slice(1).map(toString).join('');
+
+}
+
+const functions = {
+    regexp: (row, fxn) => {
+        const value = getValue(row, fxn.field);
+
+        if (fxn.hasOwnProperty('replace')) {
+            return value.replace(new RegExp(fxn.pattern, 'g'), fxn.replace);
+        }
+
+        return joinGroups(value.match(new RegExp(fxn.pattern)));
+
+    },
+    prefixed_number: (row, fxn) => {
+        return joinGroups(getValue(row, fxn.field).match(prefixedNumberPattern));
+    },
+    postfixed_street: (row, fxn, context) => {
+        const pattern = fxn.may_contain_units ? unitPatternsOf(fxn, context).street : postfixedStreetPattern;
+
+        return joinGroups(getValue(row, fxn.field).match(pattern));
+
+    },
+    postfixed_number: (row, fxn) => {
+        return joinGroups(getValue(row, fxn.field).match(postfixedNumberPattern));
+    },
+    prefixed_street: (row, fxn) => {
+        return joinGroups(getValue(row, fxn.field).match(prefixedStreetPattern));
+    },
+    postfixed_unit: (row, fxn, context) => {
+        return joinGroups(getValue(row, fxn.field).match(unitPatternsOf(fxn, context).unit));
+    },
+    remove_prefix: (row, fxn) => {
+        const value = getValue(row, fxn.field);
+        const prefix = getValue(row, fxn.field_to_remove);
+
+        if (value.startsWith(prefix)) {
+            return value.substr(prefix.length).replace(/^ +/, '');
+        }
+
+        return value;
+
+    },
+    remove_postfix: (row, fxn) => {
+        const value = getValue(row, fxn.field);
+        const postfix = getValue(row, fxn.field_to_remove);
+
+        if (postfix && value.endsWith(postfix)) {
+            return value.substr(0, value.length - postfix.length).replace(/ +$/, '');
+        }
+
+        return value;
+
+    },
+    join: (row, fxn) => {
+        const separator = fxn.hasOwnProperty('separator') ? fxn.separator : ' ';
+
+        return fxn.fields.
+            map(field => getValue(row, field).trim()).
+            filter(value => value.length > 0).
+            join(separator);
+
+    },
+    format: (row, fxn) => {
+        const values = fxn.fields.map(field => getValue(row, field).trim());
+        const placeholder = /\$(\d+)/g;
+        let output = '';
+        let literalStart = 0;
+        let valuesAdded = 0;
+        let match;
+
+        // a placeholder without a value suppresses the literal text before it
+        while ((match = placeholder.exec(fxn.format)) !== null) {
+            const value = values[parseInt(match[1], 10) - 1];
+
+            if (value) {
+                output += fxn.format.substring(literalStart, match.index) + value;
+                valuesAdded++;
+            }
+
+            literalStart = placeholder.lastIndex;
+
+        }
+
+        if (valuesAdded > 0) {
+            output += fxn.format.substring(literalStart);
+        }
+
+        return output;
+
+    },
+    map: (row, fxn) => {
+        const value = getValue(row, fxn.field);
+
+        if (Object.prototype.hasOwnProperty.call(fxn.map, value)) {
+            return fxn.map[value];
+        }
+
+        // values missing from the map are kept as is unless there's a default
+        return fxn.hasOwnProperty('default') ? fxn.default : value;
+
+    },
+    chain: (row, fxn, context) => {
+        // each step sees the result of the previous step via the chain variable
+        const chainRow = Object.assign({}, row);
+
+        fxn.functions.forEach(step => {
+            chainRow[fxn.variable] = evaluate(chainRow, step, context);
+        });
+
+        return toString(chainRow[fxn.variable]);
+
+    }
+};
+
+// evaluate a single attribute definition (field name, field list, or function)
+// against a row of input data.  `context` holds the tags of the source that
+// functions depend on, ie `language`.
+function evaluate(row, definition, context) {
+    if (definition === null || definition === undefined) {
+        return '';
+    }
+
+    if (typeof definition === 'string') {
+        return getValue(row, definition);
+    }
+
+    if (Array.isArray(definition)) {
+        return functions.join(row, { fields: definition });
+    }
+
+    if (!functions.hasOwnProperty(definition.function)) {
+        throw new Error(`unsupported conform function: ${definition.function}`);
+    }
+
+    return functions[definition.function](row, definition, context || {});
+
+}
+
+// the comparisons of `conform.filter`, each given the value of its field and
+// the operand of the comparison
+const comparisons = {
+    equals: (value, operand) => value === operand,
+    in: (value, operand) => operand.indexOf(value) >= 0,
+    not_empty: (value, operand) => (value.trim().length > 0) === operand,
+    regexp: (value, operand) => new RegExp(operand).test(value)
+};
+
+// return true if a row passes a `conform.filter`, which is either a comparison
+// of a field, eg {"field": "STATUS", "equals": "ACTIVE"}, or an `all` or `any`
+// list of filters.  Rows that don't pass are dropped.
+function passesFilter(filter, row) {
+    if (filter === null || filter === undefined) {
+        return true;
+    }
+
+    if (Array.isArray(filter.all)) {
+        return filter.all.every(f => passesFilter(f, row));
+    }
+
+    if (Array.isArray(filter.any)) {
+        return filter.any.some(f => passesFilter(f, row));
+    }
+
+    const comparison = Object.keys(comparisons).find(name => filter.hasOwnProperty(name));
+
+    if (!comparison) {
+        throw new Error(`unsupported conform filter: ${JSON.stringify(filter)}`);
+    }
+
+    return comparisons[comparison](getValue(row, filter.field), filter[comparison]);
+
+}
+
+// evaluate the patterns of `conform.regexps` against a row of input data,
+// returning the values of their named groups by attribute.  Each pattern
+// assigns the attributes its groups are named after, eg
+// "^(?<city>.+?),? (?<region>[A-Z]{2}) (?<postcode>\\d+)$", and an attribute is
+// empty if its group didn't match.
+function evaluateRegexps(row, regexps) {
+    return (regexps || []).reduce((values, fxn) => {
+        const unnamed = regexp.unnameGroups(fxn.pattern);
+        const match = getValue(row, fxn.field).match(new RegExp(unnamed.pattern));
+
+        unnamed.groups.forEach(group => {
+            values[group.name] = match ? toString(match[group.index]) : '';
+        });
+
+        return values;
+
+    }, {});
+
+}
+
+// return a list of messages describing the named groups of `conform.regexps`
+// that don't assign exactly one conform attribute
+function checkRegexps(conformObject) {
+    const assigned = {};
+    const messages = [];
+
+    ((conformObject || {}).regexps || []).forEach((fxn, i) => {
+        const groups = regexp.unnameGroups(fxn.pattern).groups;
+
+        if (groups.length === 0) {
+            messages.push(`regexps[${i}] pattern has no named groups`);
+        }
+
+        groups.forEach(group => {
+            const name = group.name;
+
+            if (attributes.indexOf(name) < 0) {
+                messages.push(`regexps[${i}] group "${name}" is not a conform attribute`);
+            } else if (conformObject[name] !== undefined) {
+                messages.push(`regexps[${i}] group "${name}" is also set by conform.${name}`);
+            } else if (assigned.hasOwnProperty(name)) {
+                messages.push(`regexps[${i}] group "${name}" is also set by regexps[${assigned[name]}]`);
+            } else {
+                assigned[name] = i;
+            }
+
+        });
+
+    });
+
+    return messages;
+
+}
+
+// apply the attribute tags of a conform object to a row of input data, returning
+// an object containing a value for every attribute.  Attributes without a tag
+// of their own take the value of their named group in `conform.regexps`.
+function conform(conformObject, row, context) {
+    const grouped = evaluateRegexps(row, conformObject.regexps);
+
+    return attributes.reduce((output, attribute) => {
+        const tagged = conformObject[attribute] !== undefined || !grouped.hasOwnProperty(attribute);
+        let value = tagged ? evaluate(row, conformObject[attribute], context) : grouped[attribute];
+
+        if (trimmedAttributes.indexOf(attribute) >= 0) {
+            value = value.trim();
+        }
+
+        output[attribute] = value;
+
+        return output;
+
+    }, {});
+
+}
+
+// run the acceptance tests of a source, returning a list of failures.  Each
+// failure contains the test description along with the expected and actual
+// values for the attributes under test, or whether the row was filtered out.
+function runAcceptanceTests(source) {
+    const tests = (source.test && source.test['acceptance-tests']) || [];
+
+    return tests.reduce((failures, test) => {
+        const filtered = !passesFilter((source.conform || {}).filter, test.inputs);
+
+        // rows expected to be dropped by the filter have nothing else to test
+        if (filtered || test.filtered) {
+            if (filtered !== Boolean(test.filtered)) {
+                failures.push({
+                    description: test.description,
+                    inputs: test.inputs,
+                    expected: { filtered: Boolean(test.filtered) },
+                    actual: { filtered: filtered }
+                });
+            }
+
+            return failures;
+        }
+
+        const output = conform(source.conform || {}, test.inputs, { language: source.language });
+        const actual = {};
+
+        Object.keys(test.expected).forEach(attribute => {
+            actual[attribute] = output[attribute];
+        });
+
+        const passed = Object.keys(test.expected).every(attribute => {
+            return actual[attribute] === test.expected[attribute];
+        });
+
+        if (!passed) {
+            failures.push({
+                description: test.description,
+                inputs: test.inputs,
+                expected: test.expected,
+                actual: actual
+            });
+        }
+
+        return failures;
+
+    }, []);
+
+}
+
+module.exports = {
+    attributes: attributes,
+    functions: functions,
+    evaluate: evaluate,
+    conform: conform,
+    checkRegexps: checkRegexps,
+    passesFilter: passesFilter,
+    runAcceptanceTests: runAcceptanceTests
+};
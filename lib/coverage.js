@@ -0,0 +1,105 @@
+'use strict';
+
+const path = require('path');
+const iso = require('./iso_3166.json');
+
+// CONTRIBUTING.md requires sources to be stored as
+// `sources/{Country}/{Region}/{Source}.json` or `sources/{Country}/{Source}.json`.
+// Paths and values are NFC-normalized before comparing since file names such
+// as `sources/se/municipality_of_Österåker.json` may be NFD-encoded by some
+// filesystems (notably HFS+ on macOS).
+//
+// Besides codes, coverage often gives the name of its country or region, eg
+// "Australia" and "Queensland" for sources/au/qld, and a region directory may
+// be named after its region, eg sources/nz/bay_of_plenty for "bop".  Names are
+// resolved with the ISO 3166 tables, and names the tables don't know (eg
+// "Tuscany" for Toscana) can't be checked so they're accepted.
+
+function normalize(value) {
+    return String(value).normalize('NFC').toLowerCase();
+}
+
+// turn a region name into a directory name, eg "Bay of Plenty" to "bay_of_plenty"
+function slug(name) {
+    return normalize(name).replace(/\s+/g, '_');
+}
+
+// whether a coverage.country value is the code or ISO name of a country directory
+function sameCountry(value, directory) {
+    const code = directory.toUpperCase();
+
+    return [directory, iso.countries[code], iso.common_names[code]].some(candidate => {
+        return candidate !== undefined && normalize(candidate) === normalize(value);
+    });
+
+}
+
+// whether a coverage.state or coverage.province value is the code or name of
+// a region directory
+function sameRegion(value, country, directory) {
+    const prefix = `${normalize(country)}-`;
+    const code = normalize(value).indexOf(prefix) === 0 ? normalize(value).slice(prefix.length) : normalize(value);
+    const name = iso.subdivisions[`${country}-${code}`.toUpperCase()];
+
+    if (code === normalize(directory) || (name !== undefined && slug(name) === normalize(directory))) {
+        return true;
+    }
+
+    // any other subdivision code is a mismatch
+    if (name !== undefined) return false;
+
+    const named = Object.keys(iso.subdivisions).filter(subdivision => {
+        return subdivision.indexOf(prefix.toUpperCase()) === 0 && normalize(iso.subdivisions[subdivision]) === normalize(value);
+    });
+
+    return named.length === 0 || named.indexOf(`${country}-${directory}`.toUpperCase()) >= 0;
+
+}
+
+// derive the country and (optional) region codes from a source path
+function fromPath(file) {
+    const parts = path.normalize(file).normalize('NFC').split(path.sep);
+    const sourcesIndex = parts.lastIndexOf('sources');
+    const directories = parts.slice(sourcesIndex + 1, -1);
+
+    return {
+        country: directories[0],
+        region: directories[1],
+        depth: directories.length
+    };
+
+}
+
+// return a list of messages describing how the coverage of a source disagrees
+// with the location of the source file
+function checkPath(file, source) {
+    const expected = fromPath(file);
+    const coverage = source.coverage || {};
+    const messages = [];
+
+    if (expected.depth < 1 || expected.depth > 2) {
+        messages.push('source must be stored as sources/{Country}/{Source}.json or sources/{Country}/{Region}/{Source}.json');
+        return messages;
+    }
+
+    if (typeof coverage.country === 'string' && !sameCountry(coverage.country, expected.country)) {
+        messages.push(`coverage.country "${coverage.country}" does not match country directory "${expected.country}"`);
+    }
+
+    if (expected.region !== undefined) {
+        ['state', 'province'].forEach(key => {
+            if (typeof coverage[key] === 'string' && !sameRegion(coverage[key], expected.country, expected.region)) {
+                messages.push(`coverage.${key} "${coverage[key]}" does not match region directory "${expected.region}"`);
+            }
+        });
+    }
+
+    return messages;
+
+}
+
+module.exports = {
+    fromPath: fromPath,
+    sameCountry: sameCountry,
+    checkPath: checkPath
+};
@@ -0,0 +1,147 @@
+'use strict';
+
+// Line-based unified diffs, using the algorithm from Eugene Myers' "An O(ND)
+// Difference Algorithm and Its Variations".  Migrations usually change a few
+// lines of a file so the number of differences D stays small.
+
+// return the edit script turning lines a into lines b as a list of
+// {type: ' ' | '-' | '+', line} operations
+function edits(a, b) {
+    const max = a.length + b.length;
+    const offset = max + 1;
+    const v = new Array(2 * max + 3).fill(0);
+    const trace = [];
+
+    let found = false;
+
+    for (let d = 0; d <= max && !found; d++) {
+        trace.push(v.slice());
+
+        for (let k = -d; k <= d; k += 2) {
+            let x;
+
+            if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+                x = v[offset + k + 1];
+            } else {
+                x = v[offset + k - 1] + 1;
+            }
+
+            let y = x - k;
+
+            while (x < a.length && y < b.length && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+
+            v[offset + k] = x;
+
+            if (x >= a.length && y >= b.length) {
+                found = true;
+                break;
+            }
+
+        }
+
+    }
+
+    // walk back through the furthest reaching paths to recover the edits
+    const script = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const previous = trace[d];
+        const k = x - y;
+        let previousK;
+
+        if (k === -d || (k !== d && previous[offset + k - 1] < previous[offset + k + 1])) {
+            previousK = k + 1;
+        } else {
+            previousK = k - 1;
+        }
+
+        const previousX = previous[offset + previousK];
+        const previousY = previousX - previousK;
+
+        while (x > previousX && y > previousY) {
+            script.unshift({ type: ' ', line: a[--x] });
+            y--;
+        }
+
+        if (d > 0) {
+            if (x === previousX) {
+                script.unshift({ type: '+', line: b[--y] });
+            } else {
+                script.unshift({ type: '-', line: a[--x] });
+            }
+        }
+
+    }
+
+    return script;
+
+}
+
+function splitLines(text) {
+    const lines = text.split('\n');
+
+    if (lines[lines.length - 1] === '') lines.pop();
+
+    return lines;
+
+}
+
+function range(start, count) {
+    return count === 1 ? `${start}` : `${count === 0 ? start - 1 : start},${count}`;
+}
+
+// return a unified diff between two texts, or an empty string if they're the
+// same.  `context` is the number of unchanged lines shown around each change.
+function unified(name, before, after, context) {
+    if (before === after) return '';
+
+    const contextLines = context === undefined ? 3 : context;
+    const script = edits(splitLines(before), splitLines(after));
+    const output = [`--- a/${name}`, `+++ b/${name}`];
+
+    // positions in the script of each change, grouped into hunks whose
+    // changes are close enough for their context to overlap
+    const changes = script.map((edit, index) => edit.type === ' ' ? -1 : index).filter(index => index >= 0);
+    const hunks = [];
+
+    changes.forEach(index => {
+        const last = hunks[hunks.length - 1];
+
+        if (last && index - last.end - 1 <= 2 * contextLines) {
+            last.end = index;
+        } else {
+            hunks.push({ start: index, end: index });
+        }
+
+    });
+
+    hunks.forEach(hunk => {
+        const start = Math.max(0, hunk.start - contextLines);
+        const end = Math.min(script.length - 1, hunk.end + contextLines);
+        const lines = script.slice(start, end + 1);
+
+        // line numbers before the hunk in each file
+        const beforeStart = script.slice(0, start).filter(edit => edit.type !== '+').length;
+        const afterStart = script.slice(0, start).filter(edit => edit.type !== '-').length;
+        const beforeCount = lines.filter(edit => edit.type !== '+').length;
+        const afterCount = lines.filter(edit => edit.type !== '-').length;
+
+        output.push(`@@ -${range(beforeStart + 1, beforeCount)} +${range(afterStart + 1, afterCount)} @@`);
+
+        lines.forEach(edit => output.push(`${edit.type}${edit.line}`));
+
+    });
+
+    return `${output.join('\n')}\n`;
+
+}
+
+module.exports = {
+    edits: edits,
+    unified: unified
+};
@@ -0,0 +1,141 @@
+'use strict';
+
+// Find sources that read the same data.  Sources sharing `data` and the
+// `conform.file`/`conform.layer` read from it are grouped, which is expected
+// for sources offering the same addresses in several languages or address
+// schemes but can also be a city source duplicating its county's dataset.
+// Sources with identical conform blocks are warned about wherever they are,
+// since they can be copies that were never adapted to their own data.
+
+// URLs that only differ in scheme, host case or a trailing slash point at the
+// same data
+function normalizeURL(url) {
+    return String(url).trim()
+        .replace(/^(https?|ftp):\/\/([^\/?#]+)/i, (match, scheme, host) => `${scheme.toLowerCase() === 'https' ? 'http' : scheme.toLowerCase()}://${host.toLowerCase()}`)
+        .replace(/\/+$/, '');
+}
+
+// return the layer a source reads from its data, if any.  WFS and OGC API
+// services publish many feature types or collections.
+function layerOf(source) {
+    const conform = source.conform || {};
+
+    return conform.layer !== undefined ? conform.layer : source.typename || source.collection;
+
+}
+
+// return the key identifying the data a source reads, or null if it has none
+function dataKey(source) {
+    if (typeof source.data !== 'string') return null;
+
+    const layer = layerOf(source);
+
+    return JSON.stringify([normalizeURL(source.data), (source.conform || {}).file || null, layer === undefined ? null : layer]);
+
+}
+
+// return the JSON text of a value with the tags of every object sorted, so
+// values that only differ in the order of their tags have the same text
+function canonical(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonical).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(tag => `${JSON.stringify(tag)}:${canonical(value[tag])}`).join(',')}}`;
+    }
+
+    return JSON.stringify(value);
+
+}
+
+// group a list of {file, source} entries by the data they read, returning the
+// groups with more than one source
+function find(entries) {
+    const groups = new Map();
+
+    entries.forEach(entry => {
+        const key = dataKey(entry.source);
+
+        if (key === null) return;
+
+        if (!groups.has(key)) {
+            const conform = entry.source.conform || {};
+
+            groups.set(key, {
+                data: entry.source.data,
+                file: conform.file,
+                layer: layerOf(entry.source),
+                files: []
+            });
+        }
+
+        groups.get(key).files.push(entry.file);
+
+    });
+
+    return Array.from(groups.values()).filter(group => group.files.length > 1);
+
+}
+
+// return warnings for the entries whose conform block is identical to that of
+// an earlier entry, whatever order their tags are in
+function sameConforms(entries) {
+    const conforms = new Map();
+    const warnings = [];
+
+    entries.filter(entry => entry.source.conform !== undefined).forEach(entry => {
+        const conform = canonical(entry.source.conform);
+
+        if (conforms.has(conform)) {
+            warnings.push(`${entry.file} has the same conform as ${conforms.get(conform)}`);
+        } else {
+            conforms.set(conform, entry.file);
+        }
+
+    });
+
+    return warnings;
+
+}
+
+// render duplicate groups and conform warnings as Markdown
+function toMarkdown(groups, warnings) {
+    const lines = ['# Duplicate sources', ''];
+
+    lines.push(`${groups.length} group(s) of sources read the same data, ${warnings.length} warning(s).`, '');
+
+    groups.forEach(group => {
+        const read = [
+            group.file !== undefined ? `file \`${group.file}\`` : null,
+            group.layer !== undefined ? `layer \`${group.layer}\`` : null
+        ].filter(Boolean);
+
+        lines.push(`## ${group.data}`, '');
+
+        if (read.length > 0) {
+            lines.push(`Reading ${read.join(' and ')}.`, '');
+        }
+
+        group.files.forEach(file => lines.push(`- ${file}`));
+        lines.push('');
+
+    });
+
+    if (warnings.length > 0) {
+        lines.push('## Identical conform blocks', '');
+        warnings.forEach(warning => lines.push(`- **warning:** ${warning}`));
+        lines.push('');
+    }
+
+    return lines.join('\n');
+
+}
+
+module.exports = {
+    dataKey: dataKey,
+    canonical: canonical,
+    find: find,
+    sameConforms: sameConforms,
+    toMarkdown: toMarkdown
+};
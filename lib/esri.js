@@ -0,0 +1,216 @@
+'use strict';
+
+const request = require('request');
+const arcgisToGeoJSON = require('arcgis-to-geojson-utils').arcgisToGeoJSON;
+const geojson = require('./geojson');
+
+// Download every feature of an ESRI FeatureServer or MapServer layer as a
+// GeoJSON FeatureCollection.  Layers only return up to `maxRecordCount`
+// features per query so the download is split into pages:
+//
+// - layers supporting pagination are queried with resultOffset, ordered by
+//   object id
+// - other layers are asked for all their object ids first, which are then
+//   queried in batches
+//
+// Pages are never larger than maxRecordCount, even with a larger --page-size.
+//
+// The optional `where` and `fields` tags of a source are passed on to the
+// server so unneeded features and attributes aren't downloaded at all.
+
+const defaults = {
+    timeout: 60000,
+    retries: 2
+};
+
+// the layer URL without a trailing slash or query string
+function layerURL(data) {
+    return String(data).trim().replace(/[?#].*$/, '').replace(/\/+$/, '');
+}
+
+// GET a JSON response from the layer, retrying failed requests.  ESRI services
+// report errors in the body of a 200 response so those are errors too.
+function getJSON(url, params, settings, callback) {
+    let attempts = 0;
+
+    function attempt() {
+        attempts++;
+
+        request({
+            url: url,
+            qs: Object.assign({ f: 'json' }, params),
+            json: true,
+            timeout: settings.timeout
+        }, (err, res, body) => {
+            if (!err && res.statusCode >= 400) {
+                err = new Error(`${url} responded with HTTP ${res.statusCode}`);
+            } else if (!err && (!body || typeof body !== 'object')) {
+                err = new Error(`${url} did not respond with JSON`);
+            } else if (!err && body.error) {
+                err = new Error(`${url} responded with error ${body.error.code}: ${body.error.message}`);
+            }
+
+            if (err && attempts <= settings.retries) return attempt();
+
+            callback(err, body);
+
+        });
+
+    }
+
+    attempt();
+
+}
+
+// return the query parameters shared by every page
+function queryParams(source) {
+    return {
+        where: source.where || '1=1',
+        outFields: Array.isArray(source.fields) && source.fields.length > 0 ? source.fields.join(',') : '*',
+        returnGeometry: true,
+        outSR: 4326
+    };
+}
+
+function supportsPagination(metadata) {
+    return Boolean(metadata.supportsPagination ||
+        (metadata.advancedQueryCapabilities && metadata.advancedQueryCapabilities.supportsPagination));
+}
+
+function objectIdField(metadata) {
+    if (metadata.objectIdField) return metadata.objectIdField;
+
+    const field = (metadata.fields || []).find(f => f.type === 'esriFieldTypeOID');
+
+    return field ? field.name : undefined;
+
+}
+
+// call `fetchPage(index, callback)` until it calls back with done, passing each
+// page of features to `onPage(features, callback)`
+function eachPage(fetchPage, onPage, callback) {
+    let index = 0;
+
+    function next() {
+        fetchPage(index++, (err, features, done) => {
+            if (err) return callback(err);
+
+            onPage(features, (err) => {
+                if (err) return callback(err);
+                if (done) return callback();
+                next();
+            });
+
+        });
+    }
+
+    next();
+
+}
+
+// fetch pages using resultOffset, ordered by object id so pages neither overlap
+// nor skip features.  The offset advances by the number of features actually
+// returned since servers may return fewer than asked for.
+function offsetPages(url, params, pageSize, settings, idField) {
+    let offset = 0;
+
+    return (index, callback) => {
+        const page = Object.assign({}, params, {
+            resultOffset: offset,
+            resultRecordCount: pageSize
+        });
+
+        if (idField) page.orderByFields = idField;
+
+        getJSON(`${url}/query`, page, settings, (err, body) => {
+            if (err) return callback(err);
+
+            const features = body.features || [];
+
+            offset += features.length;
+
+            // some servers don't set exceededTransferLimit so a short page also ends it
+            callback(null, features, features.length === 0 || !body.exceededTransferLimit && features.length < pageSize);
+
+        });
+
+    };
+
+}
+
+// fetch pages using batches of object ids
+function objectIdPages(url, params, pageSize, settings, objectIds) {
+    return (index, callback) => {
+        const batch = objectIds.slice(index * pageSize, (index + 1) * pageSize);
+
+        if (batch.length === 0) return callback(null, [], true);
+
+        getJSON(`${url}/query`, Object.assign({}, params, { objectIds: batch.join(',') }), settings, (err, body) => {
+            if (err) return callback(err);
+
+            callback(null, body.features || [], (index + 1) * pageSize >= objectIds.length);
+
+        });
+
+    };
+
+}
+
+// download the layer a source points at, writing a GeoJSON FeatureCollection
+// to `output`.  Calls back with the number of features and pages downloaded.
+function download(source, output, options, callback) {
+    const settings = Object.assign({}, defaults, options);
+    const url = layerURL(source.data);
+    const params = queryParams(source);
+
+    getJSON(url, {}, settings, (err, metadata) => {
+        if (err) return callback(err);
+
+        // the server truncates pages larger than maxRecordCount
+        const maxRecordCount = metadata.maxRecordCount || Infinity;
+        const pageSize = Math.min(settings.pageSize || metadata.maxRecordCount || 1000, maxRecordCount);
+        const idField = objectIdField(metadata);
+
+        function start(fetchPage) {
+            const writer = geojson.createWriter(output);
+            let pages = 0;
+
+            eachPage(fetchPage, (features, next) => {
+                pages++;
+                writer.add(features.map(feature => arcgisToGeoJSON(feature, idField)), next);
+            }, (err) => {
+                if (err) return writer.abort(() => callback(err));
+
+                writer.end((err, count) => {
+                    if (err) return callback(err);
+
+                    callback(null, { features: count, pages: pages });
+
+                });
+
+            });
+
+        }
+
+        if (supportsPagination(metadata)) {
+            return start(offsetPages(url, params, pageSize, settings, idField));
+        }
+
+        getJSON(`${url}/query`, Object.assign({}, params, { returnIdsOnly: true }), settings, (err, body) => {
+            if (err) return callback(err);
+
+            const objectIds = (body.objectIds || []).slice().sort((a, b) => a - b);
+
+            start(objectIdPages(url, params, pageSize, settings, objectIds));
+
+        });
+
+    });
+
+}
+
+module.exports = {
+    layerURL: layerURL,
+    queryParams: queryParams,
+    download: download
+};
@@ -0,0 +1,307 @@
+'use strict';
+
+// Checks the formatting rules from the "Formatting" section of CONTRIBUTING.md
+// and produces the canonical formatting of a source:
+//
+// - four spaces for indents, no tabs
+// - no tags set to null or an empty string, other than conform.lat and lon
+// - no commas at the beginning of a line
+// - no blank lines, no trailing whitespace and a newline at the end
+// - top-level tags in the canonical order below
+
+// tags not listed here are placed before `conform`, in their existing order
+const canonicalOrder = [
+    'coverage',
+    'type',
+    'data',
+    'website',
+    'license',
+    'compression',
+    'conform',
+    'test'
+];
+
+// objects whose tags, along with the top-level tags, may not be empty.  Deeper
+// values such as a `join` separator or acceptance test inputs can legitimately
+// be empty strings.
+const taggedObjects = ['coverage', 'license', 'contact', 'conform'];
+
+// CSV sources must have lat and lon tags, which are null or empty when the
+// data has no coordinates
+const requiredTags = {
+    conform: ['lat', 'lon']
+};
+
+function isEmpty(value) {
+    return value === null || value === '';
+}
+
+// return the paths of all empty tags, eg [['license'], ['conform', 'postcode']]
+function findEmptyTags(source) {
+    const empty = Object.keys(source).filter(tag => isEmpty(source[tag])).map(tag => [tag]);
+
+    taggedObjects.forEach(object => {
+        const value = source[object];
+
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            Object.keys(value).filter(tag => isEmpty(value[tag]) && (requiredTags[object] || []).indexOf(tag) < 0).forEach(tag => {
+                empty.push([object, tag]);
+            });
+        }
+
+    });
+
+    return empty;
+
+}
+
+function rank(tag) {
+    const index = canonicalOrder.indexOf(tag);
+
+    return index >= 0 ? index : canonicalOrder.indexOf('conform') - 0.5;
+
+}
+
+function orderTags(source) {
+    // Array.prototype.sort isn't guaranteed to be stable so break ties on position
+    const tags = Object.keys(source);
+
+    return tags.slice().sort((a, b) => rank(a) - rank(b) || tags.indexOf(a) - tags.indexOf(b));
+
+}
+
+// return, for each line of text, the indentation it should have based on how
+// deeply nested in objects and arrays it is.  A line opening several brackets,
+// like the start of a compact geometry, only indents the lines after it once.
+function expectedIndentation(text) {
+    // for each open bracket, whether it indented the lines after it
+    const open = [];
+    let depth = 0;
+    let inString = false;
+
+    return text.split('\n').map(line => {
+        const openedOnLine = [];
+        let lineDepth = null;
+
+        for (let i = 0; i < line.length; i++) {
+            const c = line[i];
+
+            if (inString) {
+                if (c === '\\') i++;
+                else if (c === '"') inString = false;
+            } else if (c === '}' || c === ']') {
+                if (open.pop()) depth--;
+                if (openedOnLine.length > 0 && openedOnLine[openedOnLine.length - 1] === open.length) openedOnLine.pop();
+            } else if (!/[\s,]/.test(c)) {
+                // closing brackets at the start of a line outdent the line itself
+                if (lineDepth === null) lineDepth = depth;
+
+                if (c === '"') {
+                    inString = true;
+                } else if (c === '{' || c === '[') {
+                    openedOnLine.push(open.length);
+                    open.push(false);
+                }
+            }
+
+        }
+
+        if (lineDepth === null) lineDepth = depth;
+
+        if (openedOnLine.length > 0) {
+            open[openedOnLine[openedOnLine.length - 1]] = true;
+            depth++;
+        }
+
+        return Math.max(lineDepth, 0) * 4;
+
+    });
+
+}
+
+// return a list of formatting problems in the text of a source
+function check(text) {
+    const problems = [];
+    const source = JSON.parse(text);
+    const expected = expectedIndentation(text);
+
+    text.replace(/\n$/, '').split('\n').forEach((line, index) => {
+        const indentation = /^\s*/.exec(line)[0];
+
+        if (line.trim().length === 0) {
+            problems.push(`line ${index + 1}: blank line`);
+            return;
+        }
+
+        if (/\t/.test(indentation)) {
+            problems.push(`line ${index + 1}: indented with tabs`);
+        } else if (indentation.length !== expected[index]) {
+            problems.push(`line ${index + 1}: indented ${indentation.length} spaces, expected ${expected[index]}`);
+        }
+
+        if (line.trim()[0] === ',') {
+            problems.push(`line ${index + 1}: comma at the beginning of the line`);
+        }
+
+        if (/\s$/.test(line)) {
+            problems.push(`line ${index + 1}: trailing whitespace`);
+        }
+
+    });
+
+    if (!/\n$/.test(text)) {
+        problems.push('no newline at the end of the file');
+    }
+
+    findEmptyTags(source).forEach(path => {
+        const value = path.reduce((object, tag) => object[tag], source);
+
+        problems.push(`${path.join('.')} is ${JSON.stringify(value)}, omit it instead`);
+
+    });
+
+    const tags = Object.keys(source);
+    const ordered = orderTags(source);
+
+    if (tags.join() !== ordered.join()) {
+        problems.push(`tags should be ordered ${ordered.join(', ')}`);
+    }
+
+    // anything else --fix would change, eg the layout of a line closing an
+    // object, fails too so that check and format always agree
+    if (problems.length === 0 && format(text) !== text) {
+        problems.push('not formatted the way --fix formats it');
+    }
+
+    return problems;
+
+}
+
+// return the position just past the string starting at position i of text
+function skipString(text, i) {
+    for (i++; text[i] !== '"'; i++) {
+        if (text[i] === '\\') i++;
+    }
+
+    return i + 1;
+
+}
+
+// find the JSON value starting at or after position i of text, returning its
+// raw text and where it ends along with, for objects, the same for each tag
+function scan(text, i) {
+    while (/\s/.test(text[i])) i++;
+
+    const start = i;
+    const tags = {};
+
+    if (text[i] === '"') {
+        i = skipString(text, i);
+    } else if (text[i] === '{' || text[i] === '[') {
+        const object = text[i] === '{';
+
+        i++;
+
+        while (!/[}\]]/.test(text[i])) {
+            if (/[\s,]/.test(text[i])) {
+                i++;
+            } else if (object) {
+                const keyEnd = skipString(text, i);
+                const tag = JSON.parse(text.substring(i, keyEnd));
+
+                tags[tag] = scan(text, text.indexOf(':', keyEnd) + 1);
+                i = tags[tag].end;
+            } else {
+                i = scan(text, i).end;
+            }
+
+        }
+
+        i++;
+
+    } else {
+        while (i < text.length && !/[\s,}\]]/.test(text[i])) i++;
+    }
+
+    return { raw: text.substring(start, i), end: i, tags: tags };
+
+}
+
+// return the JSON text of a value, reusing the text of any part of it that's
+// unchanged from the original so hand-formatted values such as a compact
+// geometry keep their layout.  Indentation is left to serialize().
+function serializeValue(value, original) {
+    if (original && JSON.stringify(JSON.parse(original.raw)) === JSON.stringify(value)) {
+        return original.raw;
+    }
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return JSON.stringify(value, null, 4);
+    }
+
+    const tags = Object.keys(value).map(tag => {
+        return `${JSON.stringify(tag)}: ${serializeValue(value[tag], original && original.tags[tag])}`;
+    });
+
+    return tags.length > 0 ? `{\n${tags.join(',\n')}\n}` : '{}';
+
+}
+
+// return the text of a parsed source with four space indents, keeping its tag
+// order.  Pass the text the source was parsed from to keep the layout of the
+// values that haven't changed.
+function serialize(source, text) {
+    const serialized = serializeValue(source, text ? scan(text, 0) : null);
+    const lines = serialized.split('\n').map(line => line.trim()).reduce((lines, line) => {
+        // move a comma at the beginning of a line to the end of the line before
+        if (line[0] === ',' && lines.length > 0) {
+            lines[lines.length - 1] += ',';
+            line = line.slice(1).trim();
+        }
+
+        if (line.length > 0) lines.push(line);
+
+        return lines;
+
+    }, []);
+    const indentation = expectedIndentation(lines.join('\n'));
+
+    return `${lines.map((line, index) => ' '.repeat(indentation[index]) + line).join('\n')}\n`;
+
+}
+
+// return the canonically formatted text of a parsed source, see serialize()
+function stringify(source, text) {
+    const copy = JSON.parse(JSON.stringify(source));
+    const formatted = {};
+
+    findEmptyTags(copy).forEach(path => {
+        const parent = path.slice(0, -1).reduce((object, tag) => object[tag], copy);
+
+        delete parent[path[path.length - 1]];
+
+    });
+
+    orderTags(copy).forEach(tag => {
+        formatted[tag] = copy[tag];
+    });
+
+    return serialize(formatted, text);
+
+}
+
+// return the canonically formatted text of a source
+function format(text) {
+    return stringify(JSON.parse(text), text);
+}
+
+module.exports = {
+    canonicalOrder: canonicalOrder,
+    rank: rank,
+    findEmptyTags: findEmptyTags,
+    orderTags: orderTags,
+    check: check,
+    serialize: serialize,
+    stringify: stringify,
+    format: format
+};
@@ -0,0 +1,80 @@
+'use strict';
+
+const fs = require('fs');
+
+// Write a GeoJSON FeatureCollection to a file a page of features at a time, so
+// downloads never have to hold more than one page in memory.
+//
+//     const writer = geojson.createWriter('out.geojson');
+//
+//     writer.add(features, err => { ... });
+//     writer.end((err, count) => { ... });
+//
+// A download that fails part way calls `writer.abort(callback)` instead of end,
+// which deletes the file rather than leaving a valid-looking but truncated
+// collection behind.
+//
+// add calls back once the features are flushed or buffered below the stream's
+// high water mark, so callers fetching the next page after it are throttled
+// to the speed of the disk.
+function createWriter(file) {
+    const stream = fs.createWriteStream(file);
+    let count = 0;
+    let error = null;
+    let pending = null;
+
+    function settle(err) {
+        const callback = pending;
+
+        pending = null;
+
+        if (callback) callback(err);
+
+    }
+
+    stream.on('error', err => {
+        error = error || err;
+        settle(error);
+    });
+
+    stream.write('{"type":"FeatureCollection","features":[\n');
+
+    return {
+        add: (features, callback) => {
+            if (error) return process.nextTick(() => callback(error));
+            if (features.length === 0) return process.nextTick(() => callback());
+
+            const text = features.map(feature => JSON.stringify(feature)).join(',\n');
+            const flushed = stream.write(`${count > 0 ? ',\n' : ''}${text}`);
+
+            count += features.length;
+
+            if (flushed) return process.nextTick(() => callback());
+
+            pending = callback;
+            stream.once('drain', () => settle());
+
+        },
+        end: callback => {
+            if (error) return process.nextTick(() => callback(error));
+
+            pending = err => callback(err, count);
+            stream.end('\n]}\n', err => settle(err));
+
+        },
+        abort: callback => {
+            const remove = () => fs.unlink(file, () => callback());
+
+            if (error) return process.nextTick(remove);
+
+            stream.once('close', remove);
+            stream.end();
+
+        }
+    };
+
+}
+
+module.exports = {
+    createWriter: createWriter
+};
@@ -0,0 +1,67 @@
+'use strict';
+
+const coverage = require('./coverage');
+const iso = require('./iso_3166.json');
+
+// Check the `ISO 3166` block in the coverage of sources.  `alpha2` has to be
+// an ISO 3166-1 country code or an ISO 3166-2 subdivision code of the country
+// the source is filed under, and `country` the ISO short name of the country.
+//
+// iso_3166.json holds the codes and English names of the Debian iso-codes
+// tables, plus the common names it gives countries whose ISO short name reads
+// awkwardly, eg "Taiwan" for "Taiwan, Province of China", which are accepted
+// too.
+
+// return the ISO short name of a country code, or undefined
+function countryName(code) {
+    return iso.countries[String(code).toUpperCase()];
+}
+
+// return the name of a subdivision code, or undefined
+function subdivisionName(code) {
+    return iso.subdivisions[String(code).toUpperCase()];
+}
+
+// return a list of messages describing how the `ISO 3166` block of a source
+// disagrees with the tables, the directory it's in or its coverage
+function check(file, source) {
+    const cov = source.coverage || {};
+    const block = cov['ISO 3166'];
+
+    if (!block || typeof block.alpha2 !== 'string') return [];
+
+    const alpha2 = block.alpha2;
+    const country = alpha2.slice(0, 2);
+    const messages = [];
+
+    if (!countryName(country)) {
+        return [`coverage["ISO 3166"].alpha2 "${alpha2}" is not an ISO 3166-1 country code`];
+    }
+
+    if (alpha2.length > 2 && !subdivisionName(alpha2)) {
+        messages.push(`coverage["ISO 3166"].alpha2 "${alpha2}" is not an ISO 3166-2 subdivision code`);
+    }
+
+    const directory = coverage.fromPath(file).country;
+
+    if (directory !== undefined && directory.toUpperCase() !== country) {
+        messages.push(`coverage["ISO 3166"].alpha2 "${alpha2}" is not in the country of sources/${directory}`);
+    }
+
+    if (typeof cov.country === 'string' && !coverage.sameCountry(cov.country, country)) {
+        messages.push(`coverage.country "${cov.country}" does not match coverage["ISO 3166"].alpha2 "${alpha2}"`);
+    }
+
+    if (block.country !== undefined && block.country !== countryName(country) && block.country !== iso.common_names[country]) {
+        messages.push(`coverage["ISO 3166"].country should be "${countryName(country)}", not "${block.country}"`);
+    }
+
+    return messages;
+
+}
+
+module.exports = {
+    countryName: countryName,
+    subdivisionName: subdivisionName,
+    check: check
+};
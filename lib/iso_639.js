@@ -0,0 +1,66 @@
+'use strict';
+
+const coverage = require('./coverage');
+const iso = require('./iso_639.json');
+
+// Check the `language` tag of sources.  It has to be an ISO 639 code, and the
+// two-letter ISO 639-1 code for languages that have one so the same language
+// isn't spelled both "en" and "eng".
+//
+// iso_639.json holds the ISO 639 codes and English names of the Debian
+// iso-codes tables, the three-letter codes of languages with a two-letter one,
+// and the languages of each country from CLDR: its official languages and
+// those spoken by at least 1% of its population.  Data in a language that
+// isn't one of them is more likely to be a typo than a minority language, but
+// might not be, so it's only a warning.
+
+// return the English name of a language code, or undefined
+function languageName(code) {
+    return iso.languages[code];
+}
+
+// return a list of messages describing a `language` that isn't an ISO 639 code
+function check(source) {
+    const language = source.language;
+
+    if (typeof language !== 'string') return [];
+
+    const lower = language.toLowerCase();
+    const alpha2 = iso.alpha3[lower];
+
+    if (alpha2) {
+        return [`language "${language}" should be "${alpha2}", the ISO 639-1 code of ${languageName(alpha2)}`];
+    }
+
+    if (language !== lower && languageName(lower)) {
+        return [`language "${language}" should be "${lower}"`];
+    }
+
+    if (!languageName(language)) {
+        return [`language "${language}" is not an ISO 639 code`];
+    }
+
+    return [];
+
+}
+
+// return a list of warnings about a `language` that isn't one of the languages
+// of the country the source is filed under
+function warnings(file, source) {
+    const language = source.language;
+    const country = String(coverage.fromPath(file).country || '').toUpperCase();
+    const spoken = iso.territories[country];
+
+    if (!spoken || typeof language !== 'string' || !languageName(language)) return [];
+
+    if (spoken.indexOf(language) >= 0) return [];
+
+    return [`language "${language}" (${languageName(language)}) is not an official language of ${country} or spoken by 1% of its population`];
+
+}
+
+module.exports = {
+    languageName: languageName,
+    check: check,
+    warnings: warnings
+};
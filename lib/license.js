@@ -0,0 +1,175 @@
+'use strict';
+
+const spdx = require('./spdx_licenses.json');
+
+// SPDX identifiers are bundled from the spdx-license-ids package, see
+// https://spdx.org/licenses/ for the full list.  Identifiers are matched
+// case-insensitively as recommended by the SPDX specification.
+const licenses = new Map(spdx.licenses.map(id => [id.toLowerCase(), id]));
+const deprecated = new Map(spdx.deprecated.map(id => [id.toLowerCase(), id]));
+
+// license URLs that can be identified without a human reading the terms.  The
+// URL is compared after removing the scheme, a leading www. and trailing
+// deed/legalcode pages.
+const knownURLs = [
+    { pattern: /^creativecommons\.org\/publicdomain\/zero\/1\.0$/, spdx: 'CC0-1.0' },
+    { pattern: /^creativecommons\.org\/licen[cs]es\/(by(?:-sa|-nd|-nc|-nc-sa|-nc-nd)?)\/(\d\.\d)(?:\/([a-z]{2}))?$/, spdx: creativeCommons },
+    { pattern: /^opendatacommons\.org\/licenses\/odbl(?:\/1\.0)?$/, spdx: 'ODbL-1.0' },
+    { pattern: /^opendefinition\.org\/licenses\/odc-odbl$/, spdx: 'ODbL-1.0' },
+    { pattern: /^opendatacommons\.org\/licenses\/by(?:\/1\.0)?$/, spdx: 'ODC-By-1.0' },
+    { pattern: /^opendatacommons\.org\/licenses\/pddl(?:\/1\.0)?$/, spdx: 'PDDL-1.0' },
+    { pattern: /^govdata\.de\/dl-de\/by-2-0$/, spdx: 'DL-DE-BY-2.0' },
+    { pattern: /^govdata\.de\/dl-de\/zero-2-0$/, spdx: 'DL-DE-ZERO-2.0' },
+    { pattern: /^open\.canada\.ca\/en\/open-government-licence-canada$/, spdx: 'OGL-Canada-2.0' }
+];
+
+// licenses that require derivative works to be shared under the same terms
+const shareAlike = ['ODbL-1.0'];
+
+// eg by-sa/3.0/de => CC-BY-SA-3.0-DE.  Ported licenses without an SPDX
+// identifier of their own aren't recognised since their terms differ.
+function creativeCommons(match) {
+    return [`CC-${match[1].toUpperCase()}`, match[2], match[3] ? match[3].toUpperCase() : null].filter(Boolean).join('-');
+}
+
+// return the canonical form of an SPDX identifier, including deprecated
+// identifiers, or undefined if unknown
+function lookup(id) {
+    const key = String(id).toLowerCase();
+
+    return licenses.get(key) || deprecated.get(key);
+
+}
+
+function isDeprecated(id) {
+    return deprecated.has(String(id).toLowerCase());
+}
+
+function isURL(value) {
+    return /^(https?|ftp):\/\/\S+$/.test(value);
+}
+
+// return the SPDX identifier of a license URL, or undefined if unrecognised
+function identify(url) {
+    const normalized = String(url).trim()
+        .replace(/^[a-z]+:\/\/(www\.)?/i, '')
+        .replace(/\/(deed(\.[a-z-]+)?|legalcode(\.[a-z-]+)?)$/i, '')
+        .replace(/\/+$/, '')
+        .toLowerCase();
+
+    for (const known of knownURLs) {
+        const match = known.pattern.exec(normalized);
+
+        if (match) {
+            return lookup(typeof known.spdx === 'function' ? known.spdx(match) : known.spdx);
+        }
+    }
+
+}
+
+function isShareAlike(id) {
+    return shareAlike.indexOf(id) >= 0 || /^CC-BY(-NC)?-SA-/.test(id);
+}
+
+// return a copy of a source with the deprecated license forms replaced:
+//
+// - a license URL string becomes {"url": ...}
+// - a top-level `attribution` moves to `license["attribution name"]`
+// - a recognised license URL gets its `spdx` identifier
+//
+// Other license strings such as "Unknown" are left for a human to resolve.
+function migrate(source) {
+    const migrated = Object.assign({}, source);
+    let license = migrated.license;
+
+    if (typeof license === 'string' && isURL(license.trim())) {
+        license = { url: license.trim() };
+    } else if (license && typeof license === 'object' && !Array.isArray(license)) {
+        license = Object.assign({}, license);
+    }
+
+    if (typeof migrated.attribution === 'string') {
+        if (typeof license === 'string') {
+            license = { text: license };
+        } else if (!license) {
+            license = {};
+        }
+
+        if (!license['attribution name']) {
+            license['attribution name'] = migrated.attribution;
+        }
+
+        delete migrated.attribution;
+
+    }
+
+    if (license && typeof license === 'object' && license.url && !license.spdx) {
+        const id = identify(license.url);
+
+        if (id) {
+            license.spdx = id;
+
+            if (isShareAlike(id) && !license.hasOwnProperty('share-alike')) {
+                license['share-alike'] = true;
+            }
+        }
+    }
+
+    if (license !== undefined) {
+        migrated.license = license;
+    }
+
+    return migrated;
+
+}
+
+// return a list of messages describing problems with the license of a source
+function check(source) {
+    const license = source.license;
+    const messages = [];
+
+    if (!license || typeof license !== 'object') {
+        return messages;
+    }
+
+    if (license.hasOwnProperty('spdx')) {
+        if (!lookup(license.spdx)) {
+            messages.push(`license.spdx "${license.spdx}" is not an SPDX license identifier`);
+        } else if (isDeprecated(license.spdx)) {
+            messages.push(`license.spdx "${license.spdx}" is a deprecated SPDX license identifier`);
+        } else if (lookup(license.spdx) !== license.spdx) {
+            messages.push(`license.spdx "${license.spdx}" should be written "${lookup(license.spdx)}"`);
+        }
+    }
+
+    return messages;
+
+}
+
+// return a list of license problems that need a human to read the terms of
+// the source.  These don't fail a source since nothing in the repository can
+// resolve them, eg the name of the copyright holder to attribute.
+function warnings(source) {
+    const license = source.license;
+
+    if (!needsAttributionName(license)) return [];
+
+    return ['license["attribution name"] is needed when license.attribution is true, check the license terms for the copyright holder'];
+
+}
+
+// whether a license requires attribution without naming who to attribute
+function needsAttributionName(license) {
+    return Boolean(license) && typeof license === 'object' && license.attribution === true && !license['attribution name'];
+}
+
+module.exports = {
+    lookup: lookup,
+    isDeprecated: isDeprecated,
+    identify: identify,
+    isShareAlike: isShareAlike,
+    migrate: migrate,
+    check: check,
+    warnings: warnings,
+    needsAttributionName: needsAttributionName
+};
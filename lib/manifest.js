@@ -0,0 +1,115 @@
+'use strict';
+
+const fs = require('fs');
+const glob = require('glob');
+
+// Select source files the way the scripts accept them on the command line:
+//
+// - `countries`: country directory codes, eg ['us', 'ca']
+// - `patterns`: glob patterns, eg ['sources/us/ca/*.json']
+// - `files`: explicit paths to source files
+// - `lists`: text files naming one source file per line
+//
+// With none of these every source is selected.  Files are returned sorted and
+// without duplicates.
+function select(options) {
+    const countries = options.countries || [];
+    const patterns = (options.patterns || []).concat(countries.map(country => `sources/${country.toLowerCase()}/**/*.json`));
+    const files = (options.files || []).slice();
+
+    (options.lists || []).forEach(list => {
+        fs.readFileSync(list, 'utf8').split('\n').map(line => line.trim()).filter(line => line.length > 0 && line[0] !== '#').forEach(file => {
+            files.push(file);
+        });
+    });
+
+    if (patterns.length === 0 && files.length === 0) {
+        patterns.push('sources/**/*.json');
+    }
+
+    const selected = patterns.reduce((all, pattern) => all.concat(glob.sync(pattern)), files);
+
+    return Array.from(new Set(selected)).sort();
+
+}
+
+// parse the selection options shared by the scripts from command line
+// arguments.  `valueFlags` maps any script-specific flags that take a value to
+// the option they set, eg {'--output': 'output'}.  Remaining arguments are
+// returned in `rest`.
+function parseArgs(args, valueFlags) {
+    const options = { countries: [], patterns: [], files: [], lists: [], rest: [] };
+    const flags = Object.assign({
+        '--country': 'countries',
+        '--glob': 'patterns',
+        '--list': 'lists'
+    }, valueFlags);
+
+    for (let i = 0; i < args.length; i++) {
+        if (flags.hasOwnProperty(args[i])) {
+            if (i + 1 >= args.length) {
+                throw new Error(`${args[i]} requires a value`);
+            }
+
+            const option = flags[args[i]];
+            const value = args[++i];
+
+            if (Array.isArray(options[option])) {
+                options[option].push(value);
+            } else {
+                options[option] = value;
+            }
+
+        } else if (args[i][0] !== '-') {
+            options.files.push(args[i]);
+        } else {
+            options.rest.push(args[i]);
+        }
+
+    }
+
+    return options;
+
+}
+
+// parse the integer options set by parseArgs.  `minimums` maps each option to
+// the smallest value it accepts, eg {timeout: 1, retries: 0}.  Options that
+// weren't given are left out of the returned settings.  Throws naming the flag
+// of the first option that isn't an integer of at least its minimum.
+function parseIntegers(options, minimums) {
+    return Object.keys(minimums).reduce((settings, option) => {
+        if (options[option] === undefined) return settings;
+
+        const value = parseInt(options[option], 10);
+
+        if (isNaN(value) || value < minimums[option]) {
+            const flag = `--${option.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`;
+
+            throw new Error(`${flag} must be a ${minimums[option] > 0 ? 'positive' : 'non-negative'} integer`);
+        }
+
+        settings[option] = value;
+
+        return settings;
+
+    }, {});
+
+}
+
+// read and parse source files, returning each along with its path
+function readSources(files) {
+    return files.map(file => {
+        return {
+            file: file,
+            source: JSON.parse(fs.readFileSync(file, 'utf8'))
+        };
+    });
+
+}
+
+module.exports = {
+    select: select,
+    parseArgs: parseArgs,
+    parseIntegers: parseIntegers,
+    readSources: readSources
+};
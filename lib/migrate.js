@@ -0,0 +1,59 @@
+'use strict';
+
+const format = require('./format');
+
+// Migrations are modules in scripts/migrations exporting a `description` and a
+// `migrate(source, file)` function that returns the migrated source.  The
+// source passed in is a copy so it can be modified and returned.
+
+// return a copy of `migrated` with the tags of every object in the order they
+// had in `original`.  Tags added by the migration are placed at their
+// canonical position among the top-level tags and at the end of nested objects.
+function preserveOrder(original, migrated, topLevel) {
+    if (Array.isArray(migrated)) {
+        return migrated.map((value, index) => preserveOrder(Array.isArray(original) ? original[index] : undefined, value, false));
+    }
+
+    if (!migrated || typeof migrated !== 'object') {
+        return migrated;
+    }
+
+    const previous = original && typeof original === 'object' && !Array.isArray(original) ? original : {};
+    const existing = Object.keys(previous).filter(tag => migrated.hasOwnProperty(tag));
+    const tags = existing.slice();
+
+    Object.keys(migrated).filter(tag => !previous.hasOwnProperty(tag)).forEach(tag => {
+        const before = topLevel ? tags.findIndex(other => format.rank(other) > format.rank(tag)) : -1;
+
+        tags.splice(before < 0 ? tags.length : before, 0, tag);
+
+    });
+
+    return tags.reduce((ordered, tag) => {
+        ordered[tag] = preserveOrder(previous[tag], migrated[tag], false);
+        return ordered;
+    }, {});
+
+}
+
+// run a migration on the text of a source, returning the migrated text.  The
+// text is returned unchanged when the migration doesn't change the source.
+function apply(migration, file, text) {
+    const source = JSON.parse(text);
+    const migrated = migration.migrate(JSON.parse(text), file);
+
+    if (JSON.stringify(migrated) === JSON.stringify(source)) {
+        return text;
+    }
+
+    const serialized = format.serialize(preserveOrder(source, migrated, true), text);
+
+    // keep a missing newline at the end of the file missing
+    return /\n$/.test(text) ? serialized : serialized.replace(/\n$/, '');
+
+}
+
+module.exports = {
+    preserveOrder: preserveOrder,
+    apply: apply
+};
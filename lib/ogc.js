@@ -0,0 +1,199 @@
+'use strict';
+
+const url = require('url');
+const request = require('request');
+const geojson = require('./geojson');
+
+// Download the features of a WFS 2.0 feature type or an OGC API - Features
+// collection as a GeoJSON FeatureCollection, one page at a time:
+//
+// - `wfs` sources request GetFeature with `typeNames` set to the source's
+//   `typename`, paging with startIndex and count until `numberMatched`
+//   features are downloaded, or a short page if the server doesn't say.  Pages
+//   are sorted by the source's `sort_by` property, or its `conform.id` field,
+//   so they neither overlap nor skip features.
+// - `ogcapi` sources request the items of the source's `collection`, following
+//   the `next` link of each page
+//
+// `page_size` sets the number of features requested per page and `crs` the
+// CRS features are returned in.  Both default to CRS84, which is WGS84 in
+// lon/lat order: WFS 2.0 servers return EPSG:4326 in lat/lon order.
+
+const defaults = {
+    timeout: 60000,
+    retries: 2,
+    pageSize: 1000
+};
+
+const defaultWFSCRS = 'urn:ogc:def:crs:OGC:1.3:CRS84';
+
+// the service URL without a query string or trailing slash
+function serviceURL(data) {
+    return String(data).trim().replace(/[?#].*$/, '').replace(/\/+$/, '');
+}
+
+// GET a JSON response, retrying failed requests.  WFS servers report errors as
+// an XML ExceptionReport, the text of which makes for a better message.
+function getJSON(target, params, settings, callback) {
+    let attempts = 0;
+
+    function attempt() {
+        attempts++;
+
+        request({
+            url: target,
+            qs: params,
+            timeout: settings.timeout,
+            headers: { Accept: 'application/geo+json, application/json' }
+        }, (err, res, body) => {
+            const exception = /<(?:\w+:)?ExceptionText>([\s\S]*?)<\/(?:\w+:)?ExceptionText>/.exec(body || '');
+            let parsed;
+
+            if (!err && exception) {
+                err = new Error(`${target} responded with exception: ${exception[1].trim()}`);
+            } else if (!err && res.statusCode >= 400) {
+                err = new Error(`${target} responded with HTTP ${res.statusCode}`);
+            } else if (!err) {
+                try {
+                    parsed = JSON.parse(body);
+                } catch (e) {
+                    err = new Error(`${target} did not respond with JSON`);
+                }
+            }
+
+            if (err && attempts <= settings.retries && !(res && res.statusCode < 500)) return attempt();
+
+            callback(err, parsed);
+
+        });
+
+    }
+
+    attempt();
+
+}
+
+// the property to sort WFS pages by, like the orderByFields of lib/esri.js
+function sortProperty(source) {
+    if (source.sort_by) return source.sort_by;
+
+    const id = (source.conform || {}).id;
+
+    return typeof id === 'string' ? id : undefined;
+
+}
+
+// return the URL and query parameters of the first page
+function firstPage(source, pageSize) {
+    const base = serviceURL(source.data);
+
+    if (source.type === 'wfs') {
+        const params = {
+            service: 'WFS',
+            version: '2.0.0',
+            request: 'GetFeature',
+            typeNames: source.typename,
+            outputFormat: 'application/json',
+            srsName: source.crs || defaultWFSCRS,
+            count: pageSize,
+            startIndex: 0
+        };
+
+        if (sortProperty(source)) params.sortBy = sortProperty(source);
+
+        return { url: base, params: params };
+
+    }
+
+    const params = { f: 'json', limit: pageSize };
+
+    if (source.crs) params.crs = source.crs;
+
+    return {
+        url: `${base}/collections/${encodeURIComponent(source.collection)}/items`,
+        params: params
+    };
+
+}
+
+// return the page after `page` given its response, or null if it was the last
+function nextPage(source, page, body, pageSize) {
+    const features = body.features || [];
+
+    if (source.type === 'wfs') {
+        const startIndex = page.params.startIndex + features.length;
+
+        // servers may cap count below the page size asked for, so a short page
+        // only ends the download when there's no numberMatched to go by
+        if (features.length === 0) return null;
+
+        if (typeof body.numberMatched === 'number' ? startIndex >= body.numberMatched : features.length < pageSize) {
+            return null;
+        }
+
+        return { url: page.url, params: Object.assign({}, page.params, { startIndex: startIndex }) };
+
+    }
+
+    const next = (body.links || []).find(link => link.rel === 'next' && link.href);
+
+    if (!next || features.length === 0) return null;
+
+    // the next link carries all the parameters it needs
+    return { url: url.resolve(page.url, next.href), params: {} };
+
+}
+
+// download the features of a wfs or ogcapi source, writing a GeoJSON
+// FeatureCollection to `output`.  Calls back with the number of features and
+// pages downloaded.
+function download(source, output, options, callback) {
+    const settings = Object.assign({}, defaults, options);
+    const pageSize = (options && options.pageSize) || source.page_size || defaults.pageSize;
+    const writer = geojson.createWriter(output);
+    let pages = 0;
+
+    function fail(err) {
+        writer.abort(() => callback(err));
+    }
+
+    function fetch(page) {
+        getJSON(page.url, page.params, settings, (err, body) => {
+            if (err) return fail(err);
+
+            if (!Array.isArray(body.features)) {
+                return fail(new Error(`${page.url} did not respond with a FeatureCollection`));
+            }
+
+            pages++;
+
+            writer.add(body.features, err => {
+                if (err) return fail(err);
+
+                const next = nextPage(source, page, body, pageSize);
+
+                if (next) return fetch(next);
+
+                writer.end((err, count) => {
+                    if (err) return callback(err);
+
+                    callback(null, { features: count, pages: pages });
+
+                });
+
+            });
+
+        });
+
+    }
+
+    fetch(firstPage(source, pageSize));
+
+}
+
+module.exports = {
+    sortProperty: sortProperty,
+    firstPage: firstPage,
+    nextPage: nextPage,
+    download: download
+};
@@ -0,0 +1,370 @@
+'use strict';
+
+// Static checks for the `pattern` and `replace` parameters of `regexp` conform
+// functions.  Patterns are executed by the machine using Python's `re` module
+// and by lib/conform.js using JavaScript regular expressions, so a pattern
+// must compile in both and only use constructs that behave the same in both.
+
+// JavaScript named groups, which only the patterns of `conform.regexps` may use
+// since those are resolved by lib/conform.js rather than compiled as is
+const namedGroupConstructs = [
+    { pattern: /^\(\?<[a-zA-Z_]/, description: 'JavaScript named group (?<name>...)' },
+    { pattern: /^\\k/, description: 'JavaScript named backreference \\k<name>' }
+];
+
+// constructs that compile in Python but not JavaScript (or vice versa)
+const unportableConstructs = namedGroupConstructs.concat([
+    { pattern: /^\(\?P</, description: 'Python named group (?P<name>...)' },
+    { pattern: /^\(\?P=/, description: 'Python named backreference (?P=name)' },
+    { pattern: /^\(\?[aiLmsux]+\)/, description: 'Python inline flag group' },
+    { pattern: /^\(\?[aiLmsux-]+:/, description: 'Python scoped inline flag group' },
+    { pattern: /^\(\?#/, description: 'Python comment group (?#...)' },
+    { pattern: /^\(\?\(/, description: 'Python conditional group (?(id)yes|no)' },
+    { pattern: /^\(\?>/, description: 'atomic group (?>...)' },
+    { pattern: /^\\A/, description: 'Python start-of-string anchor \\A' },
+    { pattern: /^\\Z/, description: 'Python end-of-string anchor \\Z' },
+    { pattern: /^\\z/, description: 'end-of-string anchor \\z' }
+]);
+
+// walk a pattern, returning the number of capturing groups along with any
+// unportable constructs and nested unbounded quantifiers found along the way.
+// A repeated group containing a lookaround is not reported as nested since the
+// lookaround pins down where each repetition can end, eg (?:\s*\w+(?=,))+
+function analyze(pattern) {
+    const result = {
+        groups: 0,
+        unportable: [],
+        nestedQuantifiers: []
+    };
+
+    // each open group tracks whether anything inside it is unbounded-quantified
+    const stack = [{ start: 0, unbounded: false, lookaround: false }];
+    let inClass = false;
+    let i = 0;
+
+    while (i < pattern.length) {
+        const c = pattern[i];
+
+        if (c === '\\') {
+            if (!inClass) {
+                unportableConstructs.filter(construct => construct.pattern.test(pattern.substr(i, 2))).forEach(construct => {
+                    result.unportable.push(construct.description);
+                });
+            }
+
+            i += 2;
+
+        } else if (inClass) {
+            if (c === ']') inClass = false;
+            i++;
+
+        } else if (c === '[') {
+            inClass = true;
+            i++;
+
+            // a leading ] or ^] is a literal in both flavors
+            if (pattern[i] === '^') i++;
+            if (pattern[i] === ']') i++;
+
+        } else if (c === '(') {
+            const rest = pattern.substr(i);
+            const construct = unportableConstructs.find(u => u.pattern.test(rest));
+
+            if (construct) {
+                result.unportable.push(construct.description);
+            }
+
+            if (rest[1] !== '?' || /^\(\?P?<[a-zA-Z_]/.test(rest)) {
+                result.groups++;
+            }
+
+            stack.push({ start: i, unbounded: false, lookaround: /^\(\?<?[=!]/.test(rest) });
+            i++;
+
+        } else if (c === ')') {
+            const group = stack.length > 1 ? stack.pop() : stack[0];
+            const quantifier = readQuantifier(pattern, i + 1);
+
+            if (quantifier && quantifier.unbounded && group.unbounded && !group.lookaround) {
+                result.nestedQuantifiers.push(pattern.substring(group.start, i + 1 + quantifier.length));
+            }
+
+            if (group.unbounded || (quantifier && quantifier.unbounded)) {
+                stack[stack.length - 1].unbounded = true;
+            }
+
+            if (group.lookaround) {
+                stack[stack.length - 1].lookaround = true;
+            }
+
+            i += 1 + (quantifier ? quantifier.length : 0);
+
+        } else {
+            const quantifier = readQuantifier(pattern, i);
+
+            if (quantifier) {
+                if (quantifier.unbounded) {
+                    stack[stack.length - 1].unbounded = true;
+                }
+
+                i += quantifier.length;
+
+            } else {
+                i++;
+            }
+
+        }
+
+    }
+
+    return result;
+
+}
+
+// read a quantifier (including a lazy or possessive modifier) at a position
+function readQuantifier(pattern, i) {
+    const match = /^(?:([*+])|\?|\{(\d*),?(\d*)\})[?+]?/.exec(pattern.substr(i));
+
+    if (!match) return null;
+
+    return {
+        length: match[0].length,
+        unbounded: match[1] !== undefined || (/,\}/.test(match[0]) && match[3] === '')
+    };
+
+}
+
+// return a pattern with its named groups turned into plain capturing groups,
+// and named backreferences into numbered ones, along with the name and number
+// of each named group and the names referenced without a group.  Older
+// versions of node can't compile (?<name>...) so named groups are resolved by
+// number instead.
+function unnameGroups(pattern) {
+    const groups = [];
+    const references = [];
+    let source = '';
+    let count = 0;
+    let inClass = false;
+    let i = 0;
+
+    while (i < pattern.length) {
+        const c = pattern[i];
+        const rest = pattern.substr(i);
+        const named = /^\(\?<([a-zA-Z_][a-zA-Z0-9_]*)>/.exec(rest);
+        const backreference = /^\\k<([a-zA-Z_][a-zA-Z0-9_]*)>/.exec(rest);
+
+        if (c === '\\' && !inClass && backreference) {
+            const group = groups.find(g => g.name === backreference[1]);
+
+            // a reference to an unknown name is left as is and reported below
+            if (!group) references.push(backreference[1]);
+
+            source += group ? `\\${group.index}` : backreference[0];
+            i += backreference[0].length;
+
+        } else if (c === '\\') {
+            source += pattern.substr(i, 2);
+            i += 2;
+
+        } else if (inClass) {
+            if (c === ']') inClass = false;
+            source += c;
+            i++;
+
+        } else if (c === '[') {
+            inClass = true;
+            source += c;
+            i++;
+
+            // a leading ] or ^] is a literal in both flavors
+            if (pattern[i] === '^') source += pattern[i++];
+            if (pattern[i] === ']') source += pattern[i++];
+
+        } else if (named) {
+            groups.push({ name: named[1], index: ++count });
+            source += '(';
+            i += named[0].length;
+
+        } else {
+            if (c === '(' && rest[1] !== '?') count++;
+            source += c;
+            i++;
+
+        }
+
+    }
+
+    // without named groups \k<name> is a literal, otherwise it has to name one
+    const unknown = groups.length === 0 ? [] : references.filter(name => !groups.some(g => g.name === name));
+
+    return { pattern: source, groups: groups, unknown: unknown };
+
+}
+
+// return a pattern with its lookbehinds turned into lookaheads, which is only
+// good for checking that the pattern compiles.  Python and newer versions of
+// node support lookbehind, so a node that can't compile it shouldn't fail the
+// source.
+function withoutLookbehinds(pattern) {
+    let source = '';
+    let inClass = false;
+    let i = 0;
+
+    while (i < pattern.length) {
+        const c = pattern[i];
+
+        if (c === '\\') {
+            source += pattern.substr(i, 2);
+            i += 2;
+
+        } else if (inClass) {
+            if (c === ']') inClass = false;
+            source += c;
+            i++;
+
+        } else if (c === '[') {
+            inClass = true;
+            source += c;
+            i++;
+
+            // a leading ] or ^] is a literal in both flavors
+            if (pattern[i] === '^') source += pattern[i++];
+            if (pattern[i] === ']') source += pattern[i++];
+
+        } else if (/^\(\?<[=!]/.test(pattern.substr(i))) {
+            source += `(?${pattern[i + 3]}`;
+            i += 4;
+
+        } else {
+            source += c;
+            i++;
+
+        }
+
+    }
+
+    return source;
+
+}
+
+// the highest `$n` or `${n}` group referenced by a replace string
+function highestReplaceReference(replace) {
+    const references = /\$\{?(\d+)\}?/g;
+    let highest = 0;
+    let match;
+
+    while ((match = references.exec(replace)) !== null) {
+        highest = Math.max(highest, parseInt(match[1], 10));
+    }
+
+    return highest;
+
+}
+
+// return a list of human-readable problems with a regexp function's pattern
+// and replace parameters.  Named groups are only allowed when namedGroups is set.
+// The pattern is compiled without named groups or lookbehinds, which are
+// reported separately, so the findings are the same on every version of node.
+function lint(pattern, replace, namedGroups) {
+    const findings = [];
+    const unnamed = unnameGroups(pattern);
+
+    try {
+        new RegExp(withoutLookbehinds(unnamed.pattern));
+
+        unnamed.unknown.forEach(name => {
+            findings.push(`pattern does not compile: \\k<${name}> does not name a group`);
+        });
+    } catch (err) {
+        findings.push(`pattern does not compile: ${err.message}`);
+    }
+
+    const analysis = analyze(pattern);
+
+    analysis.unportable.filter(description => {
+        return !namedGroups || !namedGroupConstructs.some(construct => construct.description === description);
+    }).forEach(description => {
+        findings.push(`pattern uses unportable construct: ${description}`);
+    });
+
+    analysis.nestedQuantifiers.forEach(group => {
+        findings.push(`pattern is prone to catastrophic backtracking due to nested quantifiers in ${group}`);
+    });
+
+    if (typeof replace === 'string') {
+        const highest = highestReplaceReference(replace);
+
+        if (highest > analysis.groups) {
+            findings.push(`replace references group $${highest} but pattern only captures ${analysis.groups} group(s)`);
+        }
+    }
+
+    return findings;
+
+}
+
+// find every regexp function in a conform, including those nested in chains,
+// returning the attribute each belongs to along with the function definition
+function findRegexpFunctions(conformObject) {
+    const found = [];
+
+    function walk(attribute, definition) {
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) return;
+
+        if (definition.function === 'regexp') {
+            found.push({ attribute: attribute, fxn: definition });
+        }
+
+        (definition.functions || []).forEach(step => walk(attribute, step));
+
+    }
+
+    Object.keys(conformObject || {}).forEach(attribute => walk(attribute, conformObject[attribute]));
+
+    return found;
+
+}
+
+// find every regexp comparison in a conform filter, including those nested in
+// `all` and `any` lists
+function findFilterRegexps(filter) {
+    if (!filter || typeof filter !== 'object') return [];
+
+    const nested = (filter.all || []).concat(filter.any || []);
+    const found = typeof filter.regexp === 'string' ? [{ attribute: 'filter', fxn: { pattern: filter.regexp } }] : [];
+
+    return nested.reduce((all, f) => all.concat(findFilterRegexps(f)), found);
+
+}
+
+// lint every regexp function in a source, returning findings tagged with the
+// conform attribute they were found in.  The patterns of `conform.regexps`,
+// which assign several attributes at once, are tagged with their position and
+// those of `conform.filter` with "filter".
+function lintSource(source) {
+    const regexps = ((source.conform || {}).regexps || []).map((fxn, i) => {
+        return { attribute: `regexps[${i}]`, fxn: fxn, namedGroups: true };
+    });
+    const filters = findFilterRegexps((source.conform || {}).filter);
+
+    return findRegexpFunctions(source.conform).concat(regexps, filters).reduce((findings, found) => {
+        return findings.concat(lint(found.fxn.pattern, found.fxn.replace, found.namedGroups).map(message => {
+            return {
+                attribute: found.attribute,
+                pattern: found.fxn.pattern,
+                message: message
+            };
+        }));
+
+    }, []);
+
+}
+
+module.exports = {
+    analyze: analyze,
+    unnameGroups: unnameGroups,
+    withoutLookbehinds: withoutLookbehinds,
+    lint: lint,
+    findRegexpFunctions: findRegexpFunctions,
+    lintSource: lintSource
+};
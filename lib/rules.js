@@ -0,0 +1,182 @@
+'use strict';
+
+const conformAttributes = require('./conform').attributes;
+
+// Rules relating several fields of a source to each other.  These could be
+// expressed in the schema with `oneOf`/`not` combinations, but the resulting
+// errors don't say which rule was broken, so they're checked here instead.
+
+// processing tags and the conform types that support them, see the
+// "Processing Tags" section of CONTRIBUTING.md
+const processingTagTypes = {
+    headers: ['csv'],
+    skiplines: ['csv'],
+    csvsplit: ['csv'],
+    layer: ['gdb', 'xml'],
+    srs: ['shapefile', 'shapefile-polygon', 'csv', 'xml']
+};
+
+// top-level tags passed on to the services of some source types
+const sourceTagTypes = {
+    where: ['ESRI'],
+    fields: ['ESRI'],
+    typename: ['wfs'],
+    sort_by: ['wfs'],
+    collection: ['ogcapi'],
+    page_size: ['wfs', 'ogcapi'],
+    crs: ['wfs', 'ogcapi']
+};
+
+// source types whose data is downloaded as GeoJSON
+const geojsonTypes = ['ESRI', 'wfs', 'ogcapi'];
+
+// quote and join a list of values, eg ['a', 'b', 'c'] => "a", "b", or "c"
+function formatList(values) {
+    const quoted = values.map(value => `"${value}"`);
+
+    if (quoted.length < 2) return quoted.join('');
+
+    return `${quoted.slice(0, -1).join(', ')}${quoted.length > 2 ? ',' : ''} or ${quoted[quoted.length - 1]}`;
+
+}
+
+function checkProcessingTags(source) {
+    const conform = source.conform;
+
+    return Object.keys(processingTagTypes).filter(tag => {
+        return conform.hasOwnProperty(tag) && processingTagTypes[tag].indexOf(conform.type) < 0;
+    }).map(tag => {
+        return `conform.${tag} is only supported when conform.type is ${formatList(processingTagTypes[tag])}, ` +
+            `not "${conform.type}"`;
+    });
+
+}
+
+// lat and lon are required for CSV sources and should be omitted otherwise
+function checkCoordinateFields(source) {
+    const conform = source.conform;
+
+    return ['lat', 'lon'].map(attribute => {
+        if (conform.type === 'csv' && !conform.hasOwnProperty(attribute)) {
+            return `conform.${attribute} is required when conform.type is "csv"`;
+        }
+
+        if (conform.type !== 'csv' && conform.hasOwnProperty(attribute)) {
+            return `conform.${attribute} is only supported when conform.type is "csv", not "${conform.type}"`;
+        }
+
+    }).filter(message => message !== undefined);
+
+}
+
+// ESRI, WFS and OGC API services are downloaded as GeoJSON so there's only one
+// conform type that works
+function checkGeoJSONConformType(source) {
+    if (geojsonTypes.indexOf(source.type) >= 0 && source.conform.type !== 'geojson') {
+        return [`conform.type must be "geojson" when type is "${source.type}", not "${source.conform.type}"`];
+    }
+
+    return [];
+
+}
+
+// return the input fields read by the attributes of a conform block
+function conformFields(conform) {
+    const fields = [];
+
+    function collect(definition, variables) {
+        if (typeof definition === 'string') {
+            if (variables.indexOf(definition) < 0) fields.push(definition);
+        } else if (Array.isArray(definition)) {
+            definition.forEach(field => collect(field, variables));
+        } else if (definition && typeof definition === 'object') {
+            ['field', 'field_to_remove'].forEach(key => collect(definition[key], variables));
+            collect(definition.fields, variables);
+
+            // chain steps can read the chain variable instead of a field
+            if (Array.isArray(definition.functions)) {
+                definition.functions.forEach(step => collect(step, variables.concat(definition.variable)));
+            }
+        }
+
+    }
+
+    conformAttributes.forEach(attribute => collect(conform[attribute], []));
+
+    return fields.filter((field, index) => fields.indexOf(field) === index);
+
+}
+
+// tags describing how a service is queried only make sense for its type
+function checkSourceTags(source) {
+    return Object.keys(sourceTagTypes).filter(tag => {
+        return source.hasOwnProperty(tag) && sourceTagTypes[tag].indexOf(source.type) < 0;
+    }).map(tag => {
+        return `${tag} is only supported when type is ${formatList(sourceTagTypes[tag])}, not "${source.type}"`;
+    });
+
+}
+
+// WFS and OGC API services publish several feature types or collections, and
+// WFS pages need a property to be sorted by
+function checkServiceLayer(source) {
+    const tag = { wfs: 'typename', ogcapi: 'collection' }[source.type];
+
+    const messages = [];
+
+    if (tag && !source.hasOwnProperty(tag)) {
+        messages.push(`${tag} is required when type is "${source.type}"`);
+    }
+
+    // WFS pages are only stable when sorted, see lib/ogc.js
+    if (source.type === 'wfs' && !source.sort_by && typeof (source.conform || {}).id !== 'string') {
+        messages.push('sort_by or a conform.id field is required when type is "wfs" to page features in a stable order');
+    }
+
+    return messages;
+
+}
+
+// fields has to include every field the conform block reads
+function checkESRIFields(source) {
+    if (source.type !== 'ESRI' || !Array.isArray(source.fields)) {
+        return [];
+    }
+
+    const fields = new Set(source.fields.map(field => field.toLowerCase()));
+
+    return conformFields(source.conform).filter(field => !fields.has(field.toLowerCase())).map(field => {
+        return `fields must include "${field}", it is used in conform`;
+    });
+
+}
+
+const sourceRules = [
+    checkSourceTags,
+    checkServiceLayer
+];
+
+const conformRules = [
+    checkProcessingTags,
+    checkCoordinateFields,
+    checkGeoJSONConformType,
+    checkESRIFields
+];
+
+// return a list of messages describing the cross-field rules a source breaks
+function check(source) {
+    const messages = sourceRules.reduce((messages, rule) => messages.concat(rule(source)), []);
+
+    if (!source.conform || typeof source.conform !== 'object') {
+        return messages;
+    }
+
+    return conformRules.reduce((messages, rule) => messages.concat(rule(source)), messages);
+
+}
+
+module.exports = {
+    processingTagTypes: processingTagTypes,
+    sourceTagTypes: sourceTagTypes,
+    check: check
+};
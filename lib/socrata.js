@@ -0,0 +1,277 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const request = require('request');
+const JSONStream = require('JSONStream');
+const _ = require('lodash');
+
+// Fetch several Socrata datasets as GeoJSON and merge them into a single
+// FeatureCollection, eg for counties publishing their addresses one dataset
+// per township.  A configuration looks like:
+//
+//     {
+//         "domain": "datacatalog.cookcountyil.gov",
+//         "datasets": ["qzpp-jhf6", {"domain": "data.example.com", "id": "abcd-1234"}],
+//         "fields": ["addrnocom", "stnamecom"],
+//         "output": "us-il-cook.geojson"
+//     }
+//
+// Datasets are downloaded to a directory a few at a time.  Each one is written
+// to a temporary file that's only renamed once complete, so rerunning after a
+// failure resumes by skipping the datasets already downloaded.  Merging streams
+// the features of each dataset so no dataset is ever held in memory, and only
+// replaces the output once it's complete.
+
+const defaults = {
+    concurrency: 4,
+    timeout: 120000,
+    retries: 2
+};
+
+// return a list of {domain, id} datasets from a configuration
+function datasets(config) {
+    return (config.datasets || []).map(dataset => {
+        if (typeof dataset === 'string') {
+            return { domain: config.domain, id: dataset };
+        }
+
+        return { domain: dataset.domain || config.domain, id: dataset.id };
+
+    });
+
+}
+
+// return a list of problems with a configuration
+function check(config) {
+    const messages = [];
+
+    if (!Array.isArray(config.datasets) || config.datasets.length === 0) {
+        messages.push('datasets must be a non-empty list');
+    } else {
+        datasets(config).forEach((dataset, index) => {
+            if (!/^[a-z0-9]{4}-[a-z0-9]{4}$/.test(dataset.id)) {
+                messages.push(`datasets[${index}] is not a Socrata dataset id: ${JSON.stringify(dataset.id)}`);
+            }
+
+            if (typeof dataset.domain !== 'string' || dataset.domain.length === 0) {
+                messages.push(`datasets[${index}] has no domain`);
+            }
+        });
+    }
+
+    if (config.fields !== undefined && (!Array.isArray(config.fields) || config.fields.length === 0)) {
+        messages.push('fields must be a non-empty list when present');
+    }
+
+    return messages;
+
+}
+
+function exportURL(dataset) {
+    return `https://${dataset.domain}/api/geospatial/${dataset.id}?method=export&format=GeoJSON`;
+}
+
+function datasetFile(directory, dataset) {
+    return path.join(directory, `${dataset.id}.geojson`);
+}
+
+// download a single dataset to its file, retrying server and network errors.
+// A failed attempt is only retried or removed once its file is closed, so the
+// next attempt never shares the file with a stream that's still writing to
+// it.  The file is only renamed into place once the whole response arrived.
+function fetchDataset(dataset, directory, settings, callback) {
+    const file = datasetFile(directory, dataset);
+    const partial = `${file}.part`;
+    let attempts = 0;
+
+    function attempt() {
+        attempts++;
+
+        let failure;
+        let response;
+        let received = 0;
+
+        const out = fs.createWriteStream(partial);
+        const req = request({ url: settings.url(dataset), timeout: settings.timeout });
+
+        const fail = err => {
+            if (failure) return;
+            failure = err;
+
+            req.abort();
+            out.end();
+
+        };
+
+        out.on('error', fail);
+
+        out.on('close', () => {
+            if (!failure) {
+                const expected = response ? parseInt(response.headers['content-length'], 10) : NaN;
+
+                if (!response || !response.complete || (!isNaN(expected) && received !== expected)) {
+                    failure = new Error(`${settings.url(dataset)} ended after ${received}${isNaN(expected) ? '' : ` of ${expected}`} bytes`);
+                }
+            }
+
+            if (!failure) return fs.rename(partial, file, callback);
+
+            // client errors such as a missing dataset won't go away by asking again
+            const permanent = response && response.statusCode >= 400 && response.statusCode < 500;
+
+            if (attempts <= settings.retries && !permanent) return attempt();
+
+            fs.unlink(partial, () => callback(failure));
+
+        });
+
+        req.on('error', fail);
+
+        req.on('data', chunk => {
+            received += chunk.length;
+        });
+
+        req.on('response', res => {
+            response = res;
+
+            if (res.statusCode >= 400) {
+                return fail(new Error(`${settings.url(dataset)} responded with HTTP ${res.statusCode}`));
+            }
+
+            res.on('aborted', () => fail(new Error(`${settings.url(dataset)} closed the connection after ${received} bytes`)));
+
+            req.pipe(out);
+
+        });
+
+    }
+
+    attempt();
+
+}
+
+// download datasets to a directory with at most `concurrency` requests at a
+// time.  Datasets that were already downloaded are skipped.  Calls back with
+// the first error or a list of {dataset, file, skipped} results.
+function fetch(list, directory, options, callback) {
+    const settings = Object.assign({ url: exportURL }, defaults, options);
+    const results = new Array(list.length);
+    let started = 0;
+    let finished = 0;
+    let failed = false;
+
+    if (list.length === 0) {
+        return process.nextTick(() => callback(null, results));
+    }
+
+    function start() {
+        const index = started++;
+        const dataset = list[index];
+        const file = datasetFile(directory, dataset);
+
+        const done = (err, skipped) => {
+            if (failed) return;
+
+            if (err) {
+                failed = true;
+                return callback(err);
+            }
+
+            results[index] = { dataset: dataset, file: file, skipped: skipped };
+
+            if (settings.progress) settings.progress(results[index]);
+
+            finished++;
+
+            if (finished === list.length) return callback(null, results);
+            if (started < list.length) start();
+
+        };
+
+        fs.stat(file, (err, stats) => {
+            if (!err && stats.isFile()) return done(null, true);
+
+            fetchDataset(dataset, directory, settings, err => done(err, false));
+
+        });
+
+    }
+
+    for (let i = 0; i < Math.min(settings.concurrency, list.length); i++) {
+        start();
+    }
+
+}
+
+// stream the features of a list of GeoJSON files into one FeatureCollection,
+// keeping only `fields` of each feature's properties when given.  The output
+// is written to a temporary file that's only renamed once complete.  Calls
+// back with the number of features written.
+function merge(files, output, fields, callback) {
+    const partial = `${output}.part`;
+    const out = fs.createWriteStream(partial);
+    let count = 0;
+    let index = 0;
+    let failure;
+
+    function fail(err) {
+        if (failure) return;
+        failure = err;
+        out.end();
+    }
+
+    out.on('error', fail);
+
+    out.on('close', () => {
+        if (failure) return fs.unlink(partial, () => callback(failure));
+
+        fs.rename(partial, output, err => callback(err, err ? undefined : count));
+
+    });
+
+    function next() {
+        if (index >= files.length) {
+            return out.end('\n]}\n');
+        }
+
+        const file = files[index++];
+        const parser = JSONStream.parse('features.*');
+
+        parser.on('data', feature => {
+            if (failure) return;
+
+            if (fields) {
+                feature.properties = _.pick(feature.properties || {}, fields);
+            }
+
+            // pause while the output catches up
+            if (!out.write(`${count++ > 0 ? ',\n' : ''}${JSON.stringify(feature)}`)) {
+                parser.pause();
+                out.once('drain', () => parser.resume());
+            }
+
+        });
+
+        parser.on('error', err => fail(new Error(`${file}: ${err.message}`)));
+        parser.on('end', () => {
+            if (!failure) next();
+        });
+
+        fs.createReadStream(file).on('error', fail).pipe(parser);
+
+    }
+
+    out.write('{"type":"FeatureCollection","features":[\n');
+    next();
+
+}
+
+module.exports = {
+    defaults: defaults,
+    datasets: datasets,
+    check: check,
+    exportURL: exportURL,
+    fetch: fetch,
+    merge: merge
+};
@@ -0,0 +1,102 @@
+'use strict';
+
+const path = require('path');
+
+// Bilingual data is read by sibling sources, one per language, eg
+// sources/fi/uusimaa-fi.json and sources/fi/uusimaa-sv.json.  Each sibling
+// lists the others in `translations` so consumers can find them and merge the
+// languages by `conform.id`:
+//
+//     "translations": [{"source": "sources/fi/uusimaa-sv.json", "language": "sv"}]
+//
+// A link is only useful if it's reciprocal, between different languages, and
+// both sides have an id to merge on.
+
+// siblings that aren't linked since they can't be merged yet, by source path.
+// The Brussels UrbIS address points are read without an id, and linking them
+// is left until someone finds the field that identifies an address in both
+// languages and adds it as `conform.id`.
+const unlinked = {
+    'sources/be/bru/brussels-fr.json': { source: 'sources/be/bru/brussels-nl.json', language: 'nl' },
+    'sources/be/bru/brussels-nl.json': { source: 'sources/be/bru/brussels-fr.json', language: 'fr' }
+};
+
+// source paths compared regardless of separators and unicode normalization,
+// since file names like etelä-savo-fi.json come from the filesystem
+function samePath(a, b) {
+    const normalize = file => path.normalize(file).normalize('NFC').split(path.sep).join('/');
+
+    return normalize(a) === normalize(b);
+
+}
+
+// return a list of messages describing the broken links in the translations of
+// the source at `file`.  `read(file)` returns the sibling source at a path, or
+// undefined if there's none.
+function check(file, source, read) {
+    if (!Array.isArray(source.translations)) return [];
+
+    const messages = [];
+
+    if (typeof source.language !== 'string') {
+        messages.push('language is required for sources with translations');
+    }
+
+    if (!source.conform || source.conform.id === undefined) {
+        messages.push('conform.id is required for sources with translations');
+    }
+
+    source.translations.forEach(translation => {
+        const link = `translations link to ${translation.source}`;
+
+        if (samePath(translation.source, file)) {
+            return messages.push(`${link} which is this source`);
+        }
+
+        const sibling = read(translation.source);
+
+        if (!sibling) {
+            return messages.push(`${link} which does not exist`);
+        }
+
+        if (translation.language !== sibling.language) {
+            messages.push(`${link} in "${translation.language}" but its language is "${sibling.language}"`);
+        }
+
+        if (translation.language === source.language) {
+            messages.push(`${link} in "${translation.language}", the language of this source`);
+        }
+
+        if (!sibling.conform || sibling.conform.id === undefined) {
+            messages.push(`${link} which has no conform.id`);
+        }
+
+        const links = Array.isArray(sibling.translations) ? sibling.translations : [];
+
+        if (!links.some(other => samePath(other.source, file))) {
+            messages.push(`${link} which does not link back`);
+        }
+
+    });
+
+    return messages;
+
+}
+
+// return a list of messages about the source at `file` if it's a known sibling
+// that isn't linked.  These don't fail the source.
+function warnings(file, source) {
+    const sibling = Object.keys(unlinked).find(other => samePath(other, file));
+
+    if (!sibling || Array.isArray(source.translations)) return [];
+
+    const translation = unlinked[sibling];
+
+    return [`not linked to its "${translation.language}" translation ${translation.source} since neither defines conform.id`];
+
+}
+
+module.exports = {
+    check: check,
+    warnings: warnings
+};
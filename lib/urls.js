@@ -0,0 +1,327 @@
+'use strict';
+
+const net = require('net');
+const url = require('url');
+const request = require('request');
+
+// Check that the `data` URL of sources can be reached without downloading the
+// data itself:
+//
+// - http(s) URLs are requested and the request aborted once the response
+//   status is known
+// - ESRI layers are requested with `?f=json`, the service description has to
+//   be JSON without an `error`
+// - ftp URLs are checked with SIZE or MDTM, falling back to CWD for directories
+//
+// Network errors, timeouts and 5xx responses are retried, anything else is a
+// definite answer.
+
+const defaults = {
+    concurrency: 8,
+    timeout: 30000,
+    retries: 2
+};
+
+// append f=json to the URL of an ESRI layer
+function esriURL(data) {
+    const parsed = url.parse(data, true);
+
+    delete parsed.search;
+    parsed.query.f = 'json';
+
+    return url.format(parsed);
+
+}
+
+function probeHTTP(target, esri, timeout, callback) {
+    let done = false;
+
+    function finish(result) {
+        if (done) return;
+        done = true;
+        callback(result);
+    }
+
+    const req = request({
+        url: target,
+        method: 'GET',
+        timeout: timeout,
+        headers: { 'User-Agent': 'openaddresses check-urls' }
+    });
+
+    req.on('error', err => finish({ ok: false, retry: true, error: err.code === 'ETIMEDOUT' || err.code === 'ESOCKETTIMEDOUT' ? 'timed out' : err.message }));
+
+    req.on('response', res => {
+        const status = res.statusCode;
+
+        if (status >= 400) {
+            req.abort();
+            return finish({ ok: false, retry: status >= 500, status: status, error: `HTTP ${status}` });
+        }
+
+        if (!esri) {
+            req.abort();
+            return finish({ ok: true, status: status });
+        }
+
+        // ESRI services report errors in the body of a 200 response
+        const chunks = [];
+
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+            let body;
+
+            try {
+                body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            } catch (err) {
+                return finish({ ok: false, retry: false, status: status, error: 'ESRI service did not respond with JSON' });
+            }
+
+            if (body.error) {
+                const code = body.error.code;
+
+                return finish({
+                    ok: false,
+                    retry: code >= 500,
+                    status: status,
+                    error: `ESRI error${code ? ` ${code}` : ''}: ${body.error.message || 'unknown error'}`
+                });
+            }
+
+            finish({ ok: true, status: status });
+
+        });
+
+    });
+
+}
+
+// a minimal FTP conversation: log in, then ask for the size or modification
+// time of the file, or change to it in case it's a directory
+function probeFTP(target, timeout, callback) {
+    const parsed = url.parse(target);
+    const auth = (parsed.auth || 'anonymous:anonymous').split(':');
+    const path = decodeURIComponent(parsed.pathname || '/');
+    const commands = [
+        { send: `USER ${auth[0]}`, expect: /^[23]/ },
+        { send: `PASS ${auth.slice(1).join(':')}`, expect: /^2/, when: previous => /^3/.test(previous) },
+        { send: 'TYPE I', expect: /^2/ },
+        { send: `SIZE ${path}`, expect: /^213/, found: true },
+        { send: `MDTM ${path}`, expect: /^213/, found: true },
+        { send: `CWD ${path}`, expect: /^250/, found: true }
+    ];
+
+    const socket = net.connect(parsed.port || 21, parsed.hostname);
+    let buffer = '';
+    let step = -1;
+    let previous = '';
+    let done = false;
+
+    function finish(result) {
+        if (done) return;
+        done = true;
+        socket.end('QUIT\r\n');
+        socket.destroy();
+        callback(result);
+    }
+
+    function next() {
+        step++;
+
+        while (step < commands.length && commands[step].when && !commands[step].when(previous)) {
+            step++;
+        }
+
+        if (step >= commands.length) {
+            return finish({ ok: false, retry: false, status: parseInt(previous, 10), error: `FTP ${previous}` });
+        }
+
+        socket.write(`${commands[step].send}\r\n`);
+
+    }
+
+    function reply(line) {
+        previous = line;
+
+        if (step < 0) {
+            return /^220/.test(line) ? next() : finish({ ok: false, retry: true, error: `FTP ${line}` });
+        }
+
+        const command = commands[step];
+
+        if (command.expect.test(line)) {
+            return command.found ? finish({ ok: true, status: parseInt(line, 10) }) : next();
+        }
+
+        // transient 4xx replies are worth retrying, 5xx are not
+        if (/^4/.test(line)) {
+            return finish({ ok: false, retry: true, status: parseInt(line, 10), error: `FTP ${line}` });
+        }
+
+        if (command.found) return next();
+
+        finish({ ok: false, retry: false, status: parseInt(line, 10), error: `FTP ${line}` });
+
+    }
+
+    socket.setTimeout(timeout, () => finish({ ok: false, retry: true, error: 'timed out' }));
+    socket.on('error', err => finish({ ok: false, retry: true, error: err.message }));
+    socket.on('close', () => finish({ ok: false, retry: true, error: 'connection closed' }));
+
+    socket.on('data', data => {
+        buffer += data.toString('utf8');
+
+        let index;
+
+        while ((index = buffer.indexOf('\n')) >= 0) {
+            const line = buffer.slice(0, index).replace(/\r$/, '');
+
+            buffer = buffer.slice(index + 1);
+
+            // the last line of a multi-line reply starts with the code and a space
+            if (/^\d{3} /.test(line) || /^\d{3}$/.test(line)) {
+                reply(line);
+            }
+        }
+
+    });
+
+}
+
+// return how a source's data URL should be probed
+function describe(source) {
+    const data = typeof source.data === 'string' ? source.data.trim() : '';
+    const protocol = (/^([a-z]+):/i.exec(data) || [])[1];
+
+    if (!protocol) return null;
+
+    if (source.type === 'ESRI') {
+        return { protocol: 'esri', url: esriURL(data) };
+    }
+
+    if (/^ftp$/i.test(protocol)) {
+        return { protocol: 'ftp', url: data };
+    }
+
+    if (/^https?$/i.test(protocol)) {
+        return { protocol: 'http', url: data };
+    }
+
+    return null;
+
+}
+
+// probe the data URL of a source, retrying transient failures
+function probe(source, options, callback) {
+    const settings = Object.assign({}, defaults, options);
+    const target = describe(source);
+    let attempts = 0;
+
+    if (!target) {
+        return process.nextTick(() => callback({ ok: false, url: source.data, error: 'data is not an http, https or ftp URL', attempts: 0 }));
+    }
+
+    function attempt() {
+        attempts++;
+
+        const done = result => {
+            if (!result.ok && result.retry && attempts <= settings.retries) {
+                return attempt();
+            }
+
+            callback({
+                ok: result.ok,
+                protocol: target.protocol,
+                url: target.url,
+                status: result.status,
+                error: result.error,
+                attempts: attempts
+            });
+
+        };
+
+        if (target.protocol === 'ftp') {
+            probeFTP(target.url, settings.timeout, done);
+        } else {
+            probeHTTP(target.url, target.protocol === 'esri', settings.timeout, done);
+        }
+
+    }
+
+    attempt();
+
+}
+
+// probe a list of {file, source} entries with at most `concurrency` requests
+// at a time, calling back with a result for each entry in the same order
+function check(entries, options, callback) {
+    const settings = Object.assign({}, defaults, options);
+    const results = new Array(entries.length);
+    let started = 0;
+    let finished = 0;
+
+    if (entries.length === 0) {
+        return process.nextTick(() => callback(results));
+    }
+
+    function start() {
+        const index = started++;
+        const entry = entries[index];
+
+        probe(entry.source, settings, result => {
+            results[index] = Object.assign({ file: entry.file, skip: entry.source.skip === true }, result);
+
+            if (settings.progress) settings.progress(results[index]);
+
+            finished++;
+
+            if (finished === entries.length) return callback(results);
+            if (started < entries.length) start();
+
+        });
+
+    }
+
+    for (let i = 0; i < Math.min(settings.concurrency, entries.length); i++) {
+        start();
+    }
+
+}
+
+// render the broken sources among a list of results as Markdown
+function toMarkdown(results) {
+    const broken = results.filter(result => !result.ok);
+    const lines = [
+        '# Data URL report',
+        '',
+        `${broken.length} of ${results.length} source(s) could not be reached.`,
+        ''
+    ];
+
+    if (broken.length > 0) {
+        lines.push('Source | URL | Error | Attempts', '------ | --- | ----- | --------');
+
+        broken.forEach(result => {
+            lines.push([
+                `${result.file}${result.skip ? ' (skipped)' : ''}`,
+                result.url,
+                result.error,
+                result.attempts
+            ].map(value => String(value).replace(/\|/g, '\\|')).join(' | '));
+        });
+
+        lines.push('');
+
+    }
+
+    return lines.join('\n');
+
+}
+
+module.exports = {
+    defaults: defaults,
+    describe: describe,
+    probe: probe,
+    check: check,
+    toMarkdown: toMarkdown
+};
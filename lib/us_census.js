@@ -0,0 +1,148 @@
+'use strict';
+
+const topojson = require('topojson-client');
+const topojsonServer = require('topojson-server');
+const topojsonSimplify = require('topojson-simplify');
+
+// Resolve the `coverage["US Census"].geoid` of a source to the boundary of the
+// state (2 digits), county (5 digits) or place (7 digits) it identifies.
+//
+// us_boundaries.json is the simplified, unprojected TopoJSON of the Census
+// Bureau's 2017 cartographic boundaries redistributed by us-atlas 3.0.1
+// (counties-10m.json), with geometries identified by FIPS code.  us-atlas has
+// no place boundaries, and no package this repository can depend on has them,
+// so place boundaries are only bundled once scripts/build-us-places.js adds a
+// `places` object from the Census Bureau's cartographic place boundaries.
+// Until then place geoids are only checked against the state they're in, and
+// warnings() says so for every source with one rather than passing it
+// silently.
+
+// geoid lengths and the topology objects holding their boundaries
+const levels = {
+    2: 'state',
+    5: 'county',
+    7: 'place'
+};
+
+const objects = {
+    state: 'states',
+    county: 'counties',
+    place: 'places'
+};
+
+let topology;
+let index;
+
+// decoding the topology takes a moment so it's only done when first needed
+function load() {
+    if (index) return index;
+
+    topology = require('./us_boundaries.json');
+    index = {};
+
+    Object.keys(levels).forEach(length => {
+        const object = topology.objects[objects[levels[length]]];
+        const geometries = new Map();
+
+        if (object) {
+            object.geometries.forEach(geometry => geometries.set(geometry.id, geometry));
+        }
+
+        index[levels[length]] = object ? geometries : null;
+
+    });
+
+    return index;
+
+}
+
+// return the level of a geoid, eg "county", or undefined
+function level(geoid) {
+    return typeof geoid === 'string' && /^[0-9]+$/.test(geoid) ? levels[geoid.length] : undefined;
+}
+
+// return true if boundaries for a level are bundled
+function hasLevel(name) {
+    return Boolean(load()[name]);
+}
+
+// return the GeoJSON geometry of a geoid, or null if it's unknown
+function resolve(geoid) {
+    const geometries = load()[level(geoid)];
+
+    if (!geometries || !geometries.has(geoid)) return null;
+
+    return topojson.feature(topology, geometries.get(geoid)).geometry;
+
+}
+
+// return a list of messages describing a `US Census` geoid that can't be
+// resolved.  Place geoids are checked against their state while there are no
+// place boundaries.
+function check(source) {
+    const census = (source.coverage || {})['US Census'];
+
+    if (!census || typeof census.geoid !== 'string') return [];
+
+    const name = level(census.geoid);
+
+    if (!name) {
+        return [`coverage["US Census"].geoid "${census.geoid}" is not a state, county or place FIPS code`];
+    }
+
+    if (name === 'place' && !hasLevel('place')) {
+        const state = census.geoid.slice(0, 2);
+
+        return resolve(state) ? [] : [`coverage["US Census"].geoid "${census.geoid}" is in unknown state "${state}"`];
+    }
+
+    return resolve(census.geoid) ? [] : [`coverage["US Census"].geoid "${census.geoid}" does not match any ${name}`];
+
+}
+
+// return a list of messages about a `US Census` geoid that could only be
+// checked in part.  These don't fail the source.
+function warnings(source) {
+    const census = (source.coverage || {})['US Census'];
+
+    if (!census || level(census.geoid) !== 'place' || hasLevel('place')) return [];
+
+    return [`coverage["US Census"].geoid "${census.geoid}" is only checked against its state since place boundaries aren't bundled, see scripts/build-us-places.js`];
+
+}
+
+// return a copy of a boundaries topology with a `places` object holding the
+// GeoJSON features of places, identified by their GEOID property.  The whole
+// topology is rebuilt so places share arcs with the counties around them, and
+// simplified to about the detail of us-atlas' 10m files.
+function addPlaces(boundaries, places, minWeight) {
+    const objects = {};
+
+    Object.keys(boundaries.objects).filter(name => name !== 'places').forEach(name => {
+        objects[name] = topojson.feature(boundaries, boundaries.objects[name]);
+    });
+
+    objects.places = {
+        type: 'FeatureCollection',
+        features: places.map(place => ({
+            type: 'Feature',
+            id: place.properties.GEOID,
+            properties: { name: place.properties.NAME },
+            geometry: place.geometry
+        }))
+    };
+
+    const built = topojsonSimplify.presimplify(topojsonServer.topology(objects), topojsonSimplify.sphericalTriangleArea);
+
+    return topojson.quantize(topojsonSimplify.simplify(built, minWeight === undefined ? 1e-7 : minWeight), 1e5);
+
+}
+
+module.exports = {
+    addPlaces: addPlaces,
+    level: level,
+    hasLevel: hasLevel,
+    resolve: resolve,
+    check: check,
+    warnings: warnings
+};
@@ -0,0 +1,247 @@
+'use strict';
+
+const fips = require('./us_fips.json');
+
+// Check that the `US Census` block in the coverage of US sources agrees with
+// the rest of the coverage, and build the block for sources that lack one.
+//
+// - the state of the geoid has to be the state in `coverage.state`
+// - a county geoid has to be the county in `coverage.county`, or the city for
+//   independent cities such as Baltimore
+// - a place geoid has to be the city in `coverage.city`
+// - `name` has to be the official name of a county geoid and `state` the
+//   official name of the state
+//
+// us_fips.json holds the FIPS codes and official names of states and counties.
+// Place names are added to it by scripts/build-us-fips-places.js.  Until then
+// a place is known as long as its state is, and `coverage.city` is compared to
+// the name in the block instead of the official name; warnings() reports the
+// names that weren't checked.
+
+// state FIPS codes by lowercase postal code
+const statesByPostal = Object.keys(fips.states).reduce((states, code) => {
+    states[fips.states[code].postal.toLowerCase()] = code;
+    return states;
+}, {});
+
+// the suffixes of county names that sources tend to leave out
+const countySuffix = / (city and borough|census area|municipality|municipio|borough|parish|county|city)$/;
+
+// a name without the spelling variations sources use, eg "St. Mary's County"
+// and "Saint Marys County" both become "st marys county"
+function looseName(name) {
+    return String(name).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+        .replace(/^saint /, 'st ')
+        .replace(/['.]/g, '')
+        .replace(/-/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// the words sources and the Census Bureau add to the names of places, eg
+// "City of Auburn" and "Auburn city"
+const placePrefix = /^(city|town|village|borough|township) of /;
+const placeSuffix = / (city and borough|city|town|village|borough|township|municipality|cdp)$/;
+
+// true if two place names are the same once spelling variations and the words
+// for the kind of place are ignored
+function samePlace(a, b) {
+    const names = [a, b].map(name => looseName(name).replace(placePrefix, '').replace(placeSuffix, ''));
+
+    return names[0] === names[1];
+
+}
+
+// true if two county names are the same once spelling variations and the
+// suffix are ignored.  Only one suffix is removed so "James City" matches
+// "James City County".
+function sameCounty(a, b) {
+    const names = [looseName(a), looseName(b)];
+    const short = names.map(name => name.replace(countySuffix, ''));
+
+    return names[0] === names[1] || short[0] === short[1] || names[0] === short[1] || short[0] === names[1];
+
+}
+
+// return {level, state, name} for a geoid, or null if it's not known.  Until
+// place names are bundled, places are known as long as their state is but
+// have no name.
+function lookup(geoid) {
+    if (typeof geoid !== 'string') return null;
+
+    const state = fips.states[geoid.slice(0, 2)];
+
+    if (!state) return null;
+
+    if (geoid.length === 2) return { level: 'state', state: state.name, name: state.name };
+    if (geoid.length === 5) return fips.counties[geoid] ? { level: 'county', state: state.name, name: fips.counties[geoid] } : null;
+    if (geoid.length === 7 && !fips.places) return { level: 'place', state: state.name, name: undefined };
+    if (geoid.length === 7) return fips.places[geoid] ? { level: 'place', state: state.name, name: fips.places[geoid] } : null;
+
+    return null;
+
+}
+
+// return the geoid of the county in the state with postal code `state` whose
+// name matches `test`, or undefined
+function findCounty(state, test) {
+    const code = statesByPostal[String(state).toLowerCase()];
+
+    if (!code) return undefined;
+
+    return Object.keys(fips.counties).find(geoid => geoid.slice(0, 2) === code && test(fips.counties[geoid]));
+
+}
+
+// return the geoid of the place in the state with postal code `state` named
+// `city`, or undefined.  Places can only be found once their names are bundled.
+function findPlace(state, city) {
+    const code = statesByPostal[String(state).toLowerCase()];
+
+    if (!code || !fips.places) return undefined;
+
+    return Object.keys(fips.places).find(geoid => geoid.slice(0, 2) === code && samePlace(fips.places[geoid], city));
+
+}
+
+// return the `US Census` block for a source covering a single county, an
+// independent city or a place, or undefined if it can't be determined
+function fill(source) {
+    const coverage = source.coverage || {};
+    let geoid;
+
+    if (typeof coverage.county === 'string' && coverage.city === undefined) {
+        geoid = findCounty(coverage.state, name => sameCounty(name, coverage.county));
+    } else if (coverage.county === undefined && typeof coverage.city === 'string') {
+        geoid = findCounty(coverage.state, name => looseName(name) === looseName(`${coverage.city} city`)) ||
+            findPlace(coverage.state, coverage.city);
+    }
+
+    if (!geoid) return undefined;
+
+    return { geoid: geoid, name: lookup(geoid).name, state: fips.states[geoid.slice(0, 2)].name };
+
+}
+
+// return a list of messages describing how the `US Census` block of a source
+// disagrees with its coverage or the official names
+function check(source) {
+    const coverage = source.coverage || {};
+    const census = coverage['US Census'];
+
+    if (!census || typeof census.geoid !== 'string') return [];
+
+    const official = lookup(census.geoid);
+    const messages = [];
+
+    if (!official) {
+        return [`coverage["US Census"].geoid "${census.geoid}" is not a known state, county or place FIPS code`];
+    }
+
+    // the state may be given by its postal code or its name
+    const state = typeof coverage.state === 'string' ? coverage.state.toLowerCase() : undefined;
+
+    if (state !== undefined && statesByPostal[state] !== census.geoid.slice(0, 2) && state !== official.state.toLowerCase()) {
+        messages.push(`coverage.state "${coverage.state}" does not match coverage["US Census"].geoid "${census.geoid}" in ${official.state}`);
+    }
+
+    if (official.level === 'county') {
+        const local = typeof coverage.county === 'string' ? 'county' : 'city';
+
+        if (typeof coverage[local] === 'string' && !sameCounty(coverage[local], official.name)) {
+            messages.push(`coverage.${local} "${coverage[local]}" does not match coverage["US Census"].geoid "${census.geoid}" ${official.name}`);
+        }
+    }
+
+    if (official.level === 'place') {
+        const name = official.name === undefined ? census.name : official.name;
+
+        if (typeof coverage.city === 'string' && typeof name === 'string' && !samePlace(coverage.city, name)) {
+            messages.push(`coverage.city "${coverage.city}" does not match coverage["US Census"].geoid "${census.geoid}" ${name}`);
+        }
+    }
+
+    // the name of a state is optional since it's the same as `state`
+    if ((official.name !== undefined && official.level !== 'state' && census.name !== official.name) || (official.level === 'state' && census.name !== undefined && census.name !== official.name)) {
+        messages.push(`coverage["US Census"].name should be "${official.name}"${census.name === undefined ? '' : `, not "${census.name}"`}`);
+    }
+
+    if (census.state !== official.state) {
+        messages.push(`coverage["US Census"].state should be "${official.state}"${census.state === undefined ? '' : `, not "${census.state}"`}`);
+    }
+
+    return messages;
+
+}
+
+// return a list of messages about `US Census` names that could only be
+// checked in part.  These don't fail the source.
+function warnings(source) {
+    const census = (source.coverage || {})['US Census'];
+    const official = census ? lookup(census.geoid) : undefined;
+
+    if (!official || official.level !== 'place' || official.name !== undefined) return [];
+
+    return [`coverage["US Census"].name of geoid "${census.geoid}" isn't checked since place names aren't bundled, see scripts/build-us-fips-places.js`];
+
+}
+
+// return the source with a missing `US Census` block filled in and the names
+// of an existing one replaced by the official names of its geoid
+function migrate(source) {
+    const coverage = source.coverage || {};
+    const census = coverage['US Census'];
+
+    if (String(coverage.country).toLowerCase() !== 'us') return source;
+
+    if (!census) {
+        const filled = fill(source);
+
+        if (filled) coverage['US Census'] = filled;
+
+        return source;
+    }
+
+    const official = lookup(census.geoid);
+
+    if (!official) return source;
+
+    if ((official.name !== undefined && official.level !== 'state') || (official.level === 'state' && census.name !== undefined)) {
+        census.name = official.name;
+    }
+
+    census.state = official.state;
+
+    return source;
+
+}
+
+// return the official place names by geoid from the text of the Census
+// Bureau's pipe-delimited national_places.txt
+function parsePlaces(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim().length > 0);
+    const header = lines.shift().split('|');
+    const column = name => header.indexOf(name);
+
+    return lines.reduce((places, line) => {
+        const values = line.split('|');
+
+        places[values[column('STATEFP')] + values[column('PLACEFP')]] = values[column('PLACENAME')];
+
+        return places;
+
+    }, {});
+
+}
+
+module.exports = {
+    parsePlaces: parsePlaces,
+    looseName: looseName,
+    samePlace: samePlace,
+    sameCounty: sameCounty,
+    lookup: lookup,
+    fill: fill,
+    check: check,
+    warnings: warnings,
+    migrate: migrate
+};
@@ -0,0 +1,44 @@
+'use strict';
+
+// Write an index of sources as catalog.geojson, one feature per source, and
+// catalog.csv with the same properties and a representative point per source,
+// see lib/catalog.js.
+//
+//     node scripts/build-catalog.js [--country us] [--glob 'sources/us/**/*.json']
+//         [--list sources.txt] [--directory .] [sources/xx/file.json ...]
+//
+// Without any selection every source is included.  Both files are written to
+// --directory, which defaults to the current directory.
+
+const fs = require('fs');
+const path = require('path');
+const manifest = require('../lib/manifest');
+const catalog = require('../lib/catalog');
+
+const usage = 'usage: node scripts/build-catalog.js [--country us] [--glob pattern] [--list sources.txt] [--directory .] [sources/xx/file.json ...]';
+
+let options;
+
+try {
+    options = manifest.parseArgs(process.argv.slice(2), { '--directory': 'directory' });
+} catch (err) {
+    console.error(err.message);
+    console.error(usage);
+    process.exit(1);
+}
+
+if (options.rest.length > 0) {
+    console.error(`unknown option(s): ${options.rest.join(', ')}`);
+    process.exit(1);
+}
+
+const directory = options.directory || '.';
+
+const entries = manifest.readSources(manifest.select(options));
+
+const result = catalog.build(entries);
+
+fs.writeFileSync(path.join(directory, 'catalog.geojson'), catalog.toGeoJSON(result));
+fs.writeFileSync(path.join(directory, 'catalog.csv'), catalog.toCSV(result));
+
+console.error(`wrote ${result.features.length} source(s) to ${path.join(directory, 'catalog.geojson')} and ${path.join(directory, 'catalog.csv')}`);
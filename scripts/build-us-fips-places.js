@@ -0,0 +1,37 @@
+'use strict';
+
+// Add the official place names to lib/us_fips.json so the place geoids of US
+// sources can be checked and filled in like those of counties, see
+// lib/us_fips.js.
+//
+//     node scripts/build-us-fips-places.js national_places.txt
+//
+// national_places.txt is the Census Bureau's list of place FIPS codes, from
+// https://www.census.gov/geo/reference/codes/place.html.  Running it again
+// replaces the places added before.
+
+const fs = require('fs');
+const path = require('path');
+const format = require('../lib/format');
+const usFips = require('../lib/us_fips');
+
+const file = process.argv[2];
+const output = path.join(__dirname, '..', 'lib', 'us_fips.json');
+
+if (!file) {
+    console.error('usage: node scripts/build-us-fips-places.js national_places.txt');
+    process.exit(1);
+}
+
+const text = fs.readFileSync(output, 'utf8');
+const fips = JSON.parse(text);
+const places = usFips.parsePlaces(fs.readFileSync(file, 'utf8'));
+
+// places are written in geoid order by hand since objects put numeric keys
+// first, and the rest of the file keeps its layout
+const entries = Object.keys(places).sort().map(geoid => `        ${JSON.stringify(geoid)}: ${JSON.stringify(places[geoid])}`);
+
+delete fips.places;
+
+fs.writeFileSync(output, format.serialize(fips, text).replace(/\n\}\n$/, `,\n    "places": {\n${entries.join(',\n')}\n    }\n}\n`));
+console.error(`added ${entries.length} place(s) to ${output}`);
@@ -0,0 +1,31 @@
+'use strict';
+
+// Add place boundaries to lib/us_boundaries.json so the 7-digit place geoids
+// of US sources resolve, see lib/us_census.js.
+//
+//     node scripts/build-us-places.js cb_2017_01_place_500k.json ...
+//
+// Each file is a GeoJSON FeatureCollection of the Census Bureau's cartographic
+// place boundaries for a state, converted from the shapefiles published at
+// https://www.census.gov/geo/maps-data/data/cbf/cbf_place.html with, for
+// example, `shp2json cb_2017_01_place_500k.shp` from the shapefile package.
+// Running it again replaces the places added before.
+
+const fs = require('fs');
+const path = require('path');
+const usCensus = require('../lib/us_census');
+
+const files = process.argv.slice(2);
+const output = path.join(__dirname, '..', 'lib', 'us_boundaries.json');
+
+if (files.length === 0) {
+    console.error('usage: node scripts/build-us-places.js cb_2017_xx_place_500k.json ...');
+    process.exit(1);
+}
+
+const places = files.reduce((places, file) => places.concat(JSON.parse(fs.readFileSync(file, 'utf8')).features), []);
+
+const boundaries = usCensus.addPlaces(JSON.parse(fs.readFileSync(output, 'utf8')), places);
+
+fs.writeFileSync(output, JSON.stringify(boundaries));
+console.error(`added ${places.length} place(s) to ${output}`);
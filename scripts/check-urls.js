@@ -0,0 +1,68 @@
+'use strict';
+
+// Probe the data URL of sources and write a report of those that can't be
+// reached, see lib/urls.js for how each kind of URL is checked.
+//
+//     node scripts/check-urls.js [--country us] [--glob 'sources/us/**/*.json']
+//         [--list sources.txt] [--concurrency 8] [--timeout 30000] [--retries 2]
+//         [--json] [--output report.md] [sources/xx/file.json ...]
+//
+// Without any selection every source is checked.  The report is Markdown
+// unless --json is given, and is written to stdout unless --output is given.
+// The exit code is 1 if any source could not be reached.
+
+const fs = require('fs');
+const manifest = require('../lib/manifest');
+const urls = require('../lib/urls');
+
+const usage = 'usage: node scripts/check-urls.js [--country us] [--glob pattern] [--list sources.txt] [--concurrency 8] [--timeout 30000] [--retries 2] [--json] [--output report.md] [sources/xx/file.json ...]';
+
+let options;
+
+try {
+    options = manifest.parseArgs(process.argv.slice(2), {
+        '--output': 'output',
+        '--concurrency': 'concurrency',
+        '--timeout': 'timeout',
+        '--retries': 'retries'
+    });
+} catch (err) {
+    console.error(err.message);
+    console.error(usage);
+    process.exit(1);
+}
+
+const json = options.rest.indexOf('--json') >= 0;
+
+const unknown = options.rest.filter(arg => arg !== '--json');
+
+if (unknown.length > 0) {
+    console.error(`unknown option(s): ${unknown.join(', ')}`);
+    process.exit(1);
+}
+
+const settings = {
+    progress: result => console.error(`${result.ok ? 'ok' : 'broken'}: ${result.file}${result.ok ? '' : ` (${result.error})`}`)
+};
+
+try {
+    Object.assign(settings, manifest.parseIntegers(options, { concurrency: 1, timeout: 1, retries: 0 }));
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
+
+const entries = manifest.readSources(manifest.select(options));
+
+urls.check(entries, settings, results => {
+    const report = json ? `${JSON.stringify(results.filter(result => !result.ok), null, 4)}\n` : urls.toMarkdown(results);
+
+    if (options.output) {
+        fs.writeFileSync(options.output, report);
+    } else {
+        process.stdout.write(report);
+    }
+
+    process.exit(results.every(result => result.ok) ? 0 : 1);
+
+});
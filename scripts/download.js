@@ -0,0 +1,77 @@
+'use strict';
+
+// Download the data of an ESRI, WFS or OGC API source as GeoJSON, paging
+// through the service, see lib/esri.js and lib/ogc.js.
+//
+//     node scripts/download.js [--output us-xx-city.geojson]
+//         [--page-size 1000] [--timeout 60000] [--retries 2]
+//         sources/xx/file.json
+//
+// Without --output the GeoJSON is written to the name of the source file with
+// a .geojson extension in the current directory.
+
+const fs = require('fs');
+const path = require('path');
+const manifest = require('../lib/manifest');
+const esri = require('../lib/esri');
+const ogc = require('../lib/ogc');
+
+const downloaders = {
+    ESRI: esri,
+    wfs: ogc,
+    ogcapi: ogc
+};
+
+const usage = 'usage: node scripts/download.js [--output file.geojson] [--page-size 1000] [--timeout 60000] [--retries 2] sources/xx/file.json';
+
+let options;
+
+try {
+    options = manifest.parseArgs(process.argv.slice(2), {
+        '--output': 'output',
+        '--page-size': 'pageSize',
+        '--timeout': 'timeout',
+        '--retries': 'retries'
+    });
+} catch (err) {
+    console.error(err.message);
+    console.error(usage);
+    process.exit(1);
+}
+
+if (options.rest.length > 0) {
+    console.error(`unknown option(s): ${options.rest.join(', ')}`);
+    process.exit(1);
+}
+
+if (options.files.length !== 1 || options.countries.length > 0 || options.patterns.length > 0 || options.lists.length > 0) {
+    console.error(usage);
+    process.exit(1);
+}
+
+const file = options.files[0];
+const source = JSON.parse(fs.readFileSync(file, 'utf8'));
+const output = options.output || `${path.basename(file, '.json')}.geojson`;
+const settings = {};
+
+if (!downloaders.hasOwnProperty(source.type)) {
+    console.error(`${file} is not an ESRI, wfs or ogcapi source`);
+    process.exit(1);
+}
+
+try {
+    Object.assign(settings, manifest.parseIntegers(options, { pageSize: 1, timeout: 1, retries: 0 }));
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
+
+downloaders[source.type].download(source, output, settings, (err, result) => {
+    if (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+
+    console.error(`wrote ${result.features} feature(s) from ${result.pages} page(s) to ${output}`);
+
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+// Download the Socrata datasets listed in a configuration and merge them into
+// one GeoJSON file, see lib/socrata.js for the configuration format.
+//
+//     node scripts/fetch-socrata.js [--directory data] [--output file.geojson]
+//         [--concurrency 4] [--timeout 120000] [--retries 2] config.json
+//
+// Datasets are downloaded to --directory, which defaults to `data` in the
+// current directory.  Rerunning the script skips datasets that were already
+// downloaded, delete them to download them again.  The merged output is
+// written to --output, defaulting to the configuration's `output` in the
+// download directory.
+
+const fs = require('fs');
+const path = require('path');
+const manifest = require('../lib/manifest');
+const socrata = require('../lib/socrata');
+
+const usage = 'usage: node scripts/fetch-socrata.js [--directory data] [--output file.geojson] [--concurrency 4] [--timeout 120000] [--retries 2] config.json';
+
+let options;
+
+try {
+    options = manifest.parseArgs(process.argv.slice(2), {
+        '--directory': 'directory',
+        '--output': 'output',
+        '--concurrency': 'concurrency',
+        '--timeout': 'timeout',
+        '--retries': 'retries'
+    });
+} catch (err) {
+    console.error(err.message);
+    console.error(usage);
+    process.exit(1);
+}
+
+if (options.rest.length > 0) {
+    console.error(`unknown option(s): ${options.rest.join(', ')}`);
+    process.exit(1);
+}
+
+if (options.files.length !== 1 || options.countries.length > 0 || options.patterns.length > 0 || options.lists.length > 0) {
+    console.error(usage);
+    process.exit(1);
+}
+
+const config = JSON.parse(fs.readFileSync(options.files[0], 'utf8'));
+const problems = socrata.check(config);
+
+if (problems.length > 0) {
+    problems.forEach(problem => console.error(`${options.files[0]}: ${problem}`));
+    process.exit(1);
+}
+
+const directory = options.directory || 'data';
+const output = options.output || path.join(directory, config.output || `${path.basename(options.files[0], '.json')}.geojson`);
+const datasets = socrata.datasets(config);
+let retrieved = 0;
+
+const settings = {
+    progress: result => {
+        retrieved++;
+        console.error(`${result.skipped ? 'already retrieved' : 'retrieved'} ${result.dataset.id} (${retrieved}/${datasets.length})`);
+    }
+};
+
+try {
+    Object.assign(settings, manifest.parseIntegers(options, { concurrency: 1, timeout: 1, retries: 0 }));
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
+
+if (!fs.existsSync(directory)) {
+    fs.mkdirSync(directory);
+}
+
+socrata.fetch(datasets, directory, settings, (err, results) => {
+    if (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+
+    socrata.merge(results.map(result => result.file), output, config.fields, (err, count) => {
+        if (err) {
+            console.error(err.message);
+            process.exit(1);
+        }
+
+        console.error(`wrote ${count} feature(s) from ${datasets.length} dataset(s) to ${output}`);
+
+    });
+
+});
@@ -0,0 +1,50 @@
+'use strict';
+
+// Write a report of sources that read the same data, warning about sources
+// with identical conform blocks.
+//
+//     node scripts/find-duplicates.js [--country us] [--glob 'sources/us/**/*.json']
+//         [--list sources.txt] [--json] [--output report.md] [sources/xx/file.json ...]
+//
+// Without any selection every source is checked.  The report is Markdown
+// unless --json is given, and is written to stdout unless --output is given.
+// Warnings are also printed to stderr.
+
+const fs = require('fs');
+const manifest = require('../lib/manifest');
+const duplicates = require('../lib/duplicates');
+
+const usage = 'usage: node scripts/find-duplicates.js [--country us] [--glob pattern] [--list sources.txt] [--json] [--output report.md] [sources/xx/file.json ...]';
+
+let options;
+
+try {
+    options = manifest.parseArgs(process.argv.slice(2), { '--output': 'output' });
+} catch (err) {
+    console.error(err.message);
+    console.error(usage);
+    process.exit(1);
+}
+
+const json = options.rest.indexOf('--json') >= 0;
+
+const unknown = options.rest.filter(arg => arg !== '--json');
+
+if (unknown.length > 0) {
+    console.error(`unknown option(s): ${unknown.join(', ')}`);
+    process.exit(1);
+}
+
+const entries = manifest.readSources(manifest.select(options));
+
+const groups = duplicates.find(entries);
+const warnings = duplicates.sameConforms(entries);
+const text = json ? `${JSON.stringify({ groups: groups, warnings: warnings }, null, 4)}\n` : duplicates.toMarkdown(groups, warnings);
+
+warnings.forEach(warning => console.error(`warning: ${warning}`));
+
+if (options.output) {
+    fs.writeFileSync(options.output, text);
+} else {
+    process.stdout.write(text);
+}
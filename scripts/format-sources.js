@@ -0,0 +1,68 @@
+'use strict';
+
+// Check sources against the formatting rules in CONTRIBUTING.md, or rewrite
+// them in place with --fix.
+//
+//     node scripts/format-sources.js [--fix] [--country us] [--glob 'sources/us/**/*.json']
+//         [--list sources.txt] [sources/xx/file.json ...]
+//
+// Without any selection every source is checked.  In check mode the exit code
+// is 1 if any source has a problem.
+
+const fs = require('fs');
+const manifest = require('../lib/manifest');
+const format = require('../lib/format');
+
+const usage = 'usage: node scripts/format-sources.js [--fix] [--country us] [--glob pattern] [--list sources.txt] [sources/xx/file.json ...]';
+
+let options;
+
+try {
+    options = manifest.parseArgs(process.argv.slice(2));
+} catch (err) {
+    console.error(err.message);
+    console.error(usage);
+    process.exit(1);
+}
+
+const fix = options.rest.indexOf('--fix') >= 0;
+
+const unknown = options.rest.filter(arg => arg !== '--fix');
+
+if (unknown.length > 0) {
+    console.error(`unknown option(s): ${unknown.join(', ')}`);
+    process.exit(1);
+}
+
+const files = manifest.select(options);
+
+let failed = 0;
+
+files.forEach(file => {
+    const text = fs.readFileSync(file, 'utf8');
+    let problems;
+
+    try {
+        problems = format.check(text);
+    } catch (err) {
+        console.error(`${file}: could not parse: ${err.message}`);
+        failed++;
+        return;
+    }
+
+    if (problems.length === 0) return;
+
+    if (fix) {
+        fs.writeFileSync(file, format.format(text));
+        console.log(`${file}: fixed`);
+    } else {
+        problems.forEach(problem => console.log(`${file}: ${problem}`));
+        failed++;
+    }
+
+});
+
+if (failed > 0) {
+    console.error(`${failed} of ${files.length} source(s) have problems${fix ? '' : ', run with --fix to correct them'}`);
+    process.exit(1);
+}
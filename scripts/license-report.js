@@ -0,0 +1,47 @@
+'use strict';
+
+// Write a report of the share-alike and attribution obligations of a set of
+// sources, along with any sources whose license is missing, presumed or in a
+// deprecated form.
+//
+//     node scripts/license-report.js [--country us] [--glob 'sources/us/ca/*.json']
+//         [--list sources.txt] [--json] [--output report.md] [sources/xx/file.json ...]
+//
+// Without any selection every source is included.  The report is Markdown
+// unless --json is given, and is written to stdout unless --output is given.
+
+const fs = require('fs');
+const manifest = require('../lib/manifest');
+const attribution = require('../lib/attribution');
+
+const usage = 'usage: node scripts/license-report.js [--country us] [--glob pattern] [--list sources.txt] [--json] [--output report.md] [sources/xx/file.json ...]';
+
+let options;
+
+try {
+    options = manifest.parseArgs(process.argv.slice(2), { '--output': 'output' });
+} catch (err) {
+    console.error(err.message);
+    console.error(usage);
+    process.exit(1);
+}
+
+const json = options.rest.indexOf('--json') >= 0;
+
+const unknown = options.rest.filter(arg => arg !== '--json');
+
+if (unknown.length > 0) {
+    console.error(`unknown option(s): ${unknown.join(', ')}`);
+    process.exit(1);
+}
+
+const entries = manifest.readSources(manifest.select(options));
+
+const result = attribution.report(entries);
+const text = json ? `${JSON.stringify(result, null, 4)}\n` : attribution.toMarkdown(result);
+
+if (options.output) {
+    fs.writeFileSync(options.output, text);
+} else {
+    process.stdout.write(text);
+}
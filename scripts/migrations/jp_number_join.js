@@ -0,0 +1,22 @@
+'use strict';
+
+// Japanese sources used to build house numbers with `advanced_merge`, this
+// replaces it with the equivalent `join` function.
+
+module.exports = {
+    description: 'replace advanced_merge in Japanese sources with a number join',
+    migrate: (source) => {
+        if (source.coverage.country !== 'jp') return source;
+
+        delete source.conform.advanced_merge;
+
+        source.conform.number = {
+            function: 'join',
+            fields: ['街区符号・地番', '座標系番号'],
+            separator: '-'
+        };
+
+        return source;
+
+    }
+};
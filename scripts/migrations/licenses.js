@@ -0,0 +1,8 @@
+'use strict';
+
+const license = require('../../lib/license');
+
+module.exports = {
+    description: 'replace license URL strings and top-level attribution with license objects, adding SPDX identifiers',
+    migrate: license.migrate
+};
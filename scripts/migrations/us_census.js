@@ -0,0 +1,8 @@
+'use strict';
+
+const usFips = require('../../lib/us_fips');
+
+module.exports = {
+    description: 'fill in missing US Census blocks of US sources and use the official names of their geoids',
+    migrate: usFips.migrate
+};
@@ -1,23 +1,92 @@
-var glob = require('glob'),
-    fs = require('fs'),
-    request = require('request');
+'use strict';
 
-    var manifest = glob.sync('sources/**/*.json');
+// Run a named migration from scripts/migrations over sources.
+//
+//     node scripts/transform.js <migration> [--filter us] [--filter 'sources/us/ca/*.json']
+//         [--dry-run] [sources/xx/file.json ...]
+//
+// --filter takes a country code or a glob pattern and may be repeated, without
+// any filter or files every source is migrated.  Tags keep their order and
+// sources are only written when the migration changes them.  With --dry-run
+// nothing is written and the changes are printed as a unified diff instead.
+//
+// To write a migration add a module to scripts/migrations exporting a
+// `description` and a `migrate(source, file)` function returning the migrated
+// source, see lib/migrate.js.
 
-manifest.forEach(function(source) {
-    s = require(__dirname + '/../' + source);
+const fs = require('fs');
+const path = require('path');
+const manifest = require('../lib/manifest');
+const migrate = require('../lib/migrate');
+const diff = require('../lib/diff');
 
-    // ===== Transform Here =====
+const migrationsDirectory = path.join(__dirname, 'migrations');
 
-    if (s.coverage.country !== 'jp') return;
-    delete s.conform.advanced_merge;
-    s.conform.number = {
-        "function": "join",
-        "fields": ["\u8857\u533a\u7b26\u53f7\u30fb\u5730\u756a","\u5ea7\u6a19\u7cfb\u756a\u53f7"],
-        "separator": "-"
-    }
+function listMigrations() {
+    return fs.readdirSync(migrationsDirectory).filter(file => /\.js$/.test(file)).map(file => path.basename(file, '.js')).sort();
+}
+
+function usage() {
+    console.error('usage: node scripts/transform.js <migration> [--filter country|glob] [--dry-run] [files...]');
+    console.error('');
+    console.error('migrations:');
+
+    listMigrations().forEach(name => {
+        console.error(`    ${name}: ${require(path.join(migrationsDirectory, name)).description}`);
+    });
+
+    process.exit(1);
+
+}
+
+// a filter containing a slash or wildcard is a glob, otherwise a country
+const args = process.argv.slice(2).map((arg, index, all) => {
+    if (arg !== '--filter') return arg;
+
+    return /[\/*?{[]/.test(all[index + 1] || '') ? '--glob' : '--country';
+
+});
+
+let options;
 
-    // ===== End Transform ======
+try {
+    options = manifest.parseArgs(args);
+} catch (err) {
+    console.error(err.message);
+    usage();
+}
+
+const dryRun = options.rest.indexOf('--dry-run') >= 0;
+const unknown = options.rest.filter(arg => arg !== '--dry-run');
+const name = options.files.shift();
+
+if (unknown.length > 0 || !name) {
+    usage();
+}
+
+if (listMigrations().indexOf(name) < 0) {
+    console.error(`unknown migration: ${name}`);
+    usage();
+}
+
+const migration = require(path.join(migrationsDirectory, name));
+let changed = 0;
+
+manifest.select(options).forEach(file => {
+    const before = fs.readFileSync(file, 'utf8');
+    const after = migrate.apply(migration, file, before);
+
+    if (after === before) return;
+
+    changed++;
+
+    if (dryRun) {
+        process.stdout.write(diff.unified(file, before, after));
+    } else {
+        fs.writeFileSync(file, after);
+        console.error(`${file}: migrated`);
+    }
 
-    fs.writeFileSync(__dirname + '/../' + source, JSON.stringify(s, null, 4));
 });
+
+console.error(`${changed} source(s) ${dryRun ? 'would be ' : ''}changed by ${name}`);
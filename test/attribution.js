@@ -0,0 +1,96 @@
+const tape = require('tape');
+const attribution = require('../lib/attribution');
+
+const entries = [
+    {
+        file: 'sources/xx/odbl.json',
+        source: { license: { url: 'http://opendatacommons.org/licenses/odbl/1.0/', spdx: 'ODbL-1.0', attribution: true, 'attribution name': 'City A' } }
+    },
+    {
+        file: 'sources/xx/sa.json',
+        source: { license: { text: 'CC BY-SA', 'share-alike': true, presumed: true } }
+    },
+    {
+        file: 'sources/xx/city_a_too.json',
+        source: { license: { url: 'http://opendatacommons.org/licenses/odbl/1.0/', 'attribution name': 'City A', 'share-alike': false } }
+    },
+    {
+        file: 'sources/xx/no_attribution.json',
+        source: { license: { url: 'http://example.com/terms', attribution: false, 'attribution name': 'City B' } }
+    },
+    {
+        file: 'sources/xx/unnamed.json',
+        source: { license: { url: 'http://example.com/terms', attribution: true } }
+    },
+    {
+        file: 'sources/xx/missing.json',
+        source: { type: 'http' }
+    },
+    {
+        file: 'sources/xx/string.json',
+        source: { license: 'Unknown', attribution: 'City C' }
+    }
+];
+
+tape('attribution report tests', (test) => {
+    test.test('report should list obligations and problems', (t) => {
+        t.deepEquals(attribution.report(entries), {
+            sources: 7,
+            shareAlike: [
+                { file: 'sources/xx/odbl.json', url: 'http://opendatacommons.org/licenses/odbl/1.0/', spdx: 'ODbL-1.0', text: undefined },
+                { file: 'sources/xx/sa.json', url: undefined, spdx: undefined, text: 'CC BY-SA' }
+            ],
+            attributions: [
+                {
+                    name: 'City A',
+                    url: 'http://opendatacommons.org/licenses/odbl/1.0/',
+                    spdx: 'ODbL-1.0',
+                    files: ['sources/xx/odbl.json', 'sources/xx/city_a_too.json']
+                }
+            ],
+            unnamed: [
+                { file: 'sources/xx/unnamed.json', url: 'http://example.com/terms', spdx: undefined, text: undefined }
+            ],
+            missing: [
+                { file: 'sources/xx/missing.json' }
+            ],
+            presumed: [
+                { file: 'sources/xx/sa.json', url: undefined, spdx: undefined, text: 'CC BY-SA' }
+            ],
+            deprecated: [
+                { file: 'sources/xx/string.json', attribution: 'City C' },
+                { file: 'sources/xx/string.json', license: 'Unknown' }
+            ]
+        });
+        t.end();
+
+    });
+
+    test.test('markdown should contain every section', (t) => {
+        const markdown = attribution.toMarkdown(attribution.report(entries));
+
+        t.ok(/^# License report\n\n7 source\(s\) selected\.\n/.test(markdown), markdown);
+        t.ok(markdown.indexOf('- sources/xx/odbl.json: ODbL-1.0, http://opendatacommons.org/licenses/odbl/1.0/\n') >= 0, markdown);
+        t.ok(markdown.indexOf('City A | ODbL-1.0, http://opendatacommons.org/licenses/odbl/1.0/ | sources/xx/odbl.json<br>sources/xx/city_a_too.json\n') >= 0, markdown);
+        t.ok(markdown.indexOf('## Attribution name needed\n\nThese sources require attribution but don\'t name the copyright holder, read their license terms before redistributing them.\n\n- sources/xx/unnamed.json: http://example.com/terms\n') >= 0, markdown);
+        t.ok(markdown.indexOf('## Missing license\n\nThese sources have no license, their terms of use are unknown.\n\n- sources/xx/missing.json\n') >= 0, markdown);
+        t.ok(markdown.indexOf('- sources/xx/string.json: "Unknown"\n') >= 0, markdown);
+        t.end();
+
+    });
+
+    test.test('null license should be missing', (t) => {
+        t.deepEquals(attribution.report([{ file: 'sources/xx/null.json', source: { license: null } }]).missing, [
+            { file: 'sources/xx/null.json' }
+        ]);
+        t.end();
+
+    });
+
+    test.test('empty sections should say so', (t) => {
+        t.ok(attribution.toMarkdown(attribution.report([])).indexOf('## Share-alike\n\nNone.\n') >= 0);
+        t.end();
+
+    });
+
+});
@@ -0,0 +1,116 @@
+const tape = require('tape');
+const catalog = require('../lib/catalog');
+
+tape('catalog feature tests', (test) => {
+    test.test('coverage geometry should be used when present', (t) => {
+        const geometry = { type: 'Polygon', coordinates: [[[0, 0], [2, 0], [2, 4], [0, 4], [0, 0]]] };
+        const feature = catalog.feature('sources/xx/town.json', {
+            type: 'http',
+            coverage: { country: 'xx', state: 'yy', city: 'Town', geometry: geometry },
+            license: { spdx: 'CC-BY-SA-4.0', 'share-alike': true, 'attribution name': 'Town of Town' },
+            conform: { type: 'shapefile', accuracy: 2 }
+        });
+
+        t.deepEquals(feature, {
+            type: 'Feature',
+            properties: {
+                path: 'sources/xx/town.json',
+                country: 'xx',
+                state: 'yy',
+                county: null,
+                city: 'Town',
+                type: 'http',
+                conform_type: 'shapefile',
+                license: 'CC-BY-SA-4.0',
+                share_alike: true,
+                attribution: 'Town of Town',
+                skip: false,
+                accuracy: 2,
+                geometry_source: 'coverage'
+            },
+            geometry: geometry
+        });
+        t.end();
+
+    });
+
+    test.test('US Census geoid boundary should be used without coverage geometry', (t) => {
+        const feature = catalog.feature('sources/us/wa/king.json', {
+            type: 'http',
+            coverage: { country: 'us', state: 'wa', county: 'King', 'US Census': { geoid: '53033', name: 'King County', state: 'Washington' } }
+        });
+
+        t.ok(/Polygon$/.test(feature.geometry.type), `should be a polygon, got ${feature.geometry.type}`);
+        t.equals(feature.properties.geometry_source, 'US Census');
+        t.end();
+
+    });
+
+    test.test('country centroid should be the fallback', (t) => {
+        const feature = catalog.feature('sources/fr/countrywide.json', {
+            type: 'http',
+            coverage: { country: 'fr' },
+            license: 'http://example.com/license',
+            skip: true
+        });
+
+        t.equals(feature.geometry.type, 'Point');
+        t.ok(feature.geometry.coordinates[0] > -5 && feature.geometry.coordinates[0] < 8, 'longitude should be in France');
+        t.ok(feature.geometry.coordinates[1] > 42 && feature.geometry.coordinates[1] < 51, 'latitude should be in France');
+        t.equals(feature.properties.geometry_source, 'country');
+        t.equals(feature.properties.license, 'http://example.com/license');
+        t.equals(feature.properties.skip, true);
+        t.end();
+
+    });
+
+    test.test('ISO 3166 code should take precedence over the country', (t) => {
+        const fr = catalog.feature('sources/fr/a.json', { coverage: { country: 'fr' } });
+        const feature = catalog.feature('sources/fr/a.json', { coverage: { country: 'fr', 'ISO 3166': { alpha2: 'DE-BY' } } });
+
+        t.notDeepEqual(feature.geometry, fr.geometry);
+        t.end();
+
+    });
+
+    test.test('unknown country should have no geometry', (t) => {
+        const feature = catalog.feature('sources/zz/a.json', { coverage: { country: 'zz' } });
+
+        t.equals(feature.geometry, null);
+        t.equals(feature.properties.geometry_source, null);
+        t.end();
+
+    });
+
+});
+
+tape('catalog output tests', (test) => {
+    test.test('representative point should be the point or bounding box center', (t) => {
+        t.deepEquals(catalog.representativePoint({ type: 'Point', coordinates: [1, 2] }), [1, 2]);
+        t.deepEquals(catalog.representativePoint({ type: 'MultiPolygon', coordinates: [
+            [[[0, 0], [1, 0], [1, 1], [0, 0]]],
+            [[[3, 4], [4, 4], [4, 5], [3, 4]]]
+        ] }), [2, 2.5]);
+        t.equals(catalog.representativePoint(null), null);
+        t.end();
+
+    });
+
+    test.test('catalog should be written as GeoJSON and CSV', (t) => {
+        const result = catalog.build([
+            { file: 'sources/xx/a.json', source: { type: 'http', coverage: { country: 'xx', city: 'A, "B"', geometry: { type: 'Point', coordinates: [1, 2] } } } },
+            { file: 'sources/zz/b.json', source: { type: 'ftp', coverage: { country: 'zz' } } }
+        ]);
+
+        t.deepEquals(JSON.parse(catalog.toGeoJSON(result)), result);
+        t.equals(catalog.toCSV(result), [
+            'path,country,state,county,city,type,conform_type,license,share_alike,attribution,skip,accuracy,geometry_source,lon,lat',
+            'sources/xx/a.json,xx,,,"A, ""B""",http,,,,,false,,coverage,1,2',
+            'sources/zz/b.json,zz,,,,ftp,,,,,false,,,,',
+            ''
+        ].join('\r\n'));
+        t.end();
+
+    });
+
+});
@@ -0,0 +1,639 @@
+const tape = require('tape');
+const conform = require('../lib/conform');
+
+tape('conform attribute values', (test) => {
+    test.test('string attribute should copy the field value', (t) => {
+        t.equals(conform.evaluate({ ADDRESS: '123 Main St' }, 'ADDRESS'), '123 Main St');
+        t.end();
+
+    });
+
+    test.test('field names should be matched case-insensitively', (t) => {
+        t.equals(conform.evaluate({ Address: '123 Main St' }, 'ADDRESS'), '123 Main St');
+        t.end();
+
+    });
+
+    test.test('missing field should evaluate to empty string', (t) => {
+        t.equals(conform.evaluate({}, 'ADDRESS'), '');
+        t.end();
+
+    });
+
+    test.test('array attribute should join non-empty fields with a space', (t) => {
+        const row = { PRE: 'N', NAME: 'Main', TYPE: '', SUF: 'St' };
+
+        t.equals(conform.evaluate(row, ['PRE', 'NAME', 'TYPE', 'SUF']), 'N Main St');
+        t.end();
+
+    });
+
+    test.test('unsupported function should throw an error', (t) => {
+        t.throws(() => {
+            conform.evaluate({}, { function: 'unknown', field: 'a' });
+        }, /unsupported conform function: unknown/);
+        t.end();
+
+    });
+
+});
+
+tape('regexp function', (test) => {
+    test.test('captured groups should be concatenated when there is no replace', (t) => {
+        const fxn = {
+            function: 'regexp',
+            field: 'address',
+            pattern: '^([0-9]+)([A-Z]?) '
+        };
+
+        t.equals(conform.evaluate({ address: '123A Main St' }, fxn), '123A');
+        t.equals(conform.evaluate({ address: 'Main St' }, fxn), '', 'no match should return empty string');
+        t.end();
+
+    });
+
+    test.test('unmatched optional groups should be treated as empty', (t) => {
+        const fxn = {
+            function: 'regexp',
+            field: 'address',
+            pattern: '^([0-9]+)(?:-([0-9]+))? '
+        };
+
+        t.equals(conform.evaluate({ address: '123 Main St' }, fxn), '123');
+        t.end();
+
+    });
+
+    test.test('replace should substitute captured groups', (t) => {
+        const fxn = {
+            function: 'regexp',
+            field: 'zip',
+            pattern: '^([0-9]{5})-?([0-9]{4}|)$',
+            replace: '$1-$2'
+        };
+
+        t.equals(conform.evaluate({ zip: '123456789' }, fxn), '12345-6789');
+        t.equals(conform.evaluate({ zip: '12345' }, fxn), '12345-');
+        t.end();
+
+    });
+
+});
+
+tape('prefixed_number and postfixed_street functions', (test) => {
+    const number = { function: 'prefixed_number', field: 'address' };
+    const street = { function: 'postfixed_street', field: 'address' };
+
+    test.test('plain number and street should be split', (t) => {
+        t.equals(conform.evaluate({ address: '123 Main Street' }, number), '123');
+        t.equals(conform.evaluate({ address: '123 Main Street' }, street), 'Main Street');
+        t.end();
+
+    });
+
+    test.test('number with letter suffix should be extracted', (t) => {
+        t.equals(conform.evaluate({ address: '5117B W 16TH ST' }, number), '5117B');
+        t.equals(conform.evaluate({ address: '5117B W 16TH ST' }, street), 'W 16TH ST');
+        t.end();
+
+    });
+
+    test.test('fractional numbers should be extracted', (t) => {
+        t.equals(conform.evaluate({ address: '15 1/2 PELICAN HILL CI' }, number), '15 1/2');
+        t.equals(conform.evaluate({ address: '219-1/2 33RD ST' }, number), '219-1/2');
+        t.equals(conform.evaluate({ address: '219-1/2 33RD ST' }, street), '33RD ST');
+        t.end();
+
+    });
+
+    test.test('value without number should return empty number and entire street', (t) => {
+        t.equals(conform.evaluate({ address: 'Main Street' }, number), '');
+        t.equals(conform.evaluate({ address: 'Main Street' }, street), 'Main Street');
+        t.end();
+
+    });
+
+    test.test('may_contain_units should remove a trailing unit from the street', (t) => {
+        const fxn = { function: 'postfixed_street', field: 'address', may_contain_units: true };
+
+        t.equals(conform.evaluate({ address: '123 Maple Street Apt 4A' }, fxn), 'Maple Street');
+        t.equals(conform.evaluate({ address: '123 Maple Street #4A' }, fxn), 'Maple Street');
+        t.equals(conform.evaluate({ address: '123 Lotus Drive' }, fxn), 'Lotus Drive', 'designators must be whole words');
+        t.end();
+
+    });
+
+    test.test('may_contain_units should remove units in the language of the source', (t) => {
+        const fxn = { function: 'postfixed_street', field: 'address', may_contain_units: true };
+
+        t.equals(conform.evaluate({ address: '12 rue de la Paix app. 4' }, fxn, { language: 'fr' }), 'rue de la Paix');
+        t.equals(conform.evaluate({ address: '12 rue de la Paix app. 4' }, Object.assign({ language: 'es' }, fxn), { language: 'fr' }), 'rue de la Paix app. 4');
+        t.end();
+
+    });
+
+});
+
+tape('postfixed_number and prefixed_street functions', (test) => {
+    const number = { function: 'postfixed_number', field: 'address' };
+    const street = { function: 'prefixed_street', field: 'address' };
+
+    test.test('plain street and number should be split', (t) => {
+        t.equals(conform.evaluate({ address: 'Hauptstraße 12' }, number), '12');
+        t.equals(conform.evaluate({ address: 'Hauptstraße 12' }, street), 'Hauptstraße');
+        t.end();
+
+    });
+
+    test.test('number with letter suffix should be extracted', (t) => {
+        t.equals(conform.evaluate({ address: 'Hauptstraße 12a' }, number), '12a');
+        t.equals(conform.evaluate({ address: 'Bahnhofstr. 7 B' }, number), '7 B');
+        t.equals(conform.evaluate({ address: 'Bahnhofstr. 7 B' }, street), 'Bahnhofstr.');
+        t.end();
+
+    });
+
+    test.test('bis and ter markers should be extracted', (t) => {
+        t.equals(conform.evaluate({ address: 'Rue de Rivoli 12 bis' }, number), '12 bis');
+        t.equals(conform.evaluate({ address: 'Rue de Rivoli 12 bis' }, street), 'Rue de Rivoli');
+        t.equals(conform.evaluate({ address: 'Rue de Rivoli 3ter' }, number), '3ter');
+        t.end();
+
+    });
+
+    test.test('ranges and slashes should be extracted', (t) => {
+        t.equals(conform.evaluate({ address: 'Avenida 12-14' }, number), '12-14');
+        t.equals(conform.evaluate({ address: 'Avenida 12 - 14' }, street), 'Avenida');
+        t.equals(conform.evaluate({ address: 'Via Roma 12/3' }, number), '12/3');
+        t.equals(conform.evaluate({ address: 'Am Markt 4/1a' }, number), '4/1a');
+        t.equals(conform.evaluate({ address: 'Rondweg 25-k143' }, number), '25-k143');
+        t.equals(conform.evaluate({ address: 'Rondweg 25-k143' }, street), 'Rondweg');
+        t.end();
+
+    });
+
+    test.test('numbers within the street should be kept in the street', (t) => {
+        t.equals(conform.evaluate({ address: 'Straße des 17. Juni 5' }, number), '5');
+        t.equals(conform.evaluate({ address: 'Straße des 17. Juni 5' }, street), 'Straße des 17. Juni');
+        t.equals(conform.evaluate({ address: 'Ulica 3 Maja' }, number), '');
+        t.equals(conform.evaluate({ address: 'Ulica 3 Maja' }, street), 'Ulica 3 Maja');
+        t.end();
+
+    });
+
+    test.test('value without number should return empty number and entire street', (t) => {
+        t.equals(conform.evaluate({ address: 'Hauptstraße' }, number), '');
+        t.equals(conform.evaluate({ address: 'Hauptstraße' }, street), 'Hauptstraße');
+        t.end();
+
+    });
+
+});
+
+tape('postfixed_unit function', (test) => {
+    const unit = { function: 'postfixed_unit', field: 'address' };
+
+    test.test('unit designators should be recognized case-insensitively', (t) => {
+        ['Unit 3', 'APARTMENT 3', 'apt 3', 'Suite 300', 'STE 300', 'Building B', 'BLDG B', 'Lot 7', '#4A'].forEach(value => {
+            t.equals(conform.evaluate({ address: `123 Maple Street ${value}` }, unit), value);
+        });
+        t.end();
+
+    });
+
+    test.test('value without a unit should return empty string', (t) => {
+        t.equals(conform.evaluate({ address: '123 Maple Street' }, unit), '');
+        t.end();
+
+    });
+
+    test.test('language parameter should select the designators', (t) => {
+        [
+            ['fr', '12 rue de la Paix app. 4', 'app. 4'],
+            ['fr', '12 rue de la Paix Bât B', 'Bât B'],
+            ['fr', '12 rue de la Paix Bureau 210', 'Bureau 210'],
+            ['es', '1234 Av Corrientes Piso 3 Depto B', 'Piso 3 Depto B'],
+            ['es', '1234 Av Corrientes Dpto. 7', 'Dpto. 7'],
+            ['de', '5 Hauptstraße Whg. 3', 'Whg. 3'],
+            ['de', '5 Hauptstraße Stiege 2 Top 5', 'Stiege 2 Top 5']
+        ].forEach(test => {
+            t.equals(conform.evaluate({ address: test[1] }, Object.assign({ language: test[0] }, unit)), test[2]);
+        });
+        t.end();
+
+    });
+
+    test.test('designators should not match the start of longer words', (t) => {
+        t.equals(conform.evaluate({ address: '12 Rue du Bâtonnier' }, Object.assign({ language: 'fr' }, unit)), '');
+        t.equals(conform.evaluate({ address: '5 Topstraße' }, Object.assign({ language: 'de' }, unit)), '');
+        t.end();
+
+    });
+
+    test.test('only English should recognize # as a designator', (t) => {
+        t.equals(conform.evaluate({ address: '12 Calle 10 #5' }, Object.assign({ language: 'es' }, unit)), '');
+        t.equals(conform.evaluate({ address: '12 Calle 10 #5' }, unit), '#5');
+        t.end();
+
+    });
+
+    test.test('language of the source should be used without a parameter', (t) => {
+        t.equals(conform.evaluate({ address: '5 Hauptstraße Whg. 3' }, unit, { language: 'de' }), 'Whg. 3');
+        t.equals(conform.evaluate({ address: '5 Hauptstraße Whg. 3' }, Object.assign({ language: 'en' }, unit), { language: 'de' }), '');
+        t.end();
+
+    });
+
+    test.test('languages without designators should fall back to English', (t) => {
+        t.equals(conform.evaluate({ address: '5 Mannerheimintie Apt 3' }, unit, { language: 'fi' }), 'Apt 3');
+        t.end();
+
+    });
+
+    test.test('designator languages should be the ones allowed by the schema', (t) => {
+        const schema = require('../schema/source_schema.json');
+        const languages = Object.keys(require('../lib/unit_designators.json')).sort();
+
+        t.deepEquals(schema.definitions.function_postfixed_unit.properties.language.enum, languages);
+        t.deepEquals(schema.definitions.function_postfixed_street.properties.language.enum, languages);
+        t.end();
+
+    });
+
+});
+
+tape('remove_prefix and remove_postfix functions', (test) => {
+    test.test('remove_prefix should remove a prefixing field value', (t) => {
+        const fxn = { function: 'remove_prefix', field: 'FULL_NAME', field_to_remove: 'ADDR_NUM' };
+
+        t.equals(conform.evaluate({ ADDR_NUM: '2130', FULL_NAME: '2130 MAPLE AV NE' }, fxn), 'MAPLE AV NE');
+        t.equals(conform.evaluate({ ADDR_NUM: '17', FULL_NAME: '2130 MAPLE AV NE' }, fxn), '2130 MAPLE AV NE');
+        t.end();
+
+    });
+
+    test.test('remove_postfix should remove a postfixing field value', (t) => {
+        const fxn = { function: 'remove_postfix', field: 'ADDRESS', field_to_remove: 'UNIT' };
+
+        t.equals(conform.evaluate({ ADDRESS: 'WOOD ST APT 3', UNIT: 'APT 3' }, fxn), 'WOOD ST');
+        t.equals(conform.evaluate({ ADDRESS: 'WOOD ST', UNIT: '' }, fxn), 'WOOD ST');
+        t.end();
+
+    });
+
+});
+
+tape('join and format functions', (test) => {
+    test.test('join should use the separator and skip empty fields', (t) => {
+        const fxn = { function: 'join', fields: ['prefix', 'number'], separator: '-' };
+
+        t.equals(conform.evaluate({ prefix: '91', number: '921' }, fxn), '91-921');
+        t.equals(conform.evaluate({ prefix: '', number: '921' }, fxn), '921');
+        t.end();
+
+    });
+
+    test.test('join should default to a space separator', (t) => {
+        const fxn = { function: 'join', fields: ['a', 'b'] };
+
+        t.equals(conform.evaluate({ a: 'Main', b: 'St' }, fxn), 'Main St');
+        t.end();
+
+    });
+
+    test.test('format should omit literals preceding empty fields', (t) => {
+        const fxn = {
+            function: 'format',
+            fields: ['huisnummer', 'huisletter', 'huisnummertoevoeging'],
+            format: '$1$2-$3'
+        };
+
+        t.equals(conform.evaluate({ huisnummer: '25', huisletter: 'k', huisnummertoevoeging: '143' }, fxn), '25k-143');
+        t.equals(conform.evaluate({ huisnummer: '123', huisletter: '', huisnummertoevoeging: 'm' }, fxn), '123-m');
+        t.equals(conform.evaluate({ huisnummer: '4', huisletter: '', huisnummertoevoeging: '' }, fxn), '4');
+        t.equals(conform.evaluate({}, fxn), '', 'no values should return empty string');
+        t.end();
+
+    });
+
+});
+
+tape('map function', (test) => {
+    const fxn = { function: 'map', field: 'BLDG_CODE', map: { '1': 'residential', '2': 'commercial' } };
+
+    test.test('values should be translated through the map', (t) => {
+        t.equals(conform.evaluate({ BLDG_CODE: '2' }, fxn), 'commercial');
+        t.equals(conform.evaluate({ BLDG_CODE: 1 }, fxn), 'residential', 'numeric values should be looked up as strings');
+        t.end();
+
+    });
+
+    test.test('values missing from the map should be kept without a default', (t) => {
+        t.equals(conform.evaluate({ BLDG_CODE: '9' }, fxn), '9');
+        t.equals(conform.evaluate({ BLDG_CODE: 'constructor' }, fxn), 'constructor', 'inherited properties are not in the map');
+        t.end();
+
+    });
+
+    test.test('values missing from the map should become the default', (t) => {
+        const withDefault = Object.assign({ default: '' }, fxn);
+
+        t.equals(conform.evaluate({ BLDG_CODE: '9' }, withDefault), '');
+        t.equals(conform.evaluate({}, Object.assign({ default: 'other' }, fxn)), 'other');
+        t.end();
+
+    });
+
+    test.test('map should translate the result of the previous step of a chain', (t) => {
+        const chain = {
+            function: 'chain',
+            variable: 'code',
+            functions: [
+                { function: 'regexp', field: 'DISTRICT', pattern: '^(\\d+)' },
+                { function: 'map', field: 'code', map: { '1': 'Mitte' } }
+            ]
+        };
+
+        t.equals(conform.evaluate({ DISTRICT: '1 (Berlin)' }, chain), 'Mitte');
+        t.end();
+
+    });
+
+    test.test('map should be usable for addrtype', (t) => {
+        t.equals(conform.conform({ addrtype: fxn }, { BLDG_CODE: '1' }).addrtype, 'residential');
+        t.end();
+
+    });
+
+});
+
+tape('chain function', (test) => {
+    test.test('each function should operate on the result of the previous', (t) => {
+        const fxn = {
+            function: 'chain',
+            variable: 'street_wip',
+            functions: [
+                { function: 'postfixed_street', field: 'Prop_Addr' },
+                { function: 'remove_postfix', field: 'street_wip', field_to_remove: 'Prop_Addr_Unit' }
+            ]
+        };
+
+        t.equals(conform.evaluate({ Prop_Addr: '310 WOOD ST APT 3', Prop_Addr_Unit: 'APT 3' }, fxn), 'WOOD ST');
+        t.end();
+
+    });
+
+});
+
+tape('regexps conform tag', (test) => {
+    const conformObject = {
+        number: 'number',
+        street: 'street',
+        regexps: [
+            { field: 'place', pattern: '^(?<city>.+?),\\s+(?<region>[A-Z]{2})(?:\\s+(?<postcode>\\d+))?$' }
+        ]
+    };
+
+    test.test('named groups should assign the attributes they are named after', (t) => {
+        const output = conform.conform(conformObject, { number: '12', street: 'Main St', place: 'GOLD BEACH, OR 97444' });
+
+        t.equals(output.city, 'GOLD BEACH');
+        t.equals(output.region, 'OR');
+        t.equals(output.postcode, '97444');
+        t.equals(output.street, 'Main St');
+        t.end();
+
+    });
+
+    test.test('groups that did not participate should be empty', (t) => {
+        const output = conform.conform(conformObject, { place: 'GOLD BEACH, OR' });
+
+        t.equals(output.city, 'GOLD BEACH');
+        t.equals(output.postcode, '');
+        t.end();
+
+    });
+
+    test.test('a value that does not match should leave every group empty', (t) => {
+        const output = conform.conform(conformObject, { place: 'GOLD BEACH' });
+
+        t.equals(output.city, '');
+        t.equals(output.region, '');
+        t.equals(output.postcode, '');
+        t.end();
+
+    });
+
+    test.test('an attribute with a tag of its own should not be assigned by a group', (t) => {
+        const output = conform.conform(Object.assign({ city: 'town' }, conformObject), { town: 'Brookings', place: 'GOLD BEACH, OR' });
+
+        t.equals(output.city, 'Brookings');
+        t.end();
+
+    });
+
+});
+
+tape('regexps named groups check', (test) => {
+    test.test('groups named after untagged attributes should not be reported', (t) => {
+        t.deepEquals(conform.checkRegexps({
+            number: 'number',
+            regexps: [
+                { field: 'a', pattern: '^(?<street>.+)$' },
+                { field: 'b', pattern: '^(?<city>.+), (?<region>.+)$' }
+            ]
+        }), []);
+        t.deepEquals(conform.checkRegexps({ number: 'number' }), []);
+        t.deepEquals(conform.checkRegexps(undefined), []);
+        t.end();
+
+    });
+
+    test.test('groups not named after a conform attribute should be reported', (t) => {
+        t.deepEquals(conform.checkRegexps({ regexps: [{ field: 'a', pattern: '^(?<town>.+)$' }] }), [
+            'regexps[0] group "town" is not a conform attribute'
+        ]);
+        t.end();
+
+    });
+
+    test.test('attributes assigned twice should be reported', (t) => {
+        t.deepEquals(conform.checkRegexps({
+            city: 'town',
+            regexps: [
+                { field: 'a', pattern: '^(?<city>.+)$' },
+                { field: 'b', pattern: '^(?<region>.+)$' },
+                { field: 'c', pattern: '^(?<region>.+)$' }
+            ]
+        }), [
+            'regexps[0] group "city" is also set by conform.city',
+            'regexps[2] group "region" is also set by regexps[1]'
+        ]);
+        t.end();
+
+    });
+
+    test.test('patterns without named groups should be reported', (t) => {
+        t.deepEquals(conform.checkRegexps({ regexps: [{ field: 'a', pattern: '^(.+)$' }] }), [
+            'regexps[0] pattern has no named groups'
+        ]);
+        t.end();
+
+    });
+
+});
+
+tape('filter', (test) => {
+    test.test('comparisons should test the value of their field', (t) => {
+        const row = { STATUS: 'ACTIVE', NUMBER: '0', UNIT: ' ' };
+
+        t.ok(conform.passesFilter({ field: 'status', equals: 'ACTIVE' }, row));
+        t.notOk(conform.passesFilter({ field: 'STATUS', equals: 'active' }, row), 'equals is case-sensitive');
+        t.ok(conform.passesFilter({ field: 'STATUS', in: ['ACTIVE', 'PENDING'] }, row));
+        t.notOk(conform.passesFilter({ field: 'STATUS', in: ['RETIRED'] }, row));
+        t.notOk(conform.passesFilter({ field: 'UNIT', not_empty: true }, row), 'blank values are empty');
+        t.ok(conform.passesFilter({ field: 'UNIT', not_empty: false }, row));
+        t.ok(conform.passesFilter({ field: 'STATUS', not_empty: true }, row));
+        t.notOk(conform.passesFilter({ field: 'NUMBER', regexp: '[1-9]' }, row));
+        t.ok(conform.passesFilter({ field: 'STATUS', regexp: '^ACT' }, row));
+        t.end();
+
+    });
+
+    test.test('all should pass rows passing every filter and any at least one', (t) => {
+        const filter = {
+            all: [
+                { field: 'STATUS', equals: 'ACTIVE' },
+                {
+                    any: [
+                        { field: 'NUMBER', regexp: '[1-9]' },
+                        { field: 'UNIT', not_empty: true }
+                    ]
+                }
+            ]
+        };
+
+        t.ok(conform.passesFilter(filter, { STATUS: 'ACTIVE', NUMBER: '12', UNIT: '' }));
+        t.ok(conform.passesFilter(filter, { STATUS: 'ACTIVE', NUMBER: '0', UNIT: '3' }));
+        t.notOk(conform.passesFilter(filter, { STATUS: 'ACTIVE', NUMBER: '0', UNIT: '' }));
+        t.notOk(conform.passesFilter(filter, { STATUS: 'RETIRED', NUMBER: '12', UNIT: '' }));
+        t.end();
+
+    });
+
+    test.test('missing filter should pass every row', (t) => {
+        t.ok(conform.passesFilter(undefined, { STATUS: 'RETIRED' }));
+        t.end();
+
+    });
+
+    test.test('unsupported comparison should throw', (t) => {
+        t.throws(() => conform.passesFilter({ field: 'STATUS', not_equals: 'RETIRED' }, {}), /unsupported conform filter/);
+        t.end();
+
+    });
+
+});
+
+tape('acceptance tests', (test) => {
+    const source = {
+        conform: {
+            number: { function: 'prefixed_number', field: 'address' },
+            street: { function: 'postfixed_street', field: 'address' },
+            city: 'town'
+        },
+        test: {
+            enabled: true,
+            description: 'tests',
+            'acceptance-tests': [
+                {
+                    description: 'passing test',
+                    inputs: { address: '123 Main Street ', town: 'Springfield ' },
+                    expected: { number: '123', street: 'Main Street', city: 'Springfield ' }
+                },
+                {
+                    description: 'failing test',
+                    inputs: { address: '123 Main Street' },
+                    expected: { number: '124' }
+                }
+            ]
+        }
+    };
+
+    test.test('only failing tests should be returned', (t) => {
+        const failures = conform.runAcceptanceTests(source);
+
+        t.equals(failures.length, 1);
+        t.equals(failures[0].description, 'failing test');
+        t.deepEquals(failures[0].expected, { number: '124' });
+        t.deepEquals(failures[0].actual, { number: '123' });
+        t.end();
+
+    });
+
+    test.test('functions should see the language of the source', (t) => {
+        const failures = conform.runAcceptanceTests({
+            language: 'fr',
+            conform: {
+                street: { function: 'postfixed_street', field: 'adresse', may_contain_units: true },
+                unit: { function: 'postfixed_unit', field: 'adresse' }
+            },
+            test: {
+                'acceptance-tests': [
+                    {
+                        description: 'French unit',
+                        inputs: { adresse: '12 rue de la Paix appt 4' },
+                        expected: { street: 'rue de la Paix', unit: 'appt 4' }
+                    }
+                ]
+            }
+        });
+
+        t.deepEquals(failures, []);
+        t.end();
+
+    });
+
+    test.test('rows dropped by the filter should be expected to be filtered out', (t) => {
+        const failures = conform.runAcceptanceTests({
+            conform: Object.assign({ filter: { field: 'status', equals: 'ACTIVE' } }, source.conform),
+            test: {
+                'acceptance-tests': [
+                    {
+                        description: 'retired address',
+                        inputs: { address: '123 Main Street', status: 'RETIRED' },
+                        filtered: true
+                    },
+                    {
+                        description: 'active address expected to be filtered out',
+                        inputs: { address: '123 Main Street', status: 'ACTIVE' },
+                        filtered: true
+                    },
+                    {
+                        description: 'retired address expected to be kept',
+                        inputs: { address: '123 Main Street', status: 'RETIRED' },
+                        expected: { number: '123' }
+                    }
+                ]
+            }
+        });
+
+        t.deepEquals(failures.map(failure => failure.description), [
+            'active address expected to be filtered out',
+            'retired address expected to be kept'
+        ]);
+        t.deepEquals(failures[0].expected, { filtered: true });
+        t.deepEquals(failures[0].actual, { filtered: false });
+        t.deepEquals(failures[1].expected, { filtered: false });
+        t.deepEquals(failures[1].actual, { filtered: true });
+        t.end();
+
+    });
+
+    test.test('source without tests should have no failures', (t) => {
+        t.deepEquals(conform.runAcceptanceTests({ conform: source.conform }), []);
+        t.end();
+
+    });
+
+});
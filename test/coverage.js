@@ -0,0 +1,84 @@
+const tape = require('tape');
+const coverage = require('../lib/coverage');
+
+tape('path derivation', (test) => {
+    test.test('country and region should be derived from directories', (t) => {
+        t.deepEquals(coverage.fromPath('sources/us/wa/asotin.json'), { country: 'us', region: 'wa', depth: 2 });
+        t.deepEquals(coverage.fromPath('/path/to/openaddresses/sources/nz/countrywide.json'), { country: 'nz', region: undefined, depth: 1 });
+        t.end();
+
+    });
+
+    test.test('non-ASCII paths should be NFC-normalized', (t) => {
+        const nfd = 'sources/se/municipality_of_Österåker.json'.normalize('NFD');
+
+        t.deepEquals(coverage.fromPath('sources/fi/etelä-karjala-fi.json'), { country: 'fi', region: undefined, depth: 1 });
+        t.deepEquals(coverage.checkPath(nfd, { coverage: { country: 'se', city: 'Österåker' } }), []);
+        t.end();
+
+    });
+
+});
+
+tape('path/coverage agreement', (test) => {
+    test.test('matching country and state should have no messages', (t) => {
+        t.deepEquals(coverage.checkPath('sources/us/wa/asotin.json', { coverage: { country: 'us', state: 'wa' } }), []);
+        t.deepEquals(coverage.checkPath('sources/us/mo/taney.json', { coverage: { country: 'US', state: 'MO' } }), [], 'case should be ignored');
+        t.deepEquals(coverage.checkPath('sources/ca/on/toronto.json', { coverage: { country: 'ca', province: 'on' } }), []);
+        t.end();
+
+    });
+
+    test.test('mismatched country should be reported', (t) => {
+        t.deepEquals(coverage.checkPath('sources/us/wa/asotin.json', { coverage: { country: 'ca', state: 'wa' } }), [
+            'coverage.country "ca" does not match country directory "us"'
+        ]);
+        t.end();
+
+    });
+
+    test.test('mismatched state or province should be reported', (t) => {
+        t.deepEquals(coverage.checkPath('sources/us/wa/asotin.json', { coverage: { country: 'us', state: 'or' } }), [
+            'coverage.state "or" does not match region directory "wa"'
+        ]);
+        t.deepEquals(coverage.checkPath('sources/ca/on/toronto.json', { coverage: { country: 'ca', province: 'qc' } }), [
+            'coverage.province "qc" does not match region directory "on"'
+        ]);
+        t.end();
+
+    });
+
+    test.test('country and region names should match their directories', (t) => {
+        t.deepEquals(coverage.checkPath('sources/au/qld/brisbane_city_council.json', { coverage: { country: 'Australia', state: 'Queensland' } }), []);
+        t.deepEquals(coverage.checkPath('sources/ua/12/city_of_dnipropetrovsk.json', { coverage: { country: 'ua', state: 'UA-12' } }), []);
+        t.deepEquals(coverage.checkPath('sources/nz/bay_of_plenty/rotorua.json', { coverage: { country: 'nz', state: 'bop' } }), []);
+        t.deepEquals(coverage.checkPath('sources/it/52/firenze.json', { coverage: { country: 'it', state: 'Tuscany' } }), [], 'unknown names should be accepted');
+        t.end();
+
+    });
+
+    test.test('names of other countries and regions should be reported', (t) => {
+        t.deepEquals(coverage.checkPath('sources/au/nsw/statewide.json', { coverage: { country: 'Austria', state: 'Queensland' } }), [
+            'coverage.country "Austria" does not match country directory "au"',
+            'coverage.state "Queensland" does not match region directory "nsw"'
+        ]);
+        t.end();
+
+    });
+
+    test.test('state of a source without a region directory should not be checked', (t) => {
+        t.deepEquals(coverage.checkPath('sources/fi/kanta-häme-sv.json', { coverage: { country: 'fi', state: 'Egentliga Tavastland' } }), []);
+        t.end();
+
+    });
+
+    test.test('source nested too deeply or not in a country directory should be reported', (t) => {
+        const message = 'source must be stored as sources/{Country}/{Source}.json or sources/{Country}/{Region}/{Source}.json';
+
+        t.deepEquals(coverage.checkPath('sources/us/wa/asotin/asotin.json', { coverage: { country: 'us' } }), [message]);
+        t.deepEquals(coverage.checkPath('sources/asotin.json', { coverage: { country: 'us' } }), [message]);
+        t.end();
+
+    });
+
+});
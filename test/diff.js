@@ -0,0 +1,80 @@
+const tape = require('tape');
+const diff = require('../lib/diff');
+
+tape('diff tests', (test) => {
+    test.test('identical texts should have no diff', (t) => {
+        t.equals(diff.unified('file.json', 'a\nb\n', 'a\nb\n'), '');
+        t.end();
+
+    });
+
+    test.test('edit script should turn one list of lines into the other', (t) => {
+        const a = ['a', 'b', 'c', 'a', 'b', 'b', 'a'];
+        const b = ['c', 'b', 'a', 'b', 'a', 'c'];
+        const script = diff.edits(a, b);
+
+        t.deepEquals(script.filter(edit => edit.type !== '+').map(edit => edit.line), a);
+        t.deepEquals(script.filter(edit => edit.type !== '-').map(edit => edit.line), b);
+
+        // the shortest edit script for this example has 5 insertions and deletions
+        t.equals(script.filter(edit => edit.type !== ' ').length, 5);
+        t.end();
+
+    });
+
+    test.test('unified diff should show changes with context', (t) => {
+        const before = 'a\nb\nc\nd\ne\nf\ng\nh\ni\nj\nk\nl\nm\n';
+        const after = 'a\nB\nc\nd\ne\nf\ng\nh\ni\nj\nk\nm\nn\n';
+
+        t.equals(diff.unified('file.json', before, after), [
+            '--- a/file.json',
+            '+++ b/file.json',
+            '@@ -1,5 +1,5 @@',
+            ' a',
+            '-b',
+            '+B',
+            ' c',
+            ' d',
+            ' e',
+            '@@ -9,5 +9,5 @@',
+            ' i',
+            ' j',
+            ' k',
+            '-l',
+            ' m',
+            '+n',
+            ''
+        ].join('\n'));
+        t.end();
+
+    });
+
+    test.test('changes with overlapping context should share a hunk', (t) => {
+        t.equals(diff.unified('file.json', 'a\nb\nc\nd\ne\nf\ng\nh\n', 'A\nb\nc\nd\ne\nf\ng\nH\n'), [
+            '--- a/file.json',
+            '+++ b/file.json',
+            '@@ -1,8 +1,8 @@',
+            '-a',
+            '+A',
+            ' b',
+            ' c',
+            ' d',
+            ' e',
+            ' f',
+            ' g',
+            '-h',
+            '+H',
+            ''
+        ].join('\n'));
+        t.end();
+
+    });
+
+    test.test('added and removed files should have empty ranges', (t) => {
+        t.equals(diff.unified('file.json', '', 'a\n'), '--- a/file.json\n+++ b/file.json\n@@ -0,0 +1 @@\n+a\n');
+        t.equals(diff.unified('file.json', 'a\n', ''), '--- a/file.json\n+++ b/file.json\n@@ -1 +0,0 @@\n-a\n');
+        t.end();
+
+    });
+
+});
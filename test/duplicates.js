@@ -0,0 +1,137 @@
+const tape = require('tape');
+const duplicates = require('../lib/duplicates');
+
+tape('duplicates dataKey tests', (test) => {
+    test.test('URLs differing in scheme, host case or trailing slash should share a key', (t) => {
+        const key = duplicates.dataKey({ data: 'http://example.com/Data/addresses.zip' });
+
+        t.equals(duplicates.dataKey({ data: 'https://EXAMPLE.com/Data/addresses.zip/' }), key);
+        t.notEquals(duplicates.dataKey({ data: 'http://example.com/data/addresses.zip' }), key, 'paths are case-sensitive');
+        t.end();
+
+    });
+
+    test.test('file and layer should be part of the key', (t) => {
+        const data = 'http://example.com/addresses.zip';
+
+        t.notEquals(duplicates.dataKey({ data: data, conform: { file: 'a.shp' } }), duplicates.dataKey({ data: data, conform: { file: 'b.shp' } }));
+        t.notEquals(duplicates.dataKey({ data: data, conform: { layer: 0 } }), duplicates.dataKey({ data: data, conform: { layer: 1 } }));
+        t.equals(duplicates.dataKey({ data: data, conform: { type: 'csv' } }), duplicates.dataKey({ data: data }));
+        t.notEquals(duplicates.dataKey({ data: data, typename: 'ad:Address' }), duplicates.dataKey({ data: data, typename: 'ad:Building' }));
+        t.notEquals(duplicates.dataKey({ data: data, collection: 'addresses' }), duplicates.dataKey({ data: data }));
+        t.end();
+
+    });
+
+    test.test('source without data should have no key', (t) => {
+        t.equals(duplicates.dataKey({ type: 'http' }), null);
+        t.end();
+
+    });
+
+});
+
+tape('duplicates find tests', (test) => {
+    test.test('sources reading the same data should be grouped', (t) => {
+        const conform = { type: 'shapefile', number: 'NUM', street: 'STREET' };
+
+        t.deepEquals(duplicates.find([
+            { file: 'sources/xx/county.json', source: { data: 'http://example.com/county.zip', conform: conform } },
+            { file: 'sources/xx/city.json', source: { data: 'https://example.com/county.zip', conform: conform } },
+            { file: 'sources/xx/county-en.json', source: { data: 'http://example.com/county.zip', conform: { type: 'shapefile', number: 'NUM', street: 'STREET_EN' } } },
+            { file: 'sources/xx/county-layer.json', source: { data: 'http://example.com/county.zip', conform: { type: 'gdb', layer: 'addresses' } } },
+            { file: 'sources/xx/other.json', source: { data: 'http://example.com/other.zip', conform: conform } },
+            { file: 'sources/xx/no-data.json', source: { type: 'http' } }
+        ]), [
+            {
+                data: 'http://example.com/county.zip',
+                file: undefined,
+                layer: undefined,
+                files: ['sources/xx/county.json', 'sources/xx/city.json', 'sources/xx/county-en.json']
+            }
+        ]);
+        t.end();
+
+    });
+
+    test.test('identical conform blocks should be warned about across all sources', (t) => {
+        const conform = { type: 'shapefile', number: 'NUM', street: 'STREET' };
+
+        t.deepEquals(duplicates.sameConforms([
+            { file: 'sources/xx/county.json', source: { data: 'http://example.com/county.zip', conform: conform } },
+            { file: 'sources/xx/city.json', source: { data: 'https://example.com/county.zip', conform: conform } },
+            { file: 'sources/xx/county-en.json', source: { data: 'http://example.com/county.zip', conform: { type: 'shapefile', number: 'NUM', street: 'STREET_EN' } } },
+            { file: 'sources/yy/other.json', source: { data: 'http://example.com/other.zip', conform: conform } },
+            { file: 'sources/xx/no-conform.json', source: { data: 'http://example.com/other.zip' } },
+            { file: 'sources/yy/no-conform.json', source: { data: 'http://example.com/another.zip' } }
+        ]), [
+            'sources/xx/city.json has the same conform as sources/xx/county.json',
+            'sources/yy/other.json has the same conform as sources/xx/county.json'
+        ]);
+        t.end();
+
+    });
+
+    test.test('WFS and OGC API sources should be grouped by their typename or collection', (t) => {
+        const data = 'http://example.com/wfs';
+
+        t.deepEquals(duplicates.find([
+            { file: 'sources/xx/addresses.json', source: { type: 'wfs', data: data, typename: 'ad:Address' } },
+            { file: 'sources/xx/buildings.json', source: { type: 'wfs', data: data, typename: 'ad:Building' } },
+            { file: 'sources/xx/addresses-too.json', source: { type: 'wfs', data: data, typename: 'ad:Address' } }
+        ]), [
+            {
+                data: data,
+                file: undefined,
+                layer: 'ad:Address',
+                files: ['sources/xx/addresses.json', 'sources/xx/addresses-too.json']
+            }
+        ]);
+        t.end();
+
+    });
+
+    test.test('conform blocks differing only in tag order should be warned about', (t) => {
+        t.deepEquals(duplicates.sameConforms([
+            { file: 'sources/xx/a.json', source: { conform: { type: 'csv', number: 'NUM', street: { function: 'join', fields: ['A', 'B'] } } } },
+            { file: 'sources/xx/b.json', source: { conform: { street: { fields: ['A', 'B'], function: 'join' }, number: 'NUM', type: 'csv' } } },
+            { file: 'sources/xx/c.json', source: { conform: { type: 'csv', number: 'NUM', street: { function: 'join', fields: ['B', 'A'] } } } }
+        ]), [
+            'sources/xx/b.json has the same conform as sources/xx/a.json'
+        ]);
+        t.end();
+
+    });
+
+    test.test('markdown should list groups and warnings', (t) => {
+        const markdown = duplicates.toMarkdown([
+            {
+                data: 'http://example.com/county.zip',
+                file: 'addresses.shp',
+                layer: undefined,
+                files: ['sources/xx/county.json', 'sources/xx/city.json']
+            }
+        ], ['sources/yy/other.json has the same conform as sources/xx/county.json']);
+
+        t.equals(markdown, [
+            '# Duplicate sources',
+            '',
+            '1 group(s) of sources read the same data, 1 warning(s).',
+            '',
+            '## http://example.com/county.zip',
+            '',
+            'Reading file `addresses.shp`.',
+            '',
+            '- sources/xx/county.json',
+            '- sources/xx/city.json',
+            '',
+            '## Identical conform blocks',
+            '',
+            '- **warning:** sources/yy/other.json has the same conform as sources/xx/county.json',
+            ''
+        ].join('\n'));
+        t.end();
+
+    });
+
+});
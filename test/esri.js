@@ -0,0 +1,222 @@
+const tape = require('tape');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const url = require('url');
+const esri = require('../lib/esri');
+
+// five point features with object ids 1-5
+const features = [1, 2, 3, 4, 5].map(id => {
+    return {
+        attributes: { OBJECTID: id, NUM: String(id * 10), STREET: 'Main St' },
+        geometry: { x: -122 + id / 100, y: 45 }
+    };
+});
+
+// an ESRI stand-in serving the same features from a layer supporting
+// pagination (/paged/FeatureServer/0), one that doesn't
+// (/unpaged/FeatureServer/0) and one failing after its first page
+// (/failing/FeatureServer/0), recording the query parameters it receives.
+// Like ArcGIS it never returns more than maxRecordCount features per query.
+function startServer(callback) {
+    const queries = [];
+
+    const server = http.createServer((req, res) => {
+        const parsed = url.parse(req.url, true);
+        const match = /^\/(paged|unpaged|failing|broken)\/FeatureServer\/0(\/query)?$/.exec(parsed.pathname);
+        let body;
+
+        if (!match) {
+            res.writeHead(404);
+            return res.end();
+        }
+
+        if (match[1] === 'broken' || match[1] === 'failing' && Number(parsed.query.resultOffset) > 0) {
+            body = { error: { code: 400, message: 'Invalid or missing input parameters.' } };
+        } else if (!match[2]) {
+            body = {
+                name: 'Addresses',
+                maxRecordCount: 2,
+                objectIdField: 'OBJECTID',
+                advancedQueryCapabilities: { supportsPagination: match[1] !== 'unpaged' }
+            };
+        } else {
+            const query = parsed.query;
+            let selected = features.filter(feature => query.where !== 'OBJECTID > 2' || feature.attributes.OBJECTID > 2);
+
+            queries.push(query);
+
+            if (query.returnIdsOnly === 'true') {
+                body = { objectIdFieldName: 'OBJECTID', objectIds: selected.map(feature => feature.attributes.OBJECTID).reverse() };
+            } else {
+                if (query.objectIds) {
+                    const ids = query.objectIds.split(',').map(Number);
+
+                    selected = selected.filter(feature => ids.indexOf(feature.attributes.OBJECTID) >= 0);
+                }
+
+                const offset = Number(query.resultOffset || 0);
+                const count = Math.min(Number(query.resultRecordCount || selected.length), 2);
+                const page = selected.slice(offset, offset + count);
+
+                body = {
+                    features: page,
+                    exceededTransferLimit: offset + count < selected.length
+                };
+            }
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+
+    });
+
+    server.listen(0, '127.0.0.1', () => callback(server, `http://127.0.0.1:${server.address().port}`, queries));
+
+}
+
+tape('esri query tests', (test) => {
+    test.test('layer URL should lose its query string and trailing slash', (t) => {
+        t.equals(esri.layerURL(' http://x.com/FeatureServer/0/?f=pjson '), 'http://x.com/FeatureServer/0');
+        t.end();
+
+    });
+
+    test.test('where and fields should be passed on to the server', (t) => {
+        t.deepEquals(esri.queryParams({ where: 'STATUS = 1', fields: ['NUM', 'STREET'] }), {
+            where: 'STATUS = 1',
+            outFields: 'NUM,STREET',
+            returnGeometry: true,
+            outSR: 4326
+        });
+        t.deepEquals(esri.queryParams({}), { where: '1=1', outFields: '*', returnGeometry: true, outSR: 4326 });
+        t.end();
+
+    });
+
+});
+
+tape('esri download tests', (test) => {
+    startServer((server, base, queries) => {
+        const output = path.join(os.tmpdir(), `esri-test-${process.pid}.geojson`);
+        const options = { timeout: 1000, retries: 0 };
+
+        function read() {
+            return JSON.parse(fs.readFileSync(output, 'utf8'));
+        }
+
+        test.test('layer supporting pagination should be paged by offset', (t) => {
+            queries.length = 0;
+
+            esri.download({ type: 'ESRI', data: `${base}/paged/FeatureServer/0` }, output, options, (err, result) => {
+                t.error(err);
+                t.deepEquals(result, { features: 5, pages: 3 });
+                t.deepEquals(queries.map(query => query.resultOffset), ['0', '2', '4']);
+
+                const geojson = read();
+
+                t.equals(geojson.type, 'FeatureCollection');
+                t.deepEquals(geojson.features.map(feature => feature.properties.NUM), ['10', '20', '30', '40', '50']);
+                t.deepEquals(geojson.features[0].geometry, { type: 'Point', coordinates: [-121.99, 45] });
+                t.equals(geojson.features[0].id, 1);
+                t.end();
+            });
+
+        });
+
+        test.test('pages should not be larger than maxRecordCount', (t) => {
+            queries.length = 0;
+
+            esri.download({ type: 'ESRI', data: `${base}/paged/FeatureServer/0` }, output, Object.assign({ pageSize: 3 }, options), (err, result) => {
+                t.error(err);
+                t.deepEquals(result, { features: 5, pages: 3 });
+                t.deepEquals(queries.map(query => query.resultRecordCount), ['2', '2', '2']);
+                t.deepEquals(queries.map(query => query.orderByFields), ['OBJECTID', 'OBJECTID', 'OBJECTID']);
+                t.deepEquals(read().features.map(feature => feature.properties.NUM), ['10', '20', '30', '40', '50']);
+                t.end();
+            });
+
+        });
+
+        test.test('object id batches should not be larger than maxRecordCount', (t) => {
+            queries.length = 0;
+
+            esri.download({ type: 'ESRI', data: `${base}/unpaged/FeatureServer/0` }, output, Object.assign({ pageSize: 3 }, options), (err, result) => {
+                t.error(err);
+                t.deepEquals(result, { features: 5, pages: 3 });
+                t.deepEquals(read().features.map(feature => feature.properties.NUM), ['10', '20', '30', '40', '50']);
+                t.end();
+            });
+
+        });
+
+        test.test('failed download should not leave a file behind', (t) => {
+            esri.download({ type: 'ESRI', data: `${base}/failing/FeatureServer/0` }, output, options, (err) => {
+                t.ok(err, 'should fail');
+                t.notOk(fs.existsSync(output), 'output should be deleted');
+                t.end();
+            });
+
+        });
+
+        test.test('layer without pagination should be paged by object ids', (t) => {
+            queries.length = 0;
+
+            esri.download({ type: 'ESRI', data: `${base}/unpaged/FeatureServer/0` }, output, options, (err, result) => {
+                t.error(err);
+                t.deepEquals(result, { features: 5, pages: 3 });
+                t.deepEquals(queries.map(query => query.objectIds), [undefined, '1,2', '3,4', '5']);
+                t.deepEquals(read().features.map(feature => feature.properties.NUM), ['10', '20', '30', '40', '50']);
+                t.end();
+            });
+
+        });
+
+        test.test('where and fields should filter the download', (t) => {
+            queries.length = 0;
+
+            const source = { type: 'ESRI', data: `${base}/paged/FeatureServer/0`, where: 'OBJECTID > 2', fields: ['NUM', 'STREET'] };
+
+            esri.download(source, output, options, (err, result) => {
+                t.error(err);
+                t.deepEquals(result, { features: 3, pages: 2 });
+                t.ok(queries.every(query => query.where === 'OBJECTID > 2' && query.outFields === 'NUM,STREET'));
+                t.deepEquals(read().features.map(feature => feature.properties.NUM), ['30', '40', '50']);
+                t.end();
+            });
+
+        });
+
+        test.test('layer without features should be an empty collection', (t) => {
+            const source = { type: 'ESRI', data: `${base}/unpaged/FeatureServer/0`, where: 'OBJECTID > 2' };
+
+            features.splice(2);
+
+            esri.download(source, output, options, (err, result) => {
+                t.error(err);
+                t.deepEquals(result, { features: 0, pages: 1 });
+                t.deepEquals(read(), { type: 'FeatureCollection', features: [] });
+                t.end();
+            });
+
+        });
+
+        test.test('ESRI errors should fail the download', (t) => {
+            esri.download({ type: 'ESRI', data: `${base}/broken/FeatureServer/0` }, output, options, (err) => {
+                t.equals(err.message, `${base}/broken/FeatureServer/0 responded with error 400: Invalid or missing input parameters.`);
+                t.end();
+            });
+
+        });
+
+        test.test('close server', (t) => {
+            server.close();
+
+            if (fs.existsSync(output)) fs.unlinkSync(output);
+            t.end();
+        });
+
+    });
+
+});
@@ -0,0 +1,286 @@
+const tape = require('tape');
+const format = require('../lib/format');
+
+tape('format check tests', (test) => {
+    test.test('canonically formatted source should not fail', (t) => {
+        const text = [
+            '{',
+            '    "coverage": {',
+            '        "country": "us",',
+            '        "state": "ca",',
+            '        "geometry": {"type": "Point", "coordinates": [-122.3, 37.8]}',
+            '    },',
+            '    "type": "http",',
+            '    "data": "http://example.com/addresses.zip",',
+            '    "compression": "zip",',
+            '    "note": "extra tags go before conform",',
+            '    "conform": {',
+            '        "type": "shapefile",',
+            '        "number": "NUM",',
+            '        "street": ["PREFIX", "NAME"]',
+            '    }',
+            '}',
+            ''
+        ].join('\n');
+
+        t.deepEquals(format.check(text), []);
+        t.end();
+
+    });
+
+    test.test('blank lines and tabs should fail', (t) => {
+        const text = [
+            '{',
+            '',
+            '\t"type": "http",',
+            '    "data": "http://example.com/addresses.zip"',
+            '}',
+            ''
+        ].join('\n');
+
+        t.deepEquals(format.check(text), [
+            'line 2: blank line',
+            'line 3: indented with tabs'
+        ]);
+        t.end();
+
+    });
+
+    test.test('indents other than four spaces should fail', (t) => {
+        const text = [
+            '{',
+            '  "type": "http",',
+            '    "conform": {',
+            '      "type": "csv"',
+            '    }',
+            '}',
+            ''
+        ].join('\n');
+
+        t.deepEquals(format.check(text), [
+            'line 2: indented 2 spaces, expected 4',
+            'line 4: indented 6 spaces, expected 8'
+        ]);
+        t.end();
+
+    });
+
+    test.test('leading commas, trailing whitespace and no final newline should fail', (t) => {
+        const text = [
+            '{',
+            '    "type": "http" ',
+            '    , "data": "http://example.com/addresses.zip"',
+            '}'
+        ].join('\n');
+
+        t.deepEquals(format.check(text), [
+            'line 2: trailing whitespace',
+            'line 3: comma at the beginning of the line',
+            'no newline at the end of the file'
+        ]);
+        t.end();
+
+    });
+
+    test.test('null and empty string tags should fail', (t) => {
+        const text = JSON.stringify({
+            type: 'http',
+            license: '',
+            conform: {
+                type: 'geojson',
+                unit: null,
+                street: { function: 'join', fields: ['A', 'B'], separator: '' }
+            }
+        }, null, 4) + '\n';
+
+        t.deepEquals(format.check(text), [
+            'license is "", omit it instead',
+            'conform.unit is null, omit it instead'
+        ]);
+        t.end();
+
+    });
+
+    test.test('empty lat and lon tags should not fail', (t) => {
+        const text = JSON.stringify({
+            type: 'http',
+            skip: true,
+            conform: {
+                type: 'csv',
+                lat: null,
+                lon: ''
+            }
+        }, null, 4) + '\n';
+
+        t.deepEquals(format.check(text), []);
+        t.end();
+
+    });
+
+    test.test('compact multi-line geometry should not fail', (t) => {
+        const text = [
+            '{',
+            '    "coverage": {',
+            '        "country": "it",',
+            '        "geometry": { "type": "Polygon", "coordinates": [ [',
+            '            [10.38, 46.68], [10.39, 46.69],',
+            '            [10.40, 46.70], [10.38, 46.68]',
+            '        ] ] }',
+            '    },',
+            '    "type": "http"',
+            '}',
+            ''
+        ].join('\n');
+
+        t.deepEquals(format.check(text), []);
+        t.end();
+
+    });
+
+    test.test('tags out of canonical order should fail', (t) => {
+        const text = JSON.stringify({
+            data: 'http://example.com/addresses.zip',
+            conform: {},
+            year: '2017',
+            type: 'http'
+        }, null, 4) + '\n';
+
+        t.deepEquals(format.check(text), [
+            'tags should be ordered type, data, year, conform'
+        ]);
+        t.end();
+
+    });
+
+});
+
+tape('format fix tests', (test) => {
+    test.test('fixed source should pass check', (t) => {
+        const text = [
+            '{',
+            '  "conform": {"type": "csv", "lat": null, "lon": "", "unit": null},',
+            '',
+            '\t"website": "",',
+            '  "data": "http://example.com/addresses.csv",',
+            '  "type": "http",',
+            '  "coverage": {"country": "us"}',
+            '}'
+        ].join('\n');
+
+        const formatted = format.format(text);
+
+        t.deepEquals(format.check(formatted), []);
+        t.deepEquals(JSON.parse(formatted), {
+            coverage: { country: 'us' },
+            type: 'http',
+            data: 'http://example.com/addresses.csv',
+            conform: { type: 'csv', lat: null, lon: '' }
+        });
+        t.equals(formatted, [
+            '{',
+            '    "coverage": {"country": "us"},',
+            '    "type": "http",',
+            '    "data": "http://example.com/addresses.csv",',
+            '    "conform": {',
+            '        "type": "csv",',
+            '        "lat": null,',
+            '        "lon": ""',
+            '    }',
+            '}',
+            ''
+        ].join('\n'));
+        t.end();
+
+    });
+
+    test.test('unchanged values should keep their layout', (t) => {
+        const text = [
+            '{',
+            '    "type": "http",',
+            '    "coverage": {',
+            '        "country": "it",',
+            '      "geometry": { "type": "Polygon", "coordinates": [ [',
+            '            [10.38, 46.68], [10.39, 46.69],',
+            '            [10.40, 46.70], [10.38, 46.68]',
+            '        ] ] },',
+            '        "state": ""',
+            '    },',
+            '    "conform": {',
+            '        "type": "shapefile",',
+            '        "street": [ "PREFIX", "NAME" ]',
+            '    }',
+            '}'
+        ].join('\n');
+
+        t.equals(format.format(text), [
+            '{',
+            '    "coverage": {',
+            '        "country": "it",',
+            '        "geometry": { "type": "Polygon", "coordinates": [ [',
+            '            [10.38, 46.68], [10.39, 46.69],',
+            '            [10.40, 46.70], [10.38, 46.68]',
+            '        ] ] }',
+            '    },',
+            '    "type": "http",',
+            '    "conform": {',
+            '        "type": "shapefile",',
+            '        "street": [ "PREFIX", "NAME" ]',
+            '    }',
+            '}',
+            ''
+        ].join('\n'));
+        t.end();
+
+    });
+
+    test.test('leading commas should be moved to the end of the line before', (t) => {
+        const text = [
+            '{',
+            '    "type": "http"',
+            '    , "coverage": {',
+            '        "country": "us"',
+            '        , "state": "ca"',
+            '    }',
+            '}'
+        ].join('\n');
+
+        t.equals(format.format(text), [
+            '{',
+            '    "coverage": {',
+            '        "country": "us",',
+            '        "state": "ca"',
+            '    },',
+            '    "type": "http"',
+            '}',
+            ''
+        ].join('\n'));
+        t.end();
+
+    });
+
+    test.test('single line geometry should be kept on a single line', (t) => {
+        const text = [
+            '{',
+            '    "type": "http",',
+            '    "coverage": {',
+            '        "country": "us",',
+            '        "geometry": { "type": "Point", "coordinates": [ -122.3, 37.8 ] }',
+            '    }',
+            '}'
+        ].join('\n');
+
+        t.equals(format.format(text), [
+            '{',
+            '    "coverage": {',
+            '        "country": "us",',
+            '        "geometry": { "type": "Point", "coordinates": [ -122.3, 37.8 ] }',
+            '    },',
+            '    "type": "http"',
+            '}',
+            ''
+        ].join('\n'));
+        t.end();
+
+    });
+
+});
@@ -0,0 +1,71 @@
+const tape = require('tape');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const geojson = require('../lib/geojson');
+
+tape('geojson writer tests', (test) => {
+    const output = path.join(os.tmpdir(), `geojson-test-${process.pid}.geojson`);
+    const point = id => ({ type: 'Feature', id: id, properties: {}, geometry: { type: 'Point', coordinates: [0, 0] } });
+
+    test.test('pages of features should be written as one collection', (t) => {
+        const writer = geojson.createWriter(output);
+
+        writer.add([point(1), point(2)], err => {
+            t.error(err);
+
+            writer.add([], err => {
+                t.error(err);
+
+                writer.add([point(3)], err => {
+                    t.error(err);
+
+                    writer.end((err, count) => {
+                        t.error(err);
+                        t.equals(count, 3);
+                        t.deepEquals(JSON.parse(fs.readFileSync(output, 'utf8')), {
+                            type: 'FeatureCollection',
+                            features: [point(1), point(2), point(3)]
+                        });
+                        t.end();
+                    });
+                });
+            });
+        });
+
+    });
+
+    test.test('collection without features should be valid', (t) => {
+        geojson.createWriter(output).end((err, count) => {
+            t.error(err);
+            t.equals(count, 0);
+            t.deepEquals(JSON.parse(fs.readFileSync(output, 'utf8')), { type: 'FeatureCollection', features: [] });
+            fs.unlinkSync(output);
+            t.end();
+        });
+
+    });
+
+    test.test('aborted collection should be deleted', (t) => {
+        const writer = geojson.createWriter(output);
+
+        writer.add([point(1)], err => {
+            t.error(err);
+
+            writer.abort(() => {
+                t.notOk(fs.existsSync(output), 'file should be deleted');
+                t.end();
+            });
+        });
+
+    });
+
+    test.test('unwritable file should call back with an error', (t) => {
+        geojson.createWriter(path.join(output, 'missing', 'out.geojson')).end((err) => {
+            t.ok(err, 'should fail');
+            t.end();
+        });
+
+    });
+
+});
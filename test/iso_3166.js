@@ -0,0 +1,74 @@
+const tape = require('tape');
+const iso3166 = require('../lib/iso_3166');
+
+// a source with an `ISO 3166` block and coverage
+function source(block, coverage) {
+    return { coverage: Object.assign({ 'ISO 3166': block }, coverage) };
+}
+
+tape('ISO 3166 table tests', (test) => {
+    test.test('country codes should have their short names', (t) => {
+        t.equals(iso3166.countryName('SG'), 'Singapore');
+        t.equals(iso3166.countryName('cz'), 'Czechia');
+        t.equals(iso3166.countryName('XK'), 'Kosovo');
+        t.equals(iso3166.countryName('QQ'), undefined);
+        t.end();
+
+    });
+
+    test.test('subdivision codes should have their names', (t) => {
+        t.equals(iso3166.subdivisionName('PL-02'), 'Dolnośląskie');
+        t.equals(iso3166.subdivisionName('AU-VIC'), 'Victoria');
+        t.equals(iso3166.subdivisionName('PL-DS'), undefined);
+        t.end();
+
+    });
+
+});
+
+tape('ISO 3166 check tests', (test) => {
+    test.test('consistent blocks should not fail', (t) => {
+        t.deepEquals(iso3166.check('sources/sg/countrywide.json', source({ alpha2: 'SG', country: 'Singapore' }, { country: 'sg' })), []);
+        t.deepEquals(iso3166.check('sources/au/vic/statewide.json', source({ alpha2: 'AU-VIC', state: 'Victoria' }, { country: 'au' })), []);
+        t.deepEquals(iso3166.check('sources/au/nsw/statewide.json', source({ alpha2: 'AU' }, {})), []);
+        t.deepEquals(iso3166.check('sources/sg/countrywide.json', { coverage: { country: 'sg' } }), []);
+        t.end();
+
+    });
+
+    test.test('common names should be accepted as the country name', (t) => {
+        t.deepEquals(iso3166.check('sources/tw/taipei.json', source({ alpha2: 'TW', country: 'Taiwan' }, { country: 'tw' })), []);
+        t.deepEquals(iso3166.check('sources/kr/11/provincewide.json', source({ alpha2: 'KR-11', country: 'Korea, Republic of' }, { country: 'kr' })), []);
+        t.end();
+
+    });
+
+    test.test('unknown codes should fail', (t) => {
+        t.deepEquals(iso3166.check('sources/qq/countrywide.json', source({ alpha2: 'QQ' }, { country: 'qq' })), [
+            'coverage["ISO 3166"].alpha2 "QQ" is not an ISO 3166-1 country code'
+        ]);
+        t.deepEquals(iso3166.check('sources/pl/dolnoslaskie.json', source({ alpha2: 'PL-DS' }, { country: 'pl' })), [
+            'coverage["ISO 3166"].alpha2 "PL-DS" is not an ISO 3166-2 subdivision code'
+        ]);
+        t.end();
+
+    });
+
+    test.test('codes of another country should fail', (t) => {
+        t.deepEquals(iso3166.check('sources/my/countrywide.json', source({ alpha2: 'SG' }, { country: 'my' })), [
+            'coverage["ISO 3166"].alpha2 "SG" is not in the country of sources/my',
+            'coverage.country "my" does not match coverage["ISO 3166"].alpha2 "SG"'
+        ]);
+        t.end();
+
+    });
+
+    test.test('unofficial country names should fail', (t) => {
+        t.deepEquals(iso3166.check('sources/cz/countrywide.json', source({ alpha2: 'CZ', country: 'Czech Republic' }, { country: 'cz' })), [
+            'coverage["ISO 3166"].country should be "Czechia", not "Czech Republic"'
+        ]);
+        t.end();
+
+    });
+
+});
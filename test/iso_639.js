@@ -0,0 +1,65 @@
+const tape = require('tape');
+const iso639 = require('../lib/iso_639');
+
+tape('ISO 639 check tests', (test) => {
+    test.test('ISO 639 codes should not fail', (t) => {
+        ['en', 'fr', 'sv', 'lld', 'yue'].forEach((language) => {
+            t.deepEquals(iso639.check({ language: language }), [], `${language} should not fail`);
+        });
+        t.deepEquals(iso639.check({}), []);
+        t.end();
+
+    });
+
+    test.test('unknown codes should fail', (t) => {
+        t.deepEquals(iso639.check({ language: 'xx' }), ['language "xx" is not an ISO 639 code']);
+        t.deepEquals(iso639.check({ language: 'qqq' }), ['language "qqq" is not an ISO 639 code']);
+        t.end();
+
+    });
+
+    test.test('three-letter codes of languages with a two-letter code should fail', (t) => {
+        t.deepEquals(iso639.check({ language: 'eng' }), ['language "eng" should be "en", the ISO 639-1 code of English']);
+        t.deepEquals(iso639.check({ language: 'fre' }), ['language "fre" should be "fr", the ISO 639-1 code of French']);
+        t.deepEquals(iso639.check({ language: 'fra' }), ['language "fra" should be "fr", the ISO 639-1 code of French']);
+        t.end();
+
+    });
+
+    test.test('uppercase codes should fail', (t) => {
+        t.deepEquals(iso639.check({ language: 'HE' }), ['language "HE" should be "he"']);
+        t.end();
+
+    });
+
+});
+
+tape('ISO 639 warnings tests', (test) => {
+    test.test('languages of the country should not warn', (t) => {
+        t.deepEquals(iso639.warnings('sources/fi/uusimaa-sv.json', { language: 'sv' }), []);
+        t.deepEquals(iso639.warnings('sources/it/32/south-tyrol-de.json', { language: 'de' }), []);
+        t.deepEquals(iso639.warnings('sources/br/sp/statewide.json', { language: 'pt' }), []);
+        t.end();
+
+    });
+
+    test.test('languages foreign to the country should warn', (t) => {
+        t.deepEquals(iso639.warnings('sources/br/sp/statewide.json', { language: 'ja' }), [
+            'language "ja" (Japanese) is not an official language of BR or spoken by 1% of its population'
+        ]);
+        t.deepEquals(iso639.warnings('sources/kr/11/provincewide.json', { language: 'kr' }), [
+            'language "kr" (Kanuri) is not an official language of KR or spoken by 1% of its population'
+        ]);
+        t.end();
+
+    });
+
+    test.test('unknown codes and countries should not warn', (t) => {
+        t.deepEquals(iso639.warnings('sources/br/sp/statewide.json', { language: 'xx' }), []);
+        t.deepEquals(iso639.warnings('sources/qq/countrywide.json', { language: 'ja' }), []);
+        t.deepEquals(iso639.warnings('sources/br/sp/statewide.json', {}), []);
+        t.end();
+
+    });
+
+});
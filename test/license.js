@@ -0,0 +1,143 @@
+const tape = require('tape');
+const license = require('../lib/license');
+
+tape('spdx tests', (test) => {
+    test.test('known identifiers should be found case-insensitively', (t) => {
+        t.equals(license.lookup('CC-BY-4.0'), 'CC-BY-4.0');
+        t.equals(license.lookup('odbl-1.0'), 'ODbL-1.0');
+        t.equals(license.lookup('Crappy License'), undefined);
+        t.end();
+
+    });
+
+    test.test('license URLs should be identified', (t) => {
+        t.equals(license.identify('http://opendatacommons.org/licenses/odbl/1.0/'), 'ODbL-1.0');
+        t.equals(license.identify('https://creativecommons.org/licences/by/4.0/deed.fi'), 'CC-BY-4.0');
+        t.equals(license.identify('http://creativecommons.org/licenses/by/4.0/legalcode'), 'CC-BY-4.0');
+        t.equals(license.identify('https://creativecommons.org/licenses/by-sa/3.0/'), 'CC-BY-SA-3.0');
+        t.equals(license.identify('https://creativecommons.org/licenses/by/3.0/de/'), 'CC-BY-3.0-DE');
+        t.equals(license.identify('https://creativecommons.org/publicdomain/zero/1.0/deed.de'), 'CC0-1.0');
+        t.equals(license.identify('https://www.govdata.de/dl-de/by-2-0'), 'DL-DE-BY-2.0');
+        t.end();
+
+    });
+
+    test.test('unrecognised license URLs should not be identified', (t) => {
+        // ported CC licenses without an SPDX identifier of their own
+        t.equals(license.identify('https://creativecommons.org/licenses/by/2.5/it/'), undefined);
+        t.equals(license.identify('https://creativecommons.org/licenses/by/'), undefined);
+        t.equals(license.identify('http://www.dati.gov.it/iodl/2.0/'), undefined);
+        t.end();
+
+    });
+
+});
+
+tape('license check tests', (test) => {
+    test.test('unknown spdx identifier should fail', (t) => {
+        t.deepEquals(license.check({ license: { spdx: 'CC-BY-5.0' } }), [
+            'license.spdx "CC-BY-5.0" is not an SPDX license identifier'
+        ]);
+        t.end();
+
+    });
+
+    test.test('deprecated spdx identifier should fail', (t) => {
+        t.deepEquals(license.check({ license: { spdx: 'GPL-2.0' } }), [
+            'license.spdx "GPL-2.0" is a deprecated SPDX license identifier'
+        ]);
+        t.end();
+
+    });
+
+    test.test('spdx identifier in the wrong case should fail', (t) => {
+        t.deepEquals(license.check({ license: { spdx: 'odbl-1.0' } }), [
+            'license.spdx "odbl-1.0" should be written "ODbL-1.0"'
+        ]);
+        t.end();
+
+    });
+
+    test.test('attribution without attribution name should warn but not fail', (t) => {
+        const message = 'license["attribution name"] is needed when license.attribution is true, check the license terms for the copyright holder';
+
+        t.deepEquals(license.check({ license: { attribution: true } }), []);
+        t.deepEquals(license.warnings({ license: { attribution: true } }), [message]);
+        t.deepEquals(license.warnings({ license: { attribution: true, 'attribution name': '' } }), [message]);
+        t.deepEquals(license.warnings({ license: { attribution: true, 'attribution name': 'Someone' } }), []);
+        t.deepEquals(license.warnings({ license: null }), []);
+        t.end();
+
+    });
+
+    test.test('valid licenses should not fail', (t) => {
+        t.deepEquals(license.check({ license: { spdx: 'CC-BY-4.0', attribution: true, 'attribution name': 'Someone' } }), []);
+        t.deepEquals(license.check({ license: { attribution: false } }), []);
+        t.deepEquals(license.check({ license: 'Unknown' }), []);
+        t.deepEquals(license.check({}), []);
+        t.end();
+
+    });
+
+});
+
+tape('license migration tests', (test) => {
+    test.test('license URL string should become an object', (t) => {
+        t.deepEquals(license.migrate({ license: 'http://www.acgov.org/acdata/terms.htm' }), {
+            license: { url: 'http://www.acgov.org/acdata/terms.htm' }
+        });
+        t.end();
+
+    });
+
+    test.test('recognised license URL should get an spdx identifier', (t) => {
+        t.deepEquals(license.migrate({ license: 'https://creativecommons.org/licenses/by-sa/4.0/' }), {
+            license: { url: 'https://creativecommons.org/licenses/by-sa/4.0/', spdx: 'CC-BY-SA-4.0', 'share-alike': true }
+        });
+        t.deepEquals(license.migrate({ license: { url: 'http://opendatacommons.org/licenses/odbl/1.0/', 'share-alike': true } }), {
+            license: { url: 'http://opendatacommons.org/licenses/odbl/1.0/', 'share-alike': true, spdx: 'ODbL-1.0' }
+        });
+        t.end();
+
+    });
+
+    test.test('top-level attribution should move into the license', (t) => {
+        t.deepEquals(license.migrate({ license: { url: 'http://x.com/terms', attribution: true }, attribution: 'Town' }), {
+            license: { url: 'http://x.com/terms', attribution: true, 'attribution name': 'Town' }
+        });
+        t.deepEquals(license.migrate({ license: 'Public Domain', attribution: 'Town' }), {
+            license: { text: 'Public Domain', 'attribution name': 'Town' }
+        });
+        t.deepEquals(license.migrate({ type: 'http', attribution: 'Town' }), {
+            type: 'http',
+            license: { 'attribution name': 'Town' }
+        });
+        t.end();
+
+    });
+
+    test.test('existing attribution name should not be replaced', (t) => {
+        t.deepEquals(license.migrate({ license: { 'attribution name': 'City' }, attribution: 'Town' }), {
+            license: { 'attribution name': 'City' }
+        });
+        t.end();
+
+    });
+
+    test.test('other license strings should be left alone', (t) => {
+        t.deepEquals(license.migrate({ license: 'Unknown' }), { license: 'Unknown' });
+        t.end();
+
+    });
+
+    test.test('source should not be modified', (t) => {
+        const source = { license: { url: 'http://opendatacommons.org/licenses/odbl/1.0/' }, attribution: 'Town' };
+
+        license.migrate(source);
+
+        t.deepEquals(source, { license: { url: 'http://opendatacommons.org/licenses/odbl/1.0/' }, attribution: 'Town' });
+        t.end();
+
+    });
+
+});
@@ -0,0 +1,117 @@
+const tape = require('tape');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const manifest = require('../lib/manifest');
+
+tape('manifest select tests', (test) => {
+    test.test('no selection should select every source', (t) => {
+        const selected = manifest.select({});
+
+        t.ok(selected.length > 1000, `${selected.length} sources selected`);
+        t.ok(selected.every(file => /^sources\/.+\.json$/.test(file)));
+        t.end();
+
+    });
+
+    test.test('countries should select sources in their directories', (t) => {
+        t.deepEquals(manifest.select({ countries: ['JM', 'xk'] }), [
+            'sources/jm/august_town.json',
+            'sources/jm/countrywide.json',
+            'sources/xk/countrywide.json'
+        ]);
+        t.end();
+
+    });
+
+    test.test('files, patterns and lists should be combined without duplicates', (t) => {
+        const list = path.join(os.tmpdir(), `manifest-test-${process.pid}.txt`);
+
+        fs.writeFileSync(list, '# sources to include\nsources/sk/countrywide.json\n\nsources/jm/countrywide.json\n');
+
+        try {
+            t.deepEquals(manifest.select({
+                files: ['sources/xk/countrywide.json', 'sources/sk/countrywide.json'],
+                patterns: ['sources/jm/c*.json'],
+                lists: [list]
+            }), [
+                'sources/jm/countrywide.json',
+                'sources/sk/countrywide.json',
+                'sources/xk/countrywide.json'
+            ]);
+        } finally {
+            fs.unlinkSync(list);
+        }
+
+        t.end();
+
+    });
+
+});
+
+tape('manifest parseArgs tests', (test) => {
+    test.test('selection flags, files and other arguments should be separated', (t) => {
+        const options = manifest.parseArgs([
+            '--country', 'us', '--json', 'sources/jm/countrywide.json', '--glob', 'sources/ca/**/*.json',
+            '--output', 'report.json', '--list', 'list.txt', '--country', 'ca'
+        ], { '--output': 'output' });
+
+        t.deepEquals(options, {
+            countries: ['us', 'ca'],
+            patterns: ['sources/ca/**/*.json'],
+            files: ['sources/jm/countrywide.json'],
+            lists: ['list.txt'],
+            rest: ['--json'],
+            output: 'report.json'
+        });
+        t.end();
+
+    });
+
+    test.test('flag without a value should throw', (t) => {
+        t.throws(() => manifest.parseArgs(['--country']), /--country requires a value/);
+        t.end();
+
+    });
+
+});
+
+tape('manifest parseIntegers tests', (test) => {
+    test.test('given options should be parsed and missing ones left out', (t) => {
+        const options = manifest.parseArgs(['--timeout', '5000', '--retries', '0'], {
+            '--timeout': 'timeout',
+            '--retries': 'retries',
+            '--page-size': 'pageSize'
+        });
+
+        t.deepEquals(manifest.parseIntegers(options, { pageSize: 1, timeout: 1, retries: 0 }), {
+            timeout: 5000,
+            retries: 0
+        });
+        t.end();
+
+    });
+
+    test.test('values below their minimum or not integers should throw naming the flag', (t) => {
+        t.throws(() => manifest.parseIntegers({ pageSize: '0' }, { pageSize: 1 }), /--page-size must be a positive integer/);
+        t.throws(() => manifest.parseIntegers({ retries: '-1' }, { retries: 0 }), /--retries must be a non-negative integer/);
+        t.throws(() => manifest.parseIntegers({ timeout: 'soon' }, { timeout: 1 }), /--timeout must be a positive integer/);
+        t.end();
+
+    });
+
+});
+
+tape('manifest readSources tests', (test) => {
+    test.test('each file should be returned along with its parsed source', (t) => {
+        const entries = manifest.readSources(['sources/jm/countrywide.json']);
+
+        t.deepEquals(entries, [{
+            file: 'sources/jm/countrywide.json',
+            source: JSON.parse(fs.readFileSync('sources/jm/countrywide.json', 'utf8'))
+        }]);
+        t.end();
+
+    });
+
+});
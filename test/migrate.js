@@ -0,0 +1,100 @@
+const tape = require('tape');
+const migrate = require('../lib/migrate');
+
+const text = [
+    '{',
+    '    "coverage": {',
+    '        "country": "xx",',
+    '        "geometry": {"type": "Point", "coordinates": [1, 2]}',
+    '    },',
+    '    "data": "http://example.com/addresses.zip",',
+    '    "type": "http",',
+    '    "conform": {',
+    '        "type": "shapefile",',
+    '        "number": "NUM"',
+    '    }',
+    '}',
+    ''
+].join('\n');
+
+tape('migrate preserveOrder tests', (test) => {
+    test.test('existing tags should keep their order', (t) => {
+        const ordered = migrate.preserveOrder({ b: 1, a: { d: 1, c: 2 } }, { a: { c: 3, d: 1 }, b: 2 }, true);
+
+        t.deepEquals(Object.keys(ordered), ['b', 'a']);
+        t.deepEquals(Object.keys(ordered.a), ['d', 'c']);
+        t.end();
+
+    });
+
+    test.test('new top-level tags should be placed at their canonical position', (t) => {
+        const ordered = migrate.preserveOrder(
+            { coverage: {}, type: 'http', conform: {}, test: {} },
+            { test: {}, conform: {}, type: 'http', coverage: {}, license: {}, language: 'en' },
+            true
+        );
+
+        t.deepEquals(Object.keys(ordered), ['coverage', 'type', 'license', 'language', 'conform', 'test']);
+        t.end();
+
+    });
+
+    test.test('new nested tags should be placed at the end', (t) => {
+        const ordered = migrate.preserveOrder({ conform: { type: 'csv' } }, { conform: { id: 'ID', type: 'csv' } }, true);
+
+        t.deepEquals(Object.keys(ordered.conform), ['type', 'id']);
+        t.end();
+
+    });
+
+});
+
+tape('migrate apply tests', (test) => {
+    test.test('unchanged source should return the same text', (t) => {
+        t.equals(migrate.apply({ migrate: source => source }, 'sources/xx/a.json', text), text);
+        t.equals(migrate.apply({ migrate: source => source }, 'sources/xx/a.json', '{"type":"http"}'), '{"type":"http"}');
+        t.end();
+
+    });
+
+    test.test('changed source should only change the migrated lines', (t) => {
+        const migration = {
+            migrate: (source, file) => {
+                source.conform.number = file;
+                source.language = 'en';
+                return source;
+            }
+        };
+
+        t.equals(migrate.apply(migration, 'sources/xx/a.json', text), [
+            '{',
+            '    "coverage": {',
+            '        "country": "xx",',
+            '        "geometry": {"type": "Point", "coordinates": [1, 2]}',
+            '    },',
+            '    "data": "http://example.com/addresses.zip",',
+            '    "type": "http",',
+            '    "language": "en",',
+            '    "conform": {',
+            '        "type": "shapefile",',
+            '        "number": "sources/xx/a.json"',
+            '    }',
+            '}',
+            ''
+        ].join('\n'));
+        t.end();
+
+    });
+
+    test.test('missing newline at the end of a file should stay missing', (t) => {
+        t.equals(migrate.apply({ migrate: source => Object.assign(source, { skip: true }) }, 'a.json', '{"type":"http"}'), [
+            '{',
+            '    "type": "http",',
+            '    "skip": true',
+            '}'
+        ].join('\n'));
+        t.end();
+
+    });
+
+});
@@ -0,0 +1,240 @@
+const tape = require('tape');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const url = require('url');
+const ogc = require('../lib/ogc');
+
+// five point features numbered 1-5
+const features = [1, 2, 3, 4, 5].map(id => {
+    return {
+        type: 'Feature',
+        id: id,
+        properties: { number: String(id), street: 'Hauptstraße' },
+        geometry: { type: 'Point', coordinates: [14.4 + id / 100, 50.1] }
+    };
+});
+
+// a stand-in serving the features through WFS at /wfs and OGC API at /ogc,
+// recording the query parameters it receives
+function startServer(callback) {
+    const queries = [];
+
+    const server = http.createServer((req, res) => {
+        const parsed = url.parse(req.url, true);
+        const query = parsed.query;
+
+        queries.push(Object.assign({ path: parsed.pathname }, query));
+
+        if (parsed.pathname === '/wfs' && query.typeNames !== 'ad:Address') {
+            res.writeHead(400, { 'Content-Type': 'application/xml' });
+            return res.end([
+                '<ows:ExceptionReport xmlns:ows="http://www.opengis.net/ows/1.1" version="2.0.0">',
+                '<ows:Exception exceptionCode="InvalidParameterValue" locator="typeName">',
+                `<ows:ExceptionText>Unknown feature type ${query.typeNames}</ows:ExceptionText>`,
+                '</ows:Exception>',
+                '</ows:ExceptionReport>'
+            ].join('\n'));
+        }
+
+        if (parsed.pathname === '/wfs') {
+            const start = Number(query.startIndex);
+            // like many servers, never more than 2 features per page
+            const page = features.slice(start, start + Math.min(Number(query.count), 2));
+
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({
+                type: 'FeatureCollection',
+                numberMatched: features.length,
+                numberReturned: page.length,
+                features: page
+            }));
+        }
+
+        if (parsed.pathname === '/ogc/collections/addresses/items') {
+            const offset = Number(query.offset || 0);
+            const limit = Number(query.limit);
+            const page = features.slice(offset, offset + limit);
+            const links = [{ rel: 'self', href: req.url }];
+
+            // the next link is relative on purpose
+            if (offset + limit < features.length) {
+                links.push({ rel: 'next', href: `items?f=json&limit=${limit}&offset=${offset + limit}` });
+            }
+
+            res.writeHead(200, { 'Content-Type': 'application/geo+json' });
+            return res.end(JSON.stringify({ type: 'FeatureCollection', features: page, links: links }));
+        }
+
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ code: 'NotFound' }));
+
+    });
+
+    server.listen(0, '127.0.0.1', () => callback(server, `http://127.0.0.1:${server.address().port}`, queries));
+
+}
+
+tape('ogc page tests', (test) => {
+    test.test('first WFS page should request GetFeature as GeoJSON', (t) => {
+        t.deepEquals(ogc.firstPage({ type: 'wfs', data: 'http://x.com/wfs?service=WFS', typename: 'ad:Address' }, 100), {
+            url: 'http://x.com/wfs',
+            params: {
+                service: 'WFS',
+                version: '2.0.0',
+                request: 'GetFeature',
+                typeNames: 'ad:Address',
+                outputFormat: 'application/json',
+                srsName: 'urn:ogc:def:crs:OGC:1.3:CRS84',
+                count: 100,
+                startIndex: 0
+            }
+        });
+        t.end();
+
+    });
+
+    test.test('WFS pages should be sorted by sort_by or the conform id', (t) => {
+        t.equals(ogc.firstPage({ type: 'wfs', data: 'http://x.com/wfs', typename: 'ad:Address', sort_by: 'gml_id' }, 100).params.sortBy, 'gml_id');
+        t.equals(ogc.firstPage({ type: 'wfs', data: 'http://x.com/wfs', typename: 'ad:Address', conform: { id: 'ADDRESS_ID' } }, 100).params.sortBy, 'ADDRESS_ID');
+        t.equals(ogc.sortProperty({ type: 'wfs', conform: { id: { function: 'join', fields: ['A', 'B'] } } }), undefined);
+        t.end();
+
+    });
+
+    test.test('first OGC API page should request the collection items', (t) => {
+        t.deepEquals(ogc.firstPage({ type: 'ogcapi', data: 'http://x.com/api/', collection: 'addresses' }, 100), {
+            url: 'http://x.com/api/collections/addresses/items',
+            params: { f: 'json', limit: 100 }
+        });
+        t.deepEquals(ogc.firstPage({ type: 'ogcapi', data: 'http://x.com/api', collection: 'addresses', crs: 'http://www.opengis.net/def/crs/EPSG/0/3035' }, 100).params, {
+            f: 'json',
+            limit: 100,
+            crs: 'http://www.opengis.net/def/crs/EPSG/0/3035'
+        });
+        t.end();
+
+    });
+
+    test.test('WFS paging should stop at numberMatched', (t) => {
+        const source = { type: 'wfs' };
+        const page = { url: 'http://x.com/wfs', params: { startIndex: 0, count: 2 } };
+
+        t.deepEquals(ogc.nextPage(source, page, { features: [{}, {}], numberMatched: 4 }, 2).params.startIndex, 2);
+        t.equals(ogc.nextPage(source, { url: page.url, params: { startIndex: 2 } }, { features: [{}, {}], numberMatched: 4 }, 2), null);
+        t.equals(ogc.nextPage(source, page, { features: [{}] }, 2), null);
+        t.end();
+
+    });
+
+    test.test('WFS paging should go on past a short page until numberMatched', (t) => {
+        const source = { type: 'wfs' };
+        const page = { url: 'http://x.com/wfs', params: { startIndex: 0, count: 1000 } };
+
+        t.equals(ogc.nextPage(source, page, { features: [{}, {}], numberMatched: 4 }, 1000).params.startIndex, 2);
+        t.equals(ogc.nextPage(source, page, { features: [], numberMatched: 4 }, 1000), null, 'an empty page ends it');
+        t.equals(ogc.nextPage(source, page, { features: [{}, {}], numberMatched: 'unknown' }, 1000), null);
+        t.end();
+
+    });
+
+});
+
+tape('ogc download tests', (test) => {
+    startServer((server, base, queries) => {
+        const output = path.join(os.tmpdir(), `ogc-test-${process.pid}.geojson`);
+        const options = { timeout: 1000, retries: 0 };
+
+        function read() {
+            return JSON.parse(fs.readFileSync(output, 'utf8'));
+        }
+
+        test.test('WFS feature type should be paged with startIndex', (t) => {
+            queries.length = 0;
+
+            const source = { type: 'wfs', data: `${base}/wfs`, typename: 'ad:Address', sort_by: 'gml_id', page_size: 2, crs: 'EPSG:5514' };
+
+            ogc.download(source, output, options, (err, result) => {
+                t.error(err);
+                t.deepEquals(result, { features: 5, pages: 3 });
+                t.deepEquals(queries.map(query => query.startIndex), ['0', '2', '4']);
+                t.ok(queries.every(query => query.sortBy === 'gml_id'), 'every page should be sorted');
+                t.ok(queries.every(query => query.srsName === 'EPSG:5514' && query.count === '2'));
+                t.deepEquals(read(), { type: 'FeatureCollection', features: features });
+                t.end();
+            });
+
+        });
+
+        test.test('WFS paging should go on when the server caps the page size', (t) => {
+            queries.length = 0;
+
+            ogc.download({ type: 'wfs', data: `${base}/wfs`, typename: 'ad:Address' }, output, options, (err, result) => {
+                t.error(err);
+                t.deepEquals(result, { features: 5, pages: 3 });
+                t.deepEquals(queries.map(query => query.startIndex), ['0', '2', '4']);
+                t.ok(queries.every(query => query.srsName === 'urn:ogc:def:crs:OGC:1.3:CRS84'));
+                t.deepEquals(read(), { type: 'FeatureCollection', features: features });
+                t.end();
+            });
+
+        });
+
+        test.test('OGC API collection should be paged by following next links', (t) => {
+            queries.length = 0;
+
+            const source = { type: 'ogcapi', data: `${base}/ogc`, collection: 'addresses', page_size: 2 };
+
+            ogc.download(source, output, options, (err, result) => {
+                t.error(err);
+                t.deepEquals(result, { features: 5, pages: 3 });
+                t.deepEquals(queries.map(query => query.offset), [undefined, '2', '4']);
+                t.deepEquals(read(), { type: 'FeatureCollection', features: features });
+                t.end();
+            });
+
+        });
+
+        test.test('page size option should override the source', (t) => {
+            const source = { type: 'ogcapi', data: `${base}/ogc`, collection: 'addresses', page_size: 2 };
+
+            ogc.download(source, output, Object.assign({ pageSize: 10 }, options), (err, result) => {
+                t.error(err);
+                t.deepEquals(result, { features: 5, pages: 1 });
+                t.end();
+            });
+
+        });
+
+        test.test('WFS exceptions should fail the download', (t) => {
+            const source = { type: 'wfs', data: `${base}/wfs`, typename: 'ad:Missing' };
+
+            ogc.download(source, output, options, (err) => {
+                t.equals(err.message, `${base}/wfs responded with exception: Unknown feature type ad:Missing`);
+                t.notOk(fs.existsSync(output), 'output should be deleted');
+                t.end();
+            });
+
+        });
+
+        test.test('missing collection should fail the download', (t) => {
+            const source = { type: 'ogcapi', data: `${base}/ogc`, collection: 'buildings' };
+
+            ogc.download(source, output, options, (err) => {
+                t.equals(err.message, `${base}/ogc/collections/buildings/items responded with HTTP 404`);
+                t.end();
+            });
+
+        });
+
+        test.test('close server', (t) => {
+            server.close();
+
+            if (fs.existsSync(output)) fs.unlinkSync(output);
+            t.end();
+        });
+
+    });
+
+});
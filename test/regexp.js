@@ -0,0 +1,249 @@
+const tape = require('tape');
+const regexp = require('../lib/regexp');
+
+tape('regexp pattern lint', (test) => {
+    test.test('portable pattern should have no findings', (t) => {
+        t.deepEquals(regexp.lint('^(?:[0-9]+ )(.*)', '$1'), []);
+        t.deepEquals(regexp.lint('^([0-9]+)(?=\\s)'), []);
+        t.end();
+
+    });
+
+    test.test('pattern that does not compile should be reported', (t) => {
+        const findings = regexp.lint('\\((?:Unit|UNIT)?\\s?#).*(\\)?');
+
+        t.equals(findings.length, 1);
+        t.ok(/^pattern does not compile/.test(findings[0]), findings[0]);
+        t.end();
+
+    });
+
+    test.test('Python-only constructs should be reported', (t) => {
+        [
+            ['^(?P<number>\\d+)', 'Python named group'],
+            ['^(\\d+) (?P=number)', 'Python named backreference'],
+            ['(?i)^main', 'Python inline flag group'],
+            ['\\Amain', 'Python start-of-string anchor'],
+            ['main\\Z', 'Python end-of-string anchor'],
+            ['main(?#comment)', 'Python comment group']
+        ].forEach(pair => {
+            const findings = regexp.lint(pair[0]);
+
+            t.ok(findings.some(finding => finding.indexOf(pair[1]) >= 0), `${pair[0]}: ${JSON.stringify(findings)}`);
+
+        });
+
+        t.end();
+
+    });
+
+    test.test('JavaScript named groups should be reported unless allowed', (t) => {
+        t.deepEquals(regexp.lint('^(?<number>\\d+)'), ['pattern uses unportable construct: JavaScript named group (?<name>...)']);
+        t.deepEquals(regexp.lint('^(?<number>\\d+) \\k<number>'), [
+            'pattern uses unportable construct: JavaScript named group (?<name>...)',
+            'pattern uses unportable construct: JavaScript named backreference \\k<name>'
+        ]);
+        t.deepEquals(regexp.lint('^(?<number>\\d+) \\k<number>', undefined, true), []);
+        t.deepEquals(regexp.lint('(?<=a)(?<!b)c'), []);
+        t.deepEquals(regexp.lint('^(?<number>\\d+) \\k<nubmer>', undefined, true), [
+            'pattern does not compile: \\k<nubmer> does not name a group'
+        ]);
+        t.end();
+
+    });
+
+    test.test('named groups in regexp functions should be reported', (t) => {
+        const source = {
+            conform: {
+                city: { function: 'regexp', field: 'address', pattern: '^(?<city>.+), [A-Z]{2}$', replace: '$1' }
+            }
+        };
+
+        t.deepEquals(regexp.lintSource(source), [
+            {
+                attribute: 'city',
+                pattern: '^(?<city>.+), [A-Z]{2}$',
+                message: 'pattern uses unportable construct: JavaScript named group (?<name>...)'
+            }
+        ]);
+        t.end();
+
+    });
+
+    test.test('escaped and bracketed constructs should not be reported', (t) => {
+        t.deepEquals(regexp.lint('\\(\\?P<'), []);
+        t.deepEquals(regexp.lint('[(?P<]'), []);
+        t.deepEquals(regexp.lint('\\\\A'), []);
+        t.end();
+
+    });
+
+    test.test('replace referencing more groups than captured should be reported', (t) => {
+        t.deepEquals(regexp.lint('^(\\d+) (\\w+)', '$1 $2'), []);
+        t.deepEquals(regexp.lint('^(\\d+)', '$2'), ['replace references group $2 but pattern only captures 1 group(s)']);
+        t.deepEquals(regexp.lint('^(?:\\d+) (?=\\w)', '$1'), ['replace references group $1 but pattern only captures 0 group(s)']);
+        t.end();
+
+    });
+
+    test.test('named groups should count as captured groups', (t) => {
+        t.equals(regexp.analyze('^(?<number>\\d+) (.*)').groups, 2);
+        t.equals(regexp.analyze('(?<=a)(?<!b)(c)').groups, 1);
+        t.end();
+
+    });
+
+    test.test('nested unbounded quantifiers should be reported', (t) => {
+        ['^(a+)+$', '^(?:\\d+\\s*)*$', '^(\\w*,?){2,}$', '^(?:(?:x+)y)+$'].forEach(pattern => {
+            const findings = regexp.lint(pattern);
+
+            t.equals(findings.length, 1, pattern);
+            t.ok(/catastrophic backtracking/.test(findings[0]), findings[0]);
+
+        });
+
+        t.end();
+
+    });
+
+    test.test('bounded or lookaround-anchored repetition should not be reported', (t) => {
+        ['^(a+){1,3}$', '^(?:a|b)+$', '^(?:\\s*\\w+(?=[\\s,]))+', '^([0-9]+)(?: [0-9]+)?$'].forEach(pattern => {
+            t.deepEquals(regexp.lint(pattern), [], pattern);
+        });
+
+        t.end();
+
+    });
+
+});
+
+tape('regexp source lint', (test) => {
+    test.test('findings should be tagged with the conform attribute', (t) => {
+        const source = {
+            conform: {
+                number: { function: 'regexp', field: 'address', pattern: '^([0-9]+)' },
+                street: {
+                    function: 'chain',
+                    variable: 'street_wip',
+                    functions: [
+                        { function: 'regexp', field: 'address', pattern: '^(?:[0-9]+ )(.*)', replace: '$2' }
+                    ]
+                },
+                city: 'town'
+            }
+        };
+
+        t.deepEquals(regexp.lintSource(source), [
+            {
+                attribute: 'street',
+                pattern: '^(?:[0-9]+ )(.*)',
+                message: 'replace references group $2 but pattern only captures 1 group(s)'
+            }
+        ]);
+        t.end();
+
+    });
+
+    test.test('patterns of conform.regexps should be tagged with their position', (t) => {
+        const source = {
+            conform: {
+                regexps: [
+                    { field: 'address', pattern: '^(?<city>.+), (?<region>[A-Z]{2})$' },
+                    { field: 'address', pattern: '^(?<postcode>(\\d+)*)$' }
+                ]
+            }
+        };
+
+        t.deepEquals(regexp.lintSource(source), [
+            {
+                attribute: 'regexps[1]',
+                pattern: '^(?<postcode>(\\d+)*)$',
+                message: 'pattern is prone to catastrophic backtracking due to nested quantifiers in (\\d+)*'
+            }
+        ]);
+        t.end();
+
+    });
+
+    test.test('patterns of conform.filter should be tagged with filter', (t) => {
+        const source = {
+            conform: {
+                filter: {
+                    any: [
+                        { field: 'STATUS', equals: 'ACTIVE' },
+                        { field: 'NUMBER', regexp: '^(\\d+\\s*)+$' }
+                    ]
+                }
+            }
+        };
+
+        t.deepEquals(regexp.lintSource(source), [
+            {
+                attribute: 'filter',
+                pattern: '^(\\d+\\s*)+$',
+                message: 'pattern is prone to catastrophic backtracking due to nested quantifiers in (\\d+\\s*)+'
+            }
+        ]);
+        t.end();
+
+    });
+
+    test.test('source without conform should have no findings', (t) => {
+        t.deepEquals(regexp.lintSource({}), []);
+        t.end();
+
+    });
+
+});
+
+tape('regexp named groups', (test) => {
+    test.test('named groups should become numbered groups', (t) => {
+        t.deepEquals(regexp.unnameGroups('^(?<city>.+?), (?<region>[A-Z]{2})$'), {
+            pattern: '^(.+?), ([A-Z]{2})$',
+            groups: [{ name: 'city', index: 1 }, { name: 'region', index: 2 }],
+            unknown: []
+        });
+        t.end();
+
+    });
+
+    test.test('unnamed capturing groups should be counted', (t) => {
+        t.deepEquals(regexp.unnameGroups('^(\\d+) (?:\\w+ )(?<=\\s)(?<street>.+)$'), {
+            pattern: '^(\\d+) (?:\\w+ )(?<=\\s)(.+)$',
+            groups: [{ name: 'street', index: 2 }],
+            unknown: []
+        });
+        t.end();
+
+    });
+
+    test.test('named backreferences should become numbered backreferences', (t) => {
+        t.equals(regexp.unnameGroups('^(?<quote>[\'"]).*\\k<quote>$').pattern, '^([\'"]).*\\1$');
+        t.deepEquals(regexp.unnameGroups('^(?<quote>[\'"]).*\\k<qoute>$').unknown, ['qoute']);
+        t.deepEquals(regexp.unnameGroups('^\\k<quote>$').unknown, [], 'without named groups \\k is a literal');
+        t.end();
+
+    });
+
+    test.test('escaped and bracketed parentheses should not be groups', (t) => {
+        t.deepEquals(regexp.unnameGroups('\\((?<unit>\\w+)[(?<x>)]').groups, [{ name: 'unit', index: 1 }]);
+        t.end();
+
+    });
+
+});
+
+tape('regexp lookbehinds', (test) => {
+    test.test('lookbehinds should become lookaheads for compiling', (t) => {
+        t.equals(regexp.withoutLookbehinds('^(.+?)(?:(?<=Seedorf)UR|(?<!\\s)TX)$'), '^(.+?)(?:(?=Seedorf)UR|(?!\\s)TX)$');
+        t.end();
+
+    });
+
+    test.test('escaped and bracketed lookbehinds should be left as is', (t) => {
+        t.equals(regexp.withoutLookbehinds('\\(?<=a[(?<!b]'), '\\(?<=a[(?<!b]');
+        t.end();
+
+    });
+
+});
@@ -0,0 +1,219 @@
+const tape = require('tape');
+const rules = require('../lib/rules');
+
+tape('processing tag rules', (test) => {
+    test.test('csv-only tags on other conform types should fail', (t) => {
+        ['headers', 'skiplines', 'csvsplit'].forEach(tag => {
+            const source = {
+                type: 'http',
+                conform: {
+                    type: 'geojson'
+                }
+            };
+
+            source.conform[tag] = 1;
+
+            t.deepEquals(rules.check(source), [`conform.${tag} is only supported when conform.type is "csv", not "geojson"`]);
+
+        });
+
+        t.end();
+
+    });
+
+    test.test('csv-only tags on csv should not fail', (t) => {
+        const source = {
+            type: 'http',
+            conform: {
+                type: 'csv',
+                headers: -1,
+                skiplines: 1,
+                csvsplit: ';',
+                lat: 'y',
+                lon: 'x'
+            }
+        };
+
+        t.deepEquals(rules.check(source), []);
+        t.end();
+
+    });
+
+    test.test('layer on conform types other than gdb and xml should fail', (t) => {
+        ['shapefile', 'shapefile-polygon', 'geojson'].forEach(type => {
+            const source = {
+                type: 'http',
+                conform: {
+                    type: type,
+                    layer: 'addresses'
+                }
+            };
+
+            t.deepEquals(rules.check(source), [`conform.layer is only supported when conform.type is "gdb" or "xml", not "${type}"`]);
+
+        });
+
+        ['gdb', 'xml'].forEach(type => {
+            t.deepEquals(rules.check({ type: 'http', conform: { type: type, layer: 0 } }), [], `${type} should not fail`);
+        });
+
+        t.end();
+
+    });
+
+    test.test('srs on conform types without projection support should fail', (t) => {
+        ['gdb', 'geojson'].forEach(type => {
+            const source = {
+                type: 'http',
+                conform: {
+                    type: type,
+                    srs: 'EPSG:2271'
+                }
+            };
+
+            t.deepEquals(rules.check(source), [
+                `conform.srs is only supported when conform.type is "shapefile", "shapefile-polygon", "csv", or "xml", not "${type}"`
+            ]);
+
+        });
+
+        ['shapefile', 'shapefile-polygon', 'xml'].forEach(type => {
+            t.deepEquals(rules.check({ type: 'http', conform: { type: type, srs: 'EPSG:2271' } }), [], `${type} should not fail`);
+        });
+
+        t.end();
+
+    });
+
+});
+
+tape('coordinate field rules', (test) => {
+    test.test('csv without lat or lon should fail', (t) => {
+        t.deepEquals(rules.check({ type: 'http', conform: { type: 'csv', lon: 'x' } }), [
+            'conform.lat is required when conform.type is "csv"'
+        ]);
+        t.deepEquals(rules.check({ type: 'http', conform: { type: 'csv' } }), [
+            'conform.lat is required when conform.type is "csv"',
+            'conform.lon is required when conform.type is "csv"'
+        ]);
+        t.end();
+
+    });
+
+    test.test('lat or lon on conform types other than csv should fail', (t) => {
+        t.deepEquals(rules.check({ type: 'http', conform: { type: 'shapefile', lat: 'y', lon: 'x' } }), [
+            'conform.lat is only supported when conform.type is "csv", not "shapefile"',
+            'conform.lon is only supported when conform.type is "csv", not "shapefile"'
+        ]);
+        t.end();
+
+    });
+
+});
+
+tape('ESRI rules', (test) => {
+    test.test('ESRI source with conform.type other than geojson should fail', (t) => {
+        t.deepEquals(rules.check({ type: 'ESRI', conform: { type: 'csv', lat: 'OA:y', lon: 'OA:x' } }), [
+            'conform.type must be "geojson" when type is "ESRI", not "csv"'
+        ]);
+        t.end();
+
+    });
+
+    test.test('ESRI source with geojson conform.type should not fail', (t) => {
+        t.deepEquals(rules.check({ type: 'ESRI', conform: { type: 'geojson' } }), []);
+        t.end();
+
+    });
+
+    test.test('source without conform should not fail', (t) => {
+        t.deepEquals(rules.check({ type: 'ESRI' }), []);
+        t.end();
+
+    });
+
+    test.test('where or fields on sources other than ESRI should fail', (t) => {
+        t.deepEquals(rules.check({ type: 'http', where: 'STATUS = 1', fields: ['NUM'] }), [
+            'where is only supported when type is "ESRI", not "http"',
+            'fields is only supported when type is "ESRI", not "http"'
+        ]);
+        t.deepEquals(rules.check({ type: 'ESRI', where: 'STATUS = 1', fields: ['NUM'] }), []);
+        t.end();
+
+    });
+
+    test.test('fields missing a field used in conform should fail', (t) => {
+        const source = {
+            type: 'ESRI',
+            fields: ['num', 'STREET', 'Unit'],
+            conform: {
+                type: 'geojson',
+                number: 'NUM',
+                street: { function: 'join', fields: ['PREDIR', 'STREET'] },
+                unit: {
+                    function: 'chain',
+                    variable: 'unit',
+                    functions: [
+                        { function: 'regexp', field: 'UNIT', pattern: '^(.*)$' },
+                        { function: 'remove_prefix', field: 'unit', field_to_remove: 'BLDG' }
+                    ]
+                },
+                city: 'CITY'
+            }
+        };
+
+        t.deepEquals(rules.check(source), [
+            'fields must include "PREDIR", it is used in conform',
+            'fields must include "BLDG", it is used in conform',
+            'fields must include "CITY", it is used in conform'
+        ]);
+        t.end();
+
+    });
+
+});
+
+tape('WFS and OGC API rules', (test) => {
+    test.test('wfs source should require typename and ogcapi source collection', (t) => {
+        t.deepEquals(rules.check({ type: 'wfs', sort_by: 'gml_id' }), ['typename is required when type is "wfs"']);
+        t.deepEquals(rules.check({ type: 'ogcapi' }), ['collection is required when type is "ogcapi"']);
+        t.deepEquals(rules.check({ type: 'wfs', typename: 'ad:Address', sort_by: 'gml_id', page_size: 500, crs: 'EPSG:4326' }), []);
+        t.deepEquals(rules.check({ type: 'ogcapi', collection: 'addresses', page_size: 500 }), []);
+        t.end();
+
+    });
+
+    test.test('wfs source should require a property to sort pages by', (t) => {
+        t.deepEquals(rules.check({ type: 'wfs', typename: 'ad:Address' }), [
+            'sort_by or a conform.id field is required when type is "wfs" to page features in a stable order'
+        ]);
+        t.deepEquals(rules.check({ type: 'wfs', typename: 'ad:Address', conform: { type: 'geojson', id: 'ADDRESS_ID' } }), []);
+        t.deepEquals(rules.check({ type: 'ogcapi', collection: 'addresses', sort_by: 'id' }), [
+            'sort_by is only supported when type is "wfs", not "ogcapi"'
+        ]);
+        t.end();
+
+    });
+
+    test.test('service tags on other source types should fail', (t) => {
+        t.deepEquals(rules.check({ type: 'wfs', typename: 'ad:Address', sort_by: 'gml_id', collection: 'addresses' }), [
+            'collection is only supported when type is "ogcapi", not "wfs"'
+        ]);
+        t.deepEquals(rules.check({ type: 'http', page_size: 500, crs: 'EPSG:4326' }), [
+            'page_size is only supported when type is "wfs" or "ogcapi", not "http"',
+            'crs is only supported when type is "wfs" or "ogcapi", not "http"'
+        ]);
+        t.end();
+
+    });
+
+    test.test('conform.type other than geojson should fail', (t) => {
+        t.deepEquals(rules.check({ type: 'wfs', typename: 'ad:Address', sort_by: 'gml_id', conform: { type: 'xml' } }), [
+            'conform.type must be "geojson" when type is "wfs", not "xml"'
+        ]);
+        t.deepEquals(rules.check({ type: 'ogcapi', collection: 'addresses', conform: { type: 'geojson' } }), []);
+        t.end();
+
+    });
+
+});
@@ -62,6 +62,7 @@ function isError(keyword, validate, dataPath) {
 const isEnumValueError = isError.bind(null, 'enum');
 const isTypeError = isError.bind(null, 'type');
 const isMinItemsError = isError.bind(null, 'minItems');
+const isMinPropertiesError = isError.bind(null, 'minProperties');
 const isMaximumValueError = isError.bind(null, 'maximum');
 const isMinimumValueError = isError.bind(null, 'minimum');
 const isPatternError = isError.bind(null, 'pattern');
@@ -71,7 +72,7 @@ const isFormatError = isError.bind(null, 'format');
 function testSchemaItself(validate) {
     tape('test schema itself', (test) => {
         test.test('bare minimum source should pass', (t) => {
-            ['http', 'ftp', 'ESRI'].forEach((type) => {
+            ['http', 'ftp', 'ESRI', 'wfs', 'ogcapi'].forEach((type) => {
                 const source = {
                     coverage: {
                         country: 'some country'
@@ -109,18 +110,18 @@ function testSchemaItself(validate) {
 
         });
 
-        test.test('type other than http/ftp/ESRI should fail', (t) => {
+        test.test('type other than http/ftp/ESRI/wfs/ogcapi should fail', (t) => {
             const source = {
                 coverage: {
                     country: 'some country'
                 },
-                type: 'non-http/ftp/ESRI',
+                type: 'non-http/ftp/ESRI/wfs/ogcapi',
                 data: 'http://xyz.com/'
             };
 
             const valid = validate(source);
 
-            t.notOk(valid, 'non-http/ftp/ESRI type should fail');
+            t.notOk(valid, 'non-http/ftp/ESRI/wfs/ogcapi type should fail');
             t.ok(isEnumValueError(validate, '.type'), JSON.stringify(validate.errors));
             t.end();
 
@@ -370,6 +371,75 @@ function testSchemaItself(validate) {
 
         });
 
+        test.test('non-string license spdx should fail', (t) => {
+            nonStringValues.forEach((value) => {
+                const source = {
+                    type: 'http',
+                    coverage: {
+                        country: 'some country'
+                    },
+                    data: 'http://xyz.com/',
+                    license: {
+                        spdx: value
+                    }
+                };
+
+                const valid = validate(source);
+
+                t.notOk(valid, 'non-string license spdx value should fail');
+                t.ok(isTypeError(validate, '.license.spdx'), JSON.stringify(validate.errors));
+
+            });
+
+            t.end();
+
+        });
+
+        test.test('license spdx not formatted as an identifier should fail', (t) => {
+            ['CC BY 4.0', '', '-CC-BY-4.0'].forEach((value) => {
+                const source = {
+                    type: 'http',
+                    coverage: {
+                        country: 'some country'
+                    },
+                    data: 'http://xyz.com/',
+                    license: {
+                        spdx: value
+                    }
+                };
+
+                const valid = validate(source);
+
+                t.notOk(valid, 'license spdx not formatted as an identifier should fail');
+                t.ok(isPatternError(validate, '.license.spdx'), JSON.stringify(validate.errors));
+
+            });
+
+            t.end();
+
+        });
+
+        test.test('license spdx identifier should not fail', (t) => {
+            const source = {
+                type: 'http',
+                coverage: {
+                    country: 'some country'
+                },
+                data: 'http://xyz.com/',
+                license: {
+                    spdx: 'CC-BY-4.0',
+                    attribution: true,
+                    'attribution name': 'United Federation of Planets'
+                }
+            };
+
+            const valid = validate(source);
+
+            t.ok(valid, 'license spdx identifier should not fail');
+            t.end();
+
+        });
+
         test.test('non-string language should fail', (t) => {
             nonStringValues.forEach((value) => {
                 const source = {
@@ -478,6 +548,202 @@ function testSchemaItself(validate) {
 
         });
 
+        test.test('non-string where should fail', (t) => {
+            nonStringValues.forEach((value) => {
+                const source = {
+                    type: 'ESRI',
+                    coverage: {
+                        country: 'some country'
+                    },
+                    data: 'http://xyz.com/',
+                    where: value
+                };
+
+                const valid = validate(source);
+
+                t.notOk(valid, 'non-string where value should fail');
+                t.ok(isTypeError(validate, '.where'), JSON.stringify(validate.errors));
+
+            });
+
+            t.end();
+
+        });
+
+        test.test('fields that is not a non-empty array of strings should fail', (t) => {
+            ['NUM', {}, [], [1], ['NUM', 'NUM']].forEach((value) => {
+                const source = {
+                    type: 'ESRI',
+                    coverage: {
+                        country: 'some country'
+                    },
+                    data: 'http://xyz.com/',
+                    fields: value
+                };
+
+                const valid = validate(source);
+
+                t.notOk(valid, `${JSON.stringify(value)} fields value should fail`);
+
+            });
+
+            t.end();
+
+        });
+
+        test.test('where and fields should not fail', (t) => {
+            const source = {
+                type: 'ESRI',
+                coverage: {
+                    country: 'some country'
+                },
+                data: 'http://xyz.com/',
+                where: "STATUS = 'ACTIVE'",
+                fields: ['NUM', 'STREET']
+            };
+
+            const valid = validate(source);
+
+            t.ok(valid, 'where and fields should not fail');
+            t.end();
+
+        });
+
+        test.test('non-string typename, collection or crs should fail', (t) => {
+            ['typename', 'collection', 'crs'].forEach((tag) => {
+                nonStringValues.forEach((value) => {
+                    const source = {
+                        type: 'wfs',
+                        coverage: {
+                            country: 'some country'
+                        },
+                        data: 'http://xyz.com/'
+                    };
+
+                    source[tag] = value;
+
+                    const valid = validate(source);
+
+                    t.notOk(valid, `non-string ${tag} value should fail`);
+                    t.ok(isTypeError(validate, `.${tag}`), JSON.stringify(validate.errors));
+
+                });
+            });
+
+            t.end();
+
+        });
+
+        test.test('page_size that is not a positive integer should fail', (t) => {
+            [null, '100', 17.3, {}, [], true].forEach((value) => {
+                const source = {
+                    type: 'ogcapi',
+                    coverage: {
+                        country: 'some country'
+                    },
+                    data: 'http://xyz.com/',
+                    page_size: value
+                };
+
+                const valid = validate(source);
+
+                t.notOk(valid, 'non-integer page_size value should fail');
+                t.ok(isTypeError(validate, '.page_size'), JSON.stringify(validate.errors));
+
+            });
+
+            const source = {
+                type: 'ogcapi',
+                coverage: {
+                    country: 'some country'
+                },
+                data: 'http://xyz.com/',
+                page_size: 0
+            };
+
+            t.notOk(validate(source), 'page_size of 0 should fail');
+            t.ok(isMinimumValueError(validate, '.page_size'), JSON.stringify(validate.errors));
+            t.end();
+
+        });
+
+        test.test('WFS and OGC API tags should not fail', (t) => {
+            [
+                { type: 'wfs', typename: 'ad:Address', page_size: 1000, crs: 'EPSG:4326' },
+                { type: 'ogcapi', collection: 'addresses', page_size: 1000, crs: 'http://www.opengis.net/def/crs/OGC/1.3/CRS84' }
+            ].forEach((tags) => {
+                const source = Object.assign({
+                    coverage: {
+                        country: 'some country'
+                    },
+                    data: 'http://xyz.com/'
+                }, tags);
+
+                const valid = validate(source);
+
+                t.ok(valid, `${tags.type} tags should not fail`);
+
+            });
+
+            t.end();
+
+        });
+
+        test.test('translations that are not a list of sources and languages should fail', (t) => {
+            [
+                [null, isTypeError, '.translations'],
+                [[], isMinItemsError, '.translations'],
+                [['sources/fi/uusimaa-sv.json'], isTypeError, '.translations[0]'],
+                [[{ source: 'fi/uusimaa-sv.json', language: 'sv' }], isPatternError, '.translations[0].source'],
+                [[{ source: 'sources/fi/uusimaa-sv.json', language: 'swedish' }], isPatternError, '.translations[0].language']
+            ].forEach((test) => {
+                const source = {
+                    type: 'http',
+                    coverage: {
+                        country: 'some country'
+                    },
+                    data: 'http://xyz.com/',
+                    translations: test[0]
+                };
+
+                const valid = validate(source);
+
+                t.notOk(valid, `translations ${JSON.stringify(test[0])} should fail`);
+                t.ok(test[1](validate, test[2]), JSON.stringify(validate.errors));
+
+            });
+
+            const source = {
+                type: 'http',
+                coverage: {
+                    country: 'some country'
+                },
+                data: 'http://xyz.com/',
+                translations: [{ source: 'sources/fi/uusimaa-sv.json' }]
+            };
+
+            t.notOk(validate(source), 'translation without language should fail');
+            t.ok(isMissingPropertyError(validate, '.translations[0]', 'language'), JSON.stringify(validate.errors));
+            t.end();
+
+        });
+
+        test.test('translations should not fail', (t) => {
+            const source = {
+                type: 'http',
+                coverage: {
+                    country: 'some country'
+                },
+                data: 'http://xyz.com/',
+                language: 'fi',
+                translations: [{ source: 'sources/fi/uusimaa-sv.json', language: 'sv' }]
+            };
+
+            t.ok(validate(source), 'translations should not fail');
+            t.end();
+
+        });
+
         test.test('non-string/integer year should fail', (t) => {
             [null, 17.3, {}, [], true].forEach((value) => {
                 const source = {
@@ -1144,65 +1410,318 @@ function testSchemaItself(validate) {
 
       });
 
-    });
+      test.test('unknown property should fail', t => {
+          const source = {
+              coverage: {
+                  country: 'some country',
+                  'US census': {
+                      geoid: '41015'
+                  }
+              },
+              type: 'http',
+              data: 'http://xyz.com/'
+          };
 
-    tape('prefixed_number function tests', test => {
-      test.test('missing field property should fail', t => {
-        const source = {
-          coverage: {
-              country: 'some country'
-          },
-          type: 'ESRI',
-          data: 'http://xyz.com/',
-          conform: {
-            type: 'geojson',
-            number: {
-                function: 'prefixed_number'
-            },
-            street: 'street field'
-          }
-        };
+          const valid = validate(source);
 
-        const valid = validate(source);
+          t.notOk(valid, 'unknown property in coverage should fail');
+          t.ok(isAdditionalPropertyError(validate, '.coverage', 'US census'), JSON.stringify(validate.errors));
+          t.end();
 
-        t.notOk(valid, 'missing field value should fail');
-        t.ok(isMissingPropertyError(validate, '.conform.number', 'field'), JSON.stringify(validate.errors));
-        t.end();
+      });
+
+      test.test('US Census with 2-, 5-, or 7-digit geoid should not fail', t => {
+          ['41', '41015', '4105800'].forEach(geoid => {
+              const source = {
+                  coverage: {
+                      country: 'us',
+                      'US Census': {
+                          geoid: geoid,
+                          name: 'some name',
+                          state: 'some state'
+                      }
+                  },
+                  type: 'http',
+                  data: 'http://xyz.com/'
+              };
+
+              const valid = validate(source);
+
+              t.ok(valid, `geoid ${geoid} should not fail`);
+
+          });
+
+          t.end();
 
       });
 
-      test.test('non-string field value should fail', t => {
-        nonStringValues.forEach(value => {
+      test.test('US Census missing geoid should fail', t => {
           const source = {
-            coverage: {
-                country: 'some country'
-            },
-            type: 'ESRI',
-            data: 'http://xyz.com/',
-            conform: {
-              type: 'geojson',
-              number: {
-                  function: 'prefixed_number',
-                  field: value
+              coverage: {
+                  country: 'us',
+                  'US Census': {
+                      name: 'Curry County',
+                      state: 'Oregon'
+                  }
               },
-              street: 'street field'
-            }
+              type: 'http',
+              data: 'http://xyz.com/'
           };
 
           const valid = validate(source);
 
-          t.notOk(valid, 'non-string field value should fail');
-          t.ok(isTypeError(validate, '.conform.number.field'), JSON.stringify(validate.errors));
-
-        });
-
-        t.end();
+          t.notOk(valid, 'US Census missing geoid should fail');
+          t.ok(isMissingPropertyError(validate, '.coverage[\'US Census\']', 'geoid'), JSON.stringify(validate.errors));
+          t.end();
 
       });
 
-      test.test('string field value should not fail', t => {
-        const source = {
-          coverage: {
+      test.test('US Census geoid not 2, 5, or 7 digits should fail', t => {
+          ['4', '410', '4101', '410150', '41015000', '09-80490', 'OR'].forEach(geoid => {
+              const source = {
+                  coverage: {
+                      country: 'us',
+                      'US Census': {
+                          geoid: geoid
+                      }
+                  },
+                  type: 'http',
+                  data: 'http://xyz.com/'
+              };
+
+              const valid = validate(source);
+
+              t.notOk(valid, `geoid ${geoid} should fail`);
+              t.ok(isPatternError(validate, '.coverage[\'US Census\'].geoid'), JSON.stringify(validate.errors));
+
+          });
+
+          t.end();
+
+      });
+
+      test.test('non-string US Census values should fail', t => {
+          ['geoid', 'name', 'state'].forEach(property => {
+              nonStringValues.forEach(value => {
+                  const source = {
+                      coverage: {
+                          country: 'us',
+                          'US Census': {
+                              geoid: '41015'
+                          }
+                      },
+                      type: 'http',
+                      data: 'http://xyz.com/'
+                  };
+
+                  source.coverage['US Census'][property] = value;
+
+                  const valid = validate(source);
+
+                  t.notOk(valid, `non-string US Census ${property} should fail`);
+                  t.ok(isTypeError(validate, `.coverage['US Census'].${property}`), JSON.stringify(validate.errors));
+
+              });
+
+          });
+
+          t.end();
+
+      });
+
+      test.test('unknown property in US Census should fail', t => {
+          const source = {
+              coverage: {
+                  country: 'us',
+                  'US Census': {
+                      geoid: '41015',
+                      county: 'Curry'
+                  }
+              },
+              type: 'http',
+              data: 'http://xyz.com/'
+          };
+
+          const valid = validate(source);
+
+          t.notOk(valid, 'unknown property in US Census should fail');
+          t.ok(isAdditionalPropertyError(validate, '.coverage[\'US Census\']', 'county'), JSON.stringify(validate.errors));
+          t.end();
+
+      });
+
+      test.test('ISO 3166 with country or subdivision alpha2 should not fail', t => {
+          ['NZ', 'PL-DS', 'FR-K', 'UA-12', 'MX-AGU'].forEach(alpha2 => {
+              const source = {
+                  coverage: {
+                      country: 'some country',
+                      'ISO 3166': {
+                          alpha2: alpha2,
+                          country: 'some country',
+                          subdivision: 'some subdivision',
+                          'subdivision (sv)': 'some subdivision'
+                      }
+                  },
+                  type: 'http',
+                  data: 'http://xyz.com/'
+              };
+
+              const valid = validate(source);
+
+              t.ok(valid, `alpha2 ${alpha2} should not fail`);
+
+          });
+
+          t.end();
+
+      });
+
+      test.test('non-object ISO 3166 should fail', t => {
+          nonObjectValues.forEach(value => {
+              const source = {
+                  coverage: {
+                      country: 'some country',
+                      'ISO 3166': value
+                  },
+                  type: 'http',
+                  data: 'http://xyz.com/'
+              };
+
+              const valid = validate(source);
+
+              t.notOk(valid, 'non-object ISO 3166 should fail');
+              t.ok(isTypeError(validate, '.coverage[\'ISO 3166\']'), JSON.stringify(validate.errors));
+
+          });
+
+          t.end();
+
+      });
+
+      test.test('ISO 3166 missing alpha2 should fail', t => {
+          const source = {
+              coverage: {
+                  country: 'some country',
+                  'ISO 3166': {
+                      country: 'some country'
+                  }
+              },
+              type: 'http',
+              data: 'http://xyz.com/'
+          };
+
+          const valid = validate(source);
+
+          t.notOk(valid, 'ISO 3166 missing alpha2 should fail');
+          t.ok(isMissingPropertyError(validate, '.coverage[\'ISO 3166\']', 'alpha2'), JSON.stringify(validate.errors));
+          t.end();
+
+      });
+
+      test.test('ISO 3166 alpha2 not matching XX or XX-YYY should fail', t => {
+          ['nz', 'N', 'NZL', 'PL-', 'PL-DSXX', 'pl-ds', 'PL DS'].forEach(alpha2 => {
+              const source = {
+                  coverage: {
+                      country: 'some country',
+                      'ISO 3166': {
+                          alpha2: alpha2
+                      }
+                  },
+                  type: 'http',
+                  data: 'http://xyz.com/'
+              };
+
+              const valid = validate(source);
+
+              t.notOk(valid, `alpha2 ${alpha2} should fail`);
+              t.ok(isPatternError(validate, '.coverage[\'ISO 3166\'].alpha2'), JSON.stringify(validate.errors));
+
+          });
+
+          t.end();
+
+      });
+
+      test.test('unknown property in ISO 3166 should fail', t => {
+          const source = {
+              coverage: {
+                  country: 'some country',
+                  'ISO 3166': {
+                      alpha2: 'FR-K',
+                      'sub-division': 'some subdivision'
+                  }
+              },
+              type: 'http',
+              data: 'http://xyz.com/'
+          };
+
+          const valid = validate(source);
+
+          t.notOk(valid, 'unknown property in ISO 3166 should fail');
+          t.ok(isAdditionalPropertyError(validate, '.coverage[\'ISO 3166\']', 'sub-division'), JSON.stringify(validate.errors));
+          t.end();
+
+      });
+
+    });
+
+    tape('prefixed_number function tests', test => {
+      test.test('missing field property should fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: {
+                function: 'prefixed_number'
+            },
+            street: 'street field'
+          }
+        };
+
+        const valid = validate(source);
+
+        t.notOk(valid, 'missing field value should fail');
+        t.ok(isMissingPropertyError(validate, '.conform.number', 'field'), JSON.stringify(validate.errors));
+        t.end();
+
+      });
+
+      test.test('non-string field value should fail', t => {
+        nonStringValues.forEach(value => {
+          const source = {
+            coverage: {
+                country: 'some country'
+            },
+            type: 'ESRI',
+            data: 'http://xyz.com/',
+            conform: {
+              type: 'geojson',
+              number: {
+                  function: 'prefixed_number',
+                  field: value
+              },
+              street: 'street field'
+            }
+          };
+
+          const valid = validate(source);
+
+          t.notOk(valid, 'non-string field value should fail');
+          t.ok(isTypeError(validate, '.conform.number.field'), JSON.stringify(validate.errors));
+
+        });
+
+        t.end();
+
+      });
+
+      test.test('string field value should not fail', t => {
+        const source = {
+          coverage: {
               country: 'some country'
           },
           type: 'ESRI',
@@ -1390,6 +1909,65 @@ function testSchemaItself(validate) {
 
       });
 
+      test.test('unsupported language should fail', t => {
+          ['fi', 'english', 7].forEach(value => {
+              const source = {
+                  type: 'http',
+                  coverage: {
+                      country: 'some country'
+                  },
+                  data: 'http://xyz.com/',
+                  conform: {
+                    type: 'geojson',
+                    number: 'number field',
+                    street: {
+                      function: 'postfixed_street',
+                      field: 'address',
+                      language: value
+                    }
+                  }
+              };
+
+              const valid = validate(source);
+
+              t.notOk(valid, 'unsupported language value should fail');
+              t.ok(isEnumValueError(validate, '.conform.street.language') || isTypeError(validate, '.conform.street.language'), JSON.stringify(validate.errors));
+
+          });
+
+          t.end();
+
+      });
+
+      test.test('language with unit designators should not fail', t => {
+          ['de', 'en', 'es', 'fr'].forEach(value => {
+              const source = {
+                  type: 'http',
+                  coverage: {
+                      country: 'some country'
+                  },
+                  data: 'http://xyz.com/',
+                  conform: {
+                    type: 'geojson',
+                    number: 'number field',
+                    street: {
+                      function: 'postfixed_street',
+                      field: 'address',
+                      language: value
+                    }
+                  }
+              };
+
+              const valid = validate(source);
+
+              t.ok(valid, `language ${value} should not fail`);
+
+          });
+
+          t.end();
+
+      });
+
       test.test('unknown property should fail', (t) => {
           const source = {
               coverage: {
@@ -1419,7 +1997,7 @@ function testSchemaItself(validate) {
 
     });
 
-    tape('postfixed_unit function tests', test => {
+    tape('postfixed_number function tests', test => {
       test.test('missing field property should fail', t => {
         const source = {
           coverage: {
@@ -1429,18 +2007,17 @@ function testSchemaItself(validate) {
           data: 'http://xyz.com/',
           conform: {
             type: 'geojson',
-            number: 'number field',
-            street: 'street field',
-            unit: {
-              function: 'postfixed_unit'
-            }
+            number: {
+                function: 'postfixed_number'
+            },
+            street: 'street field'
           }
         };
 
         const valid = validate(source);
 
         t.notOk(valid, 'missing field value should fail');
-        t.ok(isMissingPropertyError(validate, '.conform.unit', 'field'), JSON.stringify(validate.errors));
+        t.ok(isMissingPropertyError(validate, '.conform.number', 'field'), JSON.stringify(validate.errors));
         t.end();
 
       });
@@ -1455,19 +2032,18 @@ function testSchemaItself(validate) {
             data: 'http://xyz.com/',
             conform: {
               type: 'geojson',
-              number: 'number field',
-              street: 'street field',
-              unit: {
-                function: 'postfixed_unit',
-                field: value
-              }
+              number: {
+                  function: 'postfixed_number',
+                  field: value
+              },
+              street: 'street field'
             }
           };
 
           const valid = validate(source);
 
           t.notOk(valid, 'non-string field value should fail');
-          t.ok(isTypeError(validate, '.conform.unit.field'), JSON.stringify(validate.errors));
+          t.ok(isTypeError(validate, '.conform.number.field'), JSON.stringify(validate.errors));
 
         });
 
@@ -1484,18 +2060,17 @@ function testSchemaItself(validate) {
           data: 'http://xyz.com/',
           conform: {
             type: 'geojson',
-            number: 'number field',
-            street: 'street field',
-            unit: {
-              function: 'postfixed_unit',
-              field: 'street field'
-            }
-          }
+            number: {
+                function: 'postfixed_number',
+                field: 'number field'
+            },
+            street: 'street field'
+          }
         };
 
         const valid = validate(source);
 
-        t.ok(valid, 'string conform.unit.field value should not fail');
+        t.ok(valid, 'string conform.number.field value should not fail');
         t.end();
 
       });
@@ -1509,205 +2084,388 @@ function testSchemaItself(validate) {
             data: 'http://xyz.com/',
             conform: {
               type: 'geojson',
-              number: 'number field',
-              street: 'street field',
-              unit: {
-                function: 'postfixed_unit',
-                field: 'unit field',
-                unknown_property: 'value'
-              }
+              number: {
+                  function: 'postfixed_number',
+                  field: 'number field',
+                  unknown_property: 'value'
+              },
+              street: 'street field'
             }
 
         };
 
         const valid = validate(source);
 
-        t.notOk(valid, 'unknown property in postfixed_unit should fail');
-        t.ok(isAdditionalPropertyError(validate, '.conform.unit', 'unknown_property'), JSON.stringify(validate.errors));
+        t.notOk(valid, 'unknown property in postfixed_number should fail');
+        t.ok(isAdditionalPropertyError(validate, '.conform.number', 'unknown_property'), JSON.stringify(validate.errors));
         t.end();
 
       });
 
-    });
-
-    tape('remove_prefix function tests', test => {
-        test.test('missing field should fail', t => {
-            const source = {
-              coverage: {
-                  country: 'some country'
-              },
-              type: 'ESRI',
-              data: 'http://xyz.com/',
-              conform: {
-                type: 'geojson',
-                number: {
-                    function: 'remove_prefix',
-                    field: 'field value'
-                },
-                street: 'street field'
-              }
-            };
-
-            const valid = validate(source);
+      test.test('postfixed_number in a chain should not fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: {
+                function: 'chain',
+                variable: 'address',
+                functions: [
+                  {
+                      function: 'format',
+                      fields: ['street field', 'number field'],
+                      format: '$1 $2'
+                  },
+                  {
+                      function: 'postfixed_number',
+                      field: 'address'
+                  }
+                ]
+            },
+            street: 'street field'
+          }
+        };
 
-            t.notOk(valid, 'missing field_to_remove value should fail');
-            t.ok(isMissingPropertyError(validate, '.conform.number', 'field_to_remove'), JSON.stringify(validate.errors));
-            t.end();
+        const valid = validate(source);
 
-        });
+        t.ok(valid, 'postfixed_number in a chain should not fail');
+        t.end();
 
-        test.test('non-string field value should fail', t => {
-          nonStringValues.forEach(value => {
-            const source = {
-              coverage: {
-                  country: 'some country'
-              },
-              type: 'ESRI',
-              data: 'http://xyz.com/',
-              conform: {
-                type: 'geojson',
-                number: 'number field',
-                street: {
-                  function: 'remove_prefix',
-                  field: value,
-                  field_to_remove: 'field to remove'
-                }
-              }
-            };
+      });
 
-            const valid = validate(source);
+    });
 
-            t.notOk(valid, 'non-string field value should fail');
-            t.ok(isTypeError(validate, '.conform.street.field'), JSON.stringify(validate.errors));
+    tape('prefixed_street function tests', test => {
+      test.test('missing field property should fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            street: {
+                function: 'prefixed_street'
+            },
+            number: 'number field'
+          }
+        };
 
-          });
+        const valid = validate(source);
 
-          t.end();
+        t.notOk(valid, 'missing field value should fail');
+        t.ok(isMissingPropertyError(validate, '.conform.street', 'field'), JSON.stringify(validate.errors));
+        t.end();
 
-        });
+      });
 
-        test.test('missing field_to_remove should fail', t => {
-            const source = {
-              coverage: {
-                  country: 'some country'
+      test.test('non-string field value should fail', t => {
+        nonStringValues.forEach(value => {
+          const source = {
+            coverage: {
+                country: 'some country'
+            },
+            type: 'ESRI',
+            data: 'http://xyz.com/',
+            conform: {
+              type: 'geojson',
+              street: {
+                  function: 'prefixed_street',
+                  field: value
               },
-              type: 'ESRI',
-              data: 'http://xyz.com/',
-              conform: {
-                type: 'geojson',
-                number: {
-                    function: 'remove_prefix',
-                    field_to_remove: 'field_to_remove value'
-                },
-                street: 'street field'
-              }
-            };
+              number: 'number field'
+            }
+          };
 
-            const valid = validate(source);
+          const valid = validate(source);
 
-            t.notOk(valid, 'missing field value should fail');
-            t.ok(isMissingPropertyError(validate, '.conform.number', 'field'), JSON.stringify(validate.errors));
-            t.end();
+          t.notOk(valid, 'non-string field value should fail');
+          t.ok(isTypeError(validate, '.conform.street.field'), JSON.stringify(validate.errors));
 
         });
 
-        test.test('non-string field_to_remove value should fail', t => {
-          nonStringValues.forEach(value => {
-            const source = {
-              coverage: {
-                  country: 'some country'
-              },
-              type: 'ESRI',
-              data: 'http://xyz.com/',
-              conform: {
-                type: 'geojson',
-                number: 'number field',
-                street: {
-                  function: 'remove_prefix',
-                  field: 'field value',
-                  field_to_remove: value
-                }
-              }
-            };
+        t.end();
 
-            const valid = validate(source);
+      });
 
-            t.notOk(valid, 'non-string field value should fail');
-            t.ok(isTypeError(validate, '.conform.street.field_to_remove'), JSON.stringify(validate.errors));
+      test.test('string field value should not fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            street: {
+                function: 'prefixed_street',
+                field: 'street field'
+            },
+            number: 'number field'
+          }
+        };
 
-          });
+        const valid = validate(source);
 
-          t.end();
+        t.ok(valid, 'string conform.street.field value should not fail');
+        t.end();
 
-        });
+      });
 
-        test.test('string field and field_to_remove values should not fail', t => {
-          const source = {
+      test.test('unknown property should fail', t => {
+        const source = {
             coverage: {
                 country: 'some country'
             },
-            type: 'ESRI',
+            type: 'http',
             data: 'http://xyz.com/',
             conform: {
               type: 'geojson',
-              number: 'number field',
               street: {
-                function: 'remove_prefix',
-                field: 'field',
-                field_to_remove: 'field to remove'
-              }
+                  function: 'prefixed_street',
+                  field: 'street field',
+                  unknown_property: 'value'
+              },
+              number: 'number field'
             }
-          };
 
-          const valid = validate(source);
+        };
 
-          t.ok(valid, 'string conform.street.field value should not fail');
-          t.end();
+        const valid = validate(source);
 
-        });
+        t.notOk(valid, 'unknown property in prefixed_street should fail');
+        t.ok(isAdditionalPropertyError(validate, '.conform.street', 'unknown_property'), JSON.stringify(validate.errors));
+        t.end();
 
-        test.test('unknown property should fail', t => {
-          const source = {
-              coverage: {
-                  country: 'some country'
-              },
-              type: 'http',
-              data: 'http://xyz.com/',
-              conform: {
-                type: 'geojson',
-                number: 'number field',
-                street: {
-                  function: 'remove_prefix',
-                  field: 'unit field',
-                  unknown_property: 'value'
-                }
-              }
+      });
 
-          };
+      test.test('prefixed_street in a chain should not fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            street: {
+                function: 'chain',
+                variable: 'address',
+                functions: [
+                  {
+                      function: 'format',
+                      fields: ['street field', 'number field'],
+                      format: '$1 $2'
+                  },
+                  {
+                      function: 'prefixed_street',
+                      field: 'address'
+                  }
+                ]
+            },
+            number: 'number field'
+          }
+        };
 
-          const valid = validate(source);
+        const valid = validate(source);
 
-          t.notOk(valid, 'unknown property in postfixed_unit should fail');
-          t.ok(isAdditionalPropertyError(validate, '.conform.street', 'unknown_property'), JSON.stringify(validate.errors));
-          t.end();
+        t.ok(valid, 'prefixed_street in a chain should not fail');
+        t.end();
 
-        });
+      });
 
     });
 
-    tape('remove_postfix function tests', test => {
-        test.test('missing field should fail', t => {
-            const source = {
-              coverage: {
-                  country: 'some country'
-              },
-              type: 'ESRI',
+    tape('postfixed_unit function tests', test => {
+      test.test('missing field property should fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: 'number field',
+            street: 'street field',
+            unit: {
+              function: 'postfixed_unit'
+            }
+          }
+        };
+
+        const valid = validate(source);
+
+        t.notOk(valid, 'missing field value should fail');
+        t.ok(isMissingPropertyError(validate, '.conform.unit', 'field'), JSON.stringify(validate.errors));
+        t.end();
+
+      });
+
+      test.test('non-string field value should fail', t => {
+        nonStringValues.forEach(value => {
+          const source = {
+            coverage: {
+                country: 'some country'
+            },
+            type: 'ESRI',
+            data: 'http://xyz.com/',
+            conform: {
+              type: 'geojson',
+              number: 'number field',
+              street: 'street field',
+              unit: {
+                function: 'postfixed_unit',
+                field: value
+              }
+            }
+          };
+
+          const valid = validate(source);
+
+          t.notOk(valid, 'non-string field value should fail');
+          t.ok(isTypeError(validate, '.conform.unit.field'), JSON.stringify(validate.errors));
+
+        });
+
+        t.end();
+
+      });
+
+      test.test('string field value should not fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: 'number field',
+            street: 'street field',
+            unit: {
+              function: 'postfixed_unit',
+              field: 'street field'
+            }
+          }
+        };
+
+        const valid = validate(source);
+
+        t.ok(valid, 'string conform.unit.field value should not fail');
+        t.end();
+
+      });
+
+      test.test('unsupported language should fail', t => {
+          ['fi', 'english', 7].forEach(value => {
+              const source = {
+                  type: 'http',
+                  coverage: {
+                      country: 'some country'
+                  },
+                  data: 'http://xyz.com/',
+                  conform: {
+                    type: 'geojson',
+                    number: 'number field',
+                    street: 'street field',
+                    unit: {
+                      function: 'postfixed_unit',
+                      field: 'address',
+                      language: value
+                    }
+                  }
+              };
+
+              const valid = validate(source);
+
+              t.notOk(valid, 'unsupported language value should fail');
+              t.ok(isEnumValueError(validate, '.conform.unit.language') || isTypeError(validate, '.conform.unit.language'), JSON.stringify(validate.errors));
+
+          });
+
+          t.end();
+
+      });
+
+      test.test('language with unit designators should not fail', t => {
+          ['de', 'en', 'es', 'fr'].forEach(value => {
+              const source = {
+                  type: 'http',
+                  coverage: {
+                      country: 'some country'
+                  },
+                  data: 'http://xyz.com/',
+                  conform: {
+                    type: 'geojson',
+                    number: 'number field',
+                    street: 'street field',
+                    unit: {
+                      function: 'postfixed_unit',
+                      field: 'address',
+                      language: value
+                    }
+                  }
+              };
+
+              const valid = validate(source);
+
+              t.ok(valid, `language ${value} should not fail`);
+
+          });
+
+          t.end();
+
+      });
+
+      test.test('unknown property should fail', t => {
+        const source = {
+            coverage: {
+                country: 'some country'
+            },
+            type: 'http',
+            data: 'http://xyz.com/',
+            conform: {
+              type: 'geojson',
+              number: 'number field',
+              street: 'street field',
+              unit: {
+                function: 'postfixed_unit',
+                field: 'unit field',
+                unknown_property: 'value'
+              }
+            }
+
+        };
+
+        const valid = validate(source);
+
+        t.notOk(valid, 'unknown property in postfixed_unit should fail');
+        t.ok(isAdditionalPropertyError(validate, '.conform.unit', 'unknown_property'), JSON.stringify(validate.errors));
+        t.end();
+
+      });
+
+    });
+
+    tape('remove_prefix function tests', test => {
+        test.test('missing field should fail', t => {
+            const source = {
+              coverage: {
+                  country: 'some country'
+              },
+              type: 'ESRI',
               data: 'http://xyz.com/',
               conform: {
                 type: 'geojson',
                 number: {
-                    function: 'remove_postfix',
-                    field_to_remove: 'field_to_remove value'
+                    function: 'remove_prefix',
+                    field: 'field value'
                 },
                 street: 'street field'
               }
@@ -1716,7 +2474,7 @@ function testSchemaItself(validate) {
             const valid = validate(source);
 
             t.notOk(valid, 'missing field_to_remove value should fail');
-            t.ok(isMissingPropertyError(validate, '.conform.number', 'field'), JSON.stringify(validate.errors));
+            t.ok(isMissingPropertyError(validate, '.conform.number', 'field_to_remove'), JSON.stringify(validate.errors));
             t.end();
 
         });
@@ -1733,7 +2491,7 @@ function testSchemaItself(validate) {
                 type: 'geojson',
                 number: 'number field',
                 street: {
-                  function: 'remove_postfix',
+                  function: 'remove_prefix',
                   field: value,
                   field_to_remove: 'field to remove'
                 }
@@ -1761,8 +2519,8 @@ function testSchemaItself(validate) {
               conform: {
                 type: 'geojson',
                 number: {
-                    function: 'remove_postfix',
-                    field: 'field value'
+                    function: 'remove_prefix',
+                    field_to_remove: 'field_to_remove value'
                 },
                 street: 'street field'
               }
@@ -1771,7 +2529,7 @@ function testSchemaItself(validate) {
             const valid = validate(source);
 
             t.notOk(valid, 'missing field value should fail');
-            t.ok(isMissingPropertyError(validate, '.conform.number', 'field_to_remove'), JSON.stringify(validate.errors));
+            t.ok(isMissingPropertyError(validate, '.conform.number', 'field'), JSON.stringify(validate.errors));
             t.end();
 
         });
@@ -1788,7 +2546,7 @@ function testSchemaItself(validate) {
                 type: 'geojson',
                 number: 'number field',
                 street: {
-                  function: 'remove_postfix',
+                  function: 'remove_prefix',
                   field: 'field value',
                   field_to_remove: value
                 }
@@ -1817,7 +2575,7 @@ function testSchemaItself(validate) {
               type: 'geojson',
               number: 'number field',
               street: {
-                function: 'remove_postfix',
+                function: 'remove_prefix',
                 field: 'field',
                 field_to_remove: 'field to remove'
               }
@@ -1842,7 +2600,7 @@ function testSchemaItself(validate) {
                 type: 'geojson',
                 number: 'number field',
                 street: {
-                  function: 'remove_postfix',
+                  function: 'remove_prefix',
                   field: 'unit field',
                   unknown_property: 'value'
                 }
@@ -1860,149 +2618,1046 @@ function testSchemaItself(validate) {
 
     });
 
-    tape('regexp function tests', test => {
-      test.test('missing field value should fail', t => {
-          const source = {
-            coverage: {
-                country: 'some country'
-            },
-            type: 'ESRI',
-            data: 'http://xyz.com/',
-            conform: {
-              type: 'geojson',
-              number: {
-                  function: 'regexp',
-                  pattern: 'pattern value'
+    tape('remove_postfix function tests', test => {
+        test.test('missing field should fail', t => {
+            const source = {
+              coverage: {
+                  country: 'some country'
               },
-              street: 'street field'
-            }
-          };
+              type: 'ESRI',
+              data: 'http://xyz.com/',
+              conform: {
+                type: 'geojson',
+                number: {
+                    function: 'remove_postfix',
+                    field_to_remove: 'field_to_remove value'
+                },
+                street: 'street field'
+              }
+            };
+
+            const valid = validate(source);
+
+            t.notOk(valid, 'missing field_to_remove value should fail');
+            t.ok(isMissingPropertyError(validate, '.conform.number', 'field'), JSON.stringify(validate.errors));
+            t.end();
+
+        });
+
+        test.test('non-string field value should fail', t => {
+          nonStringValues.forEach(value => {
+            const source = {
+              coverage: {
+                  country: 'some country'
+              },
+              type: 'ESRI',
+              data: 'http://xyz.com/',
+              conform: {
+                type: 'geojson',
+                number: 'number field',
+                street: {
+                  function: 'remove_postfix',
+                  field: value,
+                  field_to_remove: 'field to remove'
+                }
+              }
+            };
+
+            const valid = validate(source);
+
+            t.notOk(valid, 'non-string field value should fail');
+            t.ok(isTypeError(validate, '.conform.street.field'), JSON.stringify(validate.errors));
+
+          });
+
+          t.end();
+
+        });
+
+        test.test('missing field_to_remove should fail', t => {
+            const source = {
+              coverage: {
+                  country: 'some country'
+              },
+              type: 'ESRI',
+              data: 'http://xyz.com/',
+              conform: {
+                type: 'geojson',
+                number: {
+                    function: 'remove_postfix',
+                    field: 'field value'
+                },
+                street: 'street field'
+              }
+            };
+
+            const valid = validate(source);
+
+            t.notOk(valid, 'missing field value should fail');
+            t.ok(isMissingPropertyError(validate, '.conform.number', 'field_to_remove'), JSON.stringify(validate.errors));
+            t.end();
+
+        });
+
+        test.test('non-string field_to_remove value should fail', t => {
+          nonStringValues.forEach(value => {
+            const source = {
+              coverage: {
+                  country: 'some country'
+              },
+              type: 'ESRI',
+              data: 'http://xyz.com/',
+              conform: {
+                type: 'geojson',
+                number: 'number field',
+                street: {
+                  function: 'remove_postfix',
+                  field: 'field value',
+                  field_to_remove: value
+                }
+              }
+            };
+
+            const valid = validate(source);
+
+            t.notOk(valid, 'non-string field value should fail');
+            t.ok(isTypeError(validate, '.conform.street.field_to_remove'), JSON.stringify(validate.errors));
+
+          });
+
+          t.end();
+
+        });
+
+        test.test('string field and field_to_remove values should not fail', t => {
+          const source = {
+            coverage: {
+                country: 'some country'
+            },
+            type: 'ESRI',
+            data: 'http://xyz.com/',
+            conform: {
+              type: 'geojson',
+              number: 'number field',
+              street: {
+                function: 'remove_postfix',
+                field: 'field',
+                field_to_remove: 'field to remove'
+              }
+            }
+          };
+
+          const valid = validate(source);
+
+          t.ok(valid, 'string conform.street.field value should not fail');
+          t.end();
+
+        });
+
+        test.test('unknown property should fail', t => {
+          const source = {
+              coverage: {
+                  country: 'some country'
+              },
+              type: 'http',
+              data: 'http://xyz.com/',
+              conform: {
+                type: 'geojson',
+                number: 'number field',
+                street: {
+                  function: 'remove_postfix',
+                  field: 'unit field',
+                  unknown_property: 'value'
+                }
+              }
+
+          };
+
+          const valid = validate(source);
+
+          t.notOk(valid, 'unknown property in postfixed_unit should fail');
+          t.ok(isAdditionalPropertyError(validate, '.conform.street', 'unknown_property'), JSON.stringify(validate.errors));
+          t.end();
+
+        });
+
+    });
+
+    tape('regexp function tests', test => {
+      test.test('missing field value should fail', t => {
+          const source = {
+            coverage: {
+                country: 'some country'
+            },
+            type: 'ESRI',
+            data: 'http://xyz.com/',
+            conform: {
+              type: 'geojson',
+              number: {
+                  function: 'regexp',
+                  pattern: 'pattern value'
+              },
+              street: 'street field'
+            }
+          };
+
+          const valid = validate(source);
+
+          t.notOk(valid, 'missing field value should fail');
+          t.ok(isMissingPropertyError(validate, '.conform.number', 'field'), JSON.stringify(validate.errors));
+          t.end();
+
+      });
+
+      test.test('missing pattern value should fail', t => {
+          const source = {
+            coverage: {
+                country: 'some country'
+            },
+            type: 'ESRI',
+            data: 'http://xyz.com/',
+            conform: {
+              type: 'geojson',
+              number: {
+                  function: 'regexp',
+                  field: 'field value'
+              },
+              street: 'street field'
+            }
+          };
+
+          const valid = validate(source);
+
+          t.notOk(valid, 'missing pattern value should fail');
+          t.ok(isMissingPropertyError(validate, '.conform.number', 'pattern'), JSON.stringify(validate.errors));
+          t.end();
+
+      });
+
+      test.test('non-string field value should fail', t => {
+        nonStringValues.forEach(value => {
+          const source = {
+            coverage: {
+                country: 'some country'
+            },
+            type: 'ESRI',
+            data: 'http://xyz.com/',
+            conform: {
+              type: 'geojson',
+              number: {
+                function: 'regexp',
+                field: value,
+                pattern: 'pattern value'
+              },
+              street: 'street field'
+            }
+          };
+
+          const valid = validate(source);
+
+          t.notOk(valid, 'non-string field value should fail');
+          t.ok(isTypeError(validate, '.conform.number.field'), JSON.stringify(validate.errors));
+
+        });
+
+        t.end();
+
+      });
+
+      test.test('non-string pattern value should fail', t => {
+        nonStringValues.forEach(value => {
+          const source = {
+            coverage: {
+                country: 'some country'
+            },
+            type: 'ESRI',
+            data: 'http://xyz.com/',
+            conform: {
+              type: 'geojson',
+              number: {
+                function: 'regexp',
+                field: 'field value',
+                pattern: value
+              },
+              street: 'street field'
+            }
+          };
+
+          const valid = validate(source);
+
+          t.notOk(valid, 'non-string pattern value should fail');
+          t.ok(isTypeError(validate, '.conform.number.pattern'), JSON.stringify(validate.errors));
+
+        });
+
+        t.end();
+
+      });
+
+      test.test('non-string replace value should fail', t => {
+        nonStringValues.forEach(value => {
+          const source = {
+            coverage: {
+                country: 'some country'
+            },
+            type: 'ESRI',
+            data: 'http://xyz.com/',
+            conform: {
+              type: 'geojson',
+              number: {
+                function: 'regexp',
+                field: 'field value',
+                pattern: 'pattern value',
+                replace: value
+              },
+              street: 'street field'
+            }
+          };
+
+          const valid = validate(source);
+
+          t.notOk(valid, 'non-string replace value should fail');
+          t.ok(isTypeError(validate, '.conform.number.replace'), JSON.stringify(validate.errors));
+
+        });
+
+        t.end();
+
+      });
+
+      test.test('string field and pattern w/o replace should not fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: {
+              function: 'regexp',
+              field: 'field value',
+              pattern: 'pattern value'
+            },
+            street: 'street field'
+          }
+        };
+
+        const valid = validate(source);
+
+        t.ok(valid, 'string conform.street.field/pattern value should not fail');
+        t.end();
+
+      });
+
+      test.test('string field, pattern, and replace should not fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: {
+              function: 'regexp',
+              field: 'field value',
+              pattern: 'pattern value',
+              replace: 'replace value'
+            },
+            street: 'street field'
+          }
+        };
+
+        const valid = validate(source);
+
+        t.ok(valid, 'string conform.street.field/pattern/replace values should not fail');
+        t.end();
+
+      });
+
+      test.test('unknown property should fail', t => {
+        const source = {
+            coverage: {
+                country: 'some country'
+            },
+            type: 'http',
+            data: 'http://xyz.com/',
+            conform: {
+              type: 'geojson',
+              number: {
+                function: 'regexp',
+                field: 'field value',
+                pattern: 'pattern value',
+                unknown_property: 'value'
+              },
+              street: 'street field'
+            }
+
+        };
+
+        const valid = validate(source);
+
+        t.notOk(valid, 'unknown property in regexp should fail');
+        t.ok(isAdditionalPropertyError(validate, '.conform.number', 'unknown_property'), JSON.stringify(validate.errors));
+        t.end();
+
+      });
+
+    });
+
+    tape('regexps tests', test => {
+      test.test('empty array should fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: 'number field',
+            street: 'street field',
+            regexps: []
+          }
+        };
+
+        const valid = validate(source);
+
+        t.notOk(valid, 'empty regexps should fail');
+        t.ok(isMinItemsError(validate, '.conform.regexps'), JSON.stringify(validate.errors));
+        t.end();
+
+      });
+
+      test.test('missing field value should fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: 'number field',
+            street: 'street field',
+            regexps: [
+              {
+                  pattern: '^(?<city>.+)$'
+              }
+            ]
+          }
+        };
+
+        const valid = validate(source);
+
+        t.notOk(valid, 'missing field value should fail');
+        t.ok(isMissingPropertyError(validate, '.conform.regexps[0]', 'field'), JSON.stringify(validate.errors));
+        t.end();
+
+      });
+
+      test.test('missing pattern value should fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: 'number field',
+            street: 'street field',
+            regexps: [
+              {
+                  field: 'field value'
+              }
+            ]
+          }
+        };
+
+        const valid = validate(source);
+
+        t.notOk(valid, 'missing pattern value should fail');
+        t.ok(isMissingPropertyError(validate, '.conform.regexps[0]', 'pattern'), JSON.stringify(validate.errors));
+        t.end();
+
+      });
+
+      test.test('pattern without named groups should fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: 'number field',
+            street: 'street field',
+            regexps: [
+              {
+                  field: 'field value',
+                  pattern: '^(.+)$'
+              }
+            ]
+          }
+        };
+
+        const valid = validate(source);
+
+        t.notOk(valid, 'pattern without named groups should fail');
+        t.ok(isPatternError(validate, '.conform.regexps[0].pattern'), JSON.stringify(validate.errors));
+        t.end();
+
+      });
+
+      test.test('unknown property should fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: 'number field',
+            street: 'street field',
+            regexps: [
+              {
+                  field: 'field value',
+                  pattern: '^(?<city>.+)$',
+                  unknown_property: 'value'
+              }
+            ]
+          }
+        };
+
+        const valid = validate(source);
+
+        t.notOk(valid, 'unknown property in regexps should fail');
+        t.ok(isAdditionalPropertyError(validate, '.conform.regexps[0]', 'unknown_property'), JSON.stringify(validate.errors));
+        t.end();
+
+      });
+
+      test.test('field and pattern with named groups should not fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: 'number field',
+            street: 'street field',
+            regexps: [
+              {
+                  field: 'field value',
+                  pattern: '^(?<city>.+?), (?<region>[A-Z]{2}) (?<postcode>\\d+)$'
+              }
+            ]
+          }
+        };
+
+        const valid = validate(source);
+
+        t.ok(valid, 'regexps with named groups should not fail');
+        t.end();
+
+      });
+
+    });
+
+    tape('map function tests', test => {
+      test.test('missing map property should fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: 'number field',
+            street: 'street field',
+            addrtype: {
+                function: 'map',
+                field: 'BLDG_CODE'
+            }
+          }
+        };
+
+        const valid = validate(source);
+
+        t.notOk(valid, 'missing map value should fail');
+        t.ok(isMissingPropertyError(validate, '.conform.addrtype', 'map'), JSON.stringify(validate.errors));
+        t.end();
+
+      });
+
+      test.test('empty map should fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: 'number field',
+            street: 'street field',
+            addrtype: {
+                function: 'map',
+                field: 'BLDG_CODE',
+                map: {}
+            }
+          }
+        };
+
+        const valid = validate(source);
+
+        t.notOk(valid, 'empty map should fail');
+        t.ok(isMinPropertiesError(validate, '.conform.addrtype.map'), JSON.stringify(validate.errors));
+        t.end();
+
+      });
+
+      test.test('non-string map value should fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: 'number field',
+            street: 'street field',
+            addrtype: {
+                function: 'map',
+                field: 'BLDG_CODE',
+                map: { '1': 1 }
+            }
+          }
+        };
+
+        const valid = validate(source);
+
+        t.notOk(valid, 'non-string map value should fail');
+        t.ok(isTypeError(validate, '.conform.addrtype.map[\'1\']'), JSON.stringify(validate.errors));
+        t.end();
+
+      });
+
+      test.test('non-string default should fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: 'number field',
+            street: 'street field',
+            addrtype: {
+                function: 'map',
+                field: 'BLDG_CODE',
+                map: { '1': 'residential' },
+                default: null
+            }
+          }
+        };
+
+        const valid = validate(source);
+
+        t.notOk(valid, 'non-string default should fail');
+        t.ok(isTypeError(validate, '.conform.addrtype.default'), JSON.stringify(validate.errors));
+        t.end();
+
+      });
+
+      test.test('unknown property should fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: 'number field',
+            street: 'street field',
+            addrtype: {
+                function: 'map',
+                field: 'BLDG_CODE',
+                map: { '1': 'residential' },
+                unknown_property: 'value'
+            }
+          }
+        };
+
+        const valid = validate(source);
+
+        t.notOk(valid, 'unknown property in map should fail');
+        t.ok(isAdditionalPropertyError(validate, '.conform.addrtype', 'unknown_property'), JSON.stringify(validate.errors));
+        t.end();
+
+      });
+
+      test.test('map with default should not fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: 'number field',
+            street: 'street field',
+            region: {
+                function: 'map',
+                field: 'PROVINCE',
+                map: { '01': 'Drenthe', '02': 'Flevoland' },
+                default: ''
+            }
+          }
+        };
+
+        const valid = validate(source);
+
+        t.ok(valid, 'map with default should not fail');
+        t.end();
+
+      });
+
+      test.test('map in a chain should not fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: 'number field',
+            street: 'street field',
+            district: {
+                function: 'chain',
+                variable: 'code',
+                functions: [
+                  {
+                      function: 'regexp',
+                      field: 'DISTRICT',
+                      pattern: '^(\\d+)'
+                  },
+                  {
+                      function: 'map',
+                      field: 'code',
+                      map: { '1': 'Mitte', '2': 'Friedrichshain-Kreuzberg' }
+                  }
+                ]
+            }
+          }
+        };
+
+        const valid = validate(source);
+
+        t.ok(valid, 'map in a chain should not fail');
+        t.end();
+
+      });
+
+    });
+
+    tape('filter tests', test => {
+      test.test('equals comparison should not fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: 'number field',
+            street: 'street field',
+            filter: { field: 'STATUS', equals: 'ACTIVE' }
+          }
+        };
+
+        const valid = validate(source);
+
+        t.ok(valid, 'equals comparison should not fail');
+        t.end();
+
+      });
+
+      test.test('in comparison should not fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: 'number field',
+            street: 'street field',
+            filter: { field: 'STATUS', in: ['ACTIVE', 'PENDING'] }
+          }
+        };
+
+        const valid = validate(source);
+
+        t.ok(valid, 'in comparison should not fail');
+        t.end();
+
+      });
+
+      test.test('not_empty comparison should not fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: 'number field',
+            street: 'street field',
+            filter: { field: 'NUMBER', not_empty: true }
+          }
+        };
+
+        const valid = validate(source);
+
+        t.ok(valid, 'not_empty comparison should not fail');
+        t.end();
+
+      });
+
+      test.test('regexp comparison should not fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: 'number field',
+            street: 'street field',
+            filter: { field: 'NUMBER', regexp: '[1-9]' }
+          }
+        };
+
+        const valid = validate(source);
+
+        t.ok(valid, 'regexp comparison should not fail');
+        t.end();
+
+      });
+
+      test.test('all and any lists should not fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: 'number field',
+            street: 'street field',
+            filter: {
+              all: [
+                { field: 'STATUS', equals: 'ACTIVE' },
+                {
+                  any: [
+                    { field: 'NUMBER', regexp: '[1-9]' },
+                    { field: 'UNIT', not_empty: true }
+                  ]
+                }
+              ]
+            }
+          }
+        };
+
+        const valid = validate(source);
+
+        t.ok(valid, 'all and any lists should not fail');
+        t.end();
+
+      });
+
+      test.test('empty all list should fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: 'number field',
+            street: 'street field',
+            filter: { all: [] }
+          }
+        };
 
-          const valid = validate(source);
+        const valid = validate(source);
 
-          t.notOk(valid, 'missing field value should fail');
-          t.ok(isMissingPropertyError(validate, '.conform.number', 'field'), JSON.stringify(validate.errors));
-          t.end();
+        t.notOk(valid, 'empty all list should fail');
+        t.end();
 
       });
 
-      test.test('missing pattern value should fail', t => {
-          const source = {
-            coverage: {
-                country: 'some country'
-            },
-            type: 'ESRI',
-            data: 'http://xyz.com/',
-            conform: {
-              type: 'geojson',
-              number: {
-                  function: 'regexp',
-                  field: 'field value'
-              },
-              street: 'street field'
-            }
-          };
+      test.test('missing field value should fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: 'number field',
+            street: 'street field',
+            filter: { equals: 'ACTIVE' }
+          }
+        };
 
-          const valid = validate(source);
+        const valid = validate(source);
 
-          t.notOk(valid, 'missing pattern value should fail');
-          t.ok(isMissingPropertyError(validate, '.conform.number', 'pattern'), JSON.stringify(validate.errors));
-          t.end();
+        t.notOk(valid, 'missing field value should fail');
+        t.end();
 
       });
 
-      test.test('non-string field value should fail', t => {
-        nonStringValues.forEach(value => {
-          const source = {
-            coverage: {
-                country: 'some country'
-            },
-            type: 'ESRI',
-            data: 'http://xyz.com/',
-            conform: {
-              type: 'geojson',
-              number: {
-                function: 'regexp',
-                field: value,
-                pattern: 'pattern value'
-              },
-              street: 'street field'
-            }
-          };
+      test.test('more than one comparison should fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: 'number field',
+            street: 'street field',
+            filter: { field: 'STATUS', equals: 'ACTIVE', regexp: '^A' }
+          }
+        };
 
-          const valid = validate(source);
+        const valid = validate(source);
 
-          t.notOk(valid, 'non-string field value should fail');
-          t.ok(isTypeError(validate, '.conform.number.field'), JSON.stringify(validate.errors));
+        t.notOk(valid, 'more than one comparison should fail');
+        t.end();
 
-        });
+      });
+
+      test.test('unknown comparison should fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: 'number field',
+            street: 'street field',
+            filter: { field: 'STATUS', not_equals: 'RETIRED' }
+          }
+        };
 
+        const valid = validate(source);
+
+        t.notOk(valid, 'unknown comparison should fail');
         t.end();
 
       });
 
-      test.test('non-string pattern value should fail', t => {
-        nonStringValues.forEach(value => {
-          const source = {
-            coverage: {
-                country: 'some country'
-            },
-            type: 'ESRI',
-            data: 'http://xyz.com/',
-            conform: {
-              type: 'geojson',
-              number: {
-                function: 'regexp',
-                field: 'field value',
-                pattern: value
-              },
-              street: 'street field'
-            }
-          };
+      test.test('non-string equals value should fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: 'number field',
+            street: 'street field',
+            filter: { field: 'NUMBER', equals: 0 }
+          }
+        };
 
-          const valid = validate(source);
+        const valid = validate(source);
 
-          t.notOk(valid, 'non-string pattern value should fail');
-          t.ok(isTypeError(validate, '.conform.number.pattern'), JSON.stringify(validate.errors));
+        t.notOk(valid, 'non-string equals value should fail');
+        t.end();
 
-        });
+      });
+
+      test.test('empty in list should fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: 'number field',
+            street: 'street field',
+            filter: { field: 'STATUS', in: [] }
+          }
+        };
 
+        const valid = validate(source);
+
+        t.notOk(valid, 'empty in list should fail');
         t.end();
 
       });
 
-      test.test('non-string replace value should fail', t => {
-        nonStringValues.forEach(value => {
-          const source = {
-            coverage: {
-                country: 'some country'
-            },
-            type: 'ESRI',
-            data: 'http://xyz.com/',
-            conform: {
-              type: 'geojson',
-              number: {
-                function: 'regexp',
-                field: 'field value',
-                pattern: 'pattern value',
-                replace: value
-              },
-              street: 'street field'
-            }
-          };
-
-          const valid = validate(source);
+    });
 
-          t.notOk(valid, 'non-string replace value should fail');
-          t.ok(isTypeError(validate, '.conform.number.replace'), JSON.stringify(validate.errors));
+    tape('acceptance-test tests', test => {
+      test.test('expected attributes should not fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: 'number field',
+            street: 'street field',
+            filter: { field: 'STATUS', equals: 'ACTIVE' }
+          },
+          test: {
+            description: 'test description',
+            'acceptance-tests': [
+              { description: 'kept', inputs: { STATUS: 'ACTIVE' }, expected: { number: '' } }
+            ]
+          }
+        };
 
-        });
+        const valid = validate(source);
 
+        t.ok(valid, 'expected attributes should not fail');
         t.end();
 
       });
 
-      test.test('string field and pattern w/o replace should not fail', t => {
+      test.test('filtered row should not fail', t => {
         const source = {
           coverage: {
               country: 'some country'
@@ -2011,23 +3666,26 @@ function testSchemaItself(validate) {
           data: 'http://xyz.com/',
           conform: {
             type: 'geojson',
-            number: {
-              function: 'regexp',
-              field: 'field value',
-              pattern: 'pattern value'
-            },
-            street: 'street field'
+            number: 'number field',
+            street: 'street field',
+            filter: { field: 'STATUS', equals: 'ACTIVE' }
+          },
+          test: {
+            description: 'test description',
+            'acceptance-tests': [
+              { description: 'dropped', inputs: { STATUS: 'RETIRED' }, filtered: true }
+            ]
           }
         };
 
         const valid = validate(source);
 
-        t.ok(valid, 'string conform.street.field/pattern value should not fail');
+        t.ok(valid, 'filtered row should not fail');
         t.end();
 
       });
 
-      test.test('string field, pattern, and replace should not fail', t => {
+      test.test('missing expected and filtered should fail', t => {
         const source = {
           coverage: {
               country: 'some country'
@@ -2036,47 +3694,77 @@ function testSchemaItself(validate) {
           data: 'http://xyz.com/',
           conform: {
             type: 'geojson',
-            number: {
-              function: 'regexp',
-              field: 'field value',
-              pattern: 'pattern value',
-              replace: 'replace value'
-            },
-            street: 'street field'
+            number: 'number field',
+            street: 'street field',
+            filter: { field: 'STATUS', equals: 'ACTIVE' }
+          },
+          test: {
+            description: 'test description',
+            'acceptance-tests': [
+              { description: 'neither', inputs: { STATUS: 'ACTIVE' } }
+            ]
           }
         };
 
         const valid = validate(source);
 
-        t.ok(valid, 'string conform.street.field/pattern/replace values should not fail');
+        t.notOk(valid, 'missing expected and filtered should fail');
         t.end();
 
       });
 
-      test.test('unknown property should fail', t => {
+      test.test('filtered false without expected should fail', t => {
         const source = {
-            coverage: {
-                country: 'some country'
-            },
-            type: 'http',
-            data: 'http://xyz.com/',
-            conform: {
-              type: 'geojson',
-              number: {
-                function: 'regexp',
-                field: 'field value',
-                pattern: 'pattern value',
-                unknown_property: 'value'
-              },
-              street: 'street field'
-            }
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: 'number field',
+            street: 'street field',
+            filter: { field: 'STATUS', equals: 'ACTIVE' }
+          },
+          test: {
+            description: 'test description',
+            'acceptance-tests': [
+              { description: 'neither', inputs: { STATUS: 'ACTIVE' }, filtered: false }
+            ]
+          }
+        };
+
+        const valid = validate(source);
+
+        t.notOk(valid, 'filtered false without expected should fail');
+        t.end();
 
+      });
+
+      test.test('expected and filtered row should fail', t => {
+        const source = {
+          coverage: {
+              country: 'some country'
+          },
+          type: 'ESRI',
+          data: 'http://xyz.com/',
+          conform: {
+            type: 'geojson',
+            number: 'number field',
+            street: 'street field',
+            filter: { field: 'STATUS', equals: 'ACTIVE' }
+          },
+          test: {
+            description: 'test description',
+            'acceptance-tests': [
+              { description: 'both', inputs: { STATUS: 'RETIRED' }, expected: { number: '' }, filtered: true }
+            ]
+          }
         };
 
         const valid = validate(source);
 
-        t.notOk(valid, 'unknown property in regexp should fail');
-        t.ok(isAdditionalPropertyError(validate, '.conform.number', 'unknown_property'), JSON.stringify(validate.errors));
+        t.notOk(valid, 'expected and filtered row should fail');
         t.end();
 
       });
@@ -0,0 +1,231 @@
+const tape = require('tape');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const socrata = require('../lib/socrata');
+
+function collection(ids) {
+    return {
+        type: 'FeatureCollection',
+        features: ids.map(id => {
+            return {
+                type: 'Feature',
+                properties: { addrnocom: String(id), stnamecom: 'Main St', extra: 'dropped' },
+                geometry: { type: 'Point', coordinates: [-87.6, 41.8] }
+            };
+        })
+    };
+}
+
+// a Socrata stand-in serving a few datasets, where flak-y001 fails once,
+// stal-l001 stalls halfway through its first response and trun-c001 and
+// chun-k001 close the connection halfway through theirs
+function startServer(callback) {
+    const state = { requests: [], active: 0, maxActive: 0 };
+    const data = {
+        'aaaa-0001': collection([1, 2]),
+        'aaaa-0002': collection([]),
+        'aaaa-0003': collection([3]),
+        'flak-y001': collection([4]),
+        'stal-l001': collection([5, 6]),
+        'trun-c001': collection([7, 8]),
+        'chun-k001': collection([9, 10])
+    };
+
+    const server = http.createServer((req, res) => {
+        const id = req.url.slice(1);
+
+        state.requests.push(id);
+        state.active++;
+        state.maxActive = Math.max(state.maxActive, state.active);
+
+        setTimeout(() => {
+            state.active--;
+
+            if (!data[id] || (id === 'flak-y001' && state.requests.filter(r => r === id).length === 1)) {
+                res.writeHead(data[id] ? 503 : 404);
+                return res.end();
+            }
+
+            const body = JSON.stringify(data[id], null, 2);
+            const first = state.requests.filter(r => r === id).length === 1;
+
+            if (id === 'trun-c001' && first) {
+                res.writeHead(200, { 'Content-Type': 'application/json', 'Content-Length': body.length });
+                res.write(body.slice(0, 100));
+                return setTimeout(() => res.socket.destroy(), 20);
+            }
+
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+
+            if (id === 'chun-k001' && first) {
+                res.write(body.slice(0, 100));
+                return setTimeout(() => res.socket.destroy(), 20);
+            }
+
+            if (id === 'stal-l001' && first) {
+                return res.write(body.slice(0, 100));
+            }
+
+            res.end(body);
+
+        }, 20);
+
+    });
+
+    server.listen(0, '127.0.0.1', () => callback(server, `http://127.0.0.1:${server.address().port}`, state));
+
+}
+
+tape('socrata configuration tests', (test) => {
+    test.test('dataset ids should use the default domain', (t) => {
+        t.deepEquals(socrata.datasets({ domain: 'a.gov', datasets: ['aaaa-0001', { domain: 'b.gov', id: 'bbbb-0001' }] }), [
+            { domain: 'a.gov', id: 'aaaa-0001' },
+            { domain: 'b.gov', id: 'bbbb-0001' }
+        ]);
+        t.equals(socrata.exportURL({ domain: 'a.gov', id: 'aaaa-0001' }), 'https://a.gov/api/geospatial/aaaa-0001?method=export&format=GeoJSON');
+        t.end();
+
+    });
+
+    test.test('invalid configurations should be reported', (t) => {
+        t.deepEquals(socrata.check({ datasets: [] }), ['datasets must be a non-empty list']);
+        t.deepEquals(socrata.check({ datasets: ['aaaa-0001', { domain: 'b.gov', id: 'x' }], fields: [] }), [
+            'datasets[0] has no domain',
+            'datasets[1] is not a Socrata dataset id: "x"',
+            'fields must be a non-empty list when present'
+        ]);
+        t.end();
+
+    });
+
+    test.test('cook county configuration should be valid', (t) => {
+        const config = JSON.parse(fs.readFileSync(path.join(__dirname, '../scripts/us/il/cook/socrata.json'), 'utf8'));
+
+        t.deepEquals(socrata.check(config), []);
+        t.equals(socrata.datasets(config).length, 33);
+        t.end();
+
+    });
+
+});
+
+tape('socrata fetch tests', (test) => {
+    startServer((server, base, state) => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'socrata-test-'));
+        const output = path.join(directory, 'merged.geojson');
+        const list = ['aaaa-0001', 'aaaa-0002', 'aaaa-0003', 'flak-y001'].map(id => ({ domain: 'a.gov', id: id }));
+        const options = { concurrency: 2, retries: 1, url: dataset => `${base}/${dataset.id}` };
+
+        test.test('datasets should be downloaded with limited concurrency and retried', (t) => {
+            socrata.fetch(list, directory, options, (err, results) => {
+                t.error(err);
+                t.deepEquals(results.map(result => result.skipped), [false, false, false, false]);
+                t.deepEquals(results.map(result => path.basename(result.file)), list.map(dataset => `${dataset.id}.geojson`));
+                t.equals(state.requests.length, 5, 'the failing dataset should be requested twice');
+                t.ok(state.maxActive <= 2, `at most 2 requests at a time, got ${state.maxActive}`);
+                t.notOk(fs.existsSync(path.join(directory, 'flak-y001.geojson.part')));
+                t.end();
+            });
+
+        });
+
+        test.test('downloaded datasets should be skipped when resuming', (t) => {
+            fs.unlinkSync(path.join(directory, 'aaaa-0003.geojson'));
+            state.requests.length = 0;
+
+            socrata.fetch(list, directory, options, (err, results) => {
+                t.error(err);
+                t.deepEquals(results.map(result => result.skipped), [true, true, false, true]);
+                t.deepEquals(state.requests, ['aaaa-0003']);
+                t.end();
+            });
+
+        });
+
+        test.test('failed downloads should not leave files behind', (t) => {
+            const missing = [{ domain: 'a.gov', id: 'miss-0001' }];
+
+            socrata.fetch(missing, directory, options, (err) => {
+                t.equals(err.message, `${base}/miss-0001 responded with HTTP 404`);
+                t.deepEquals(state.requests.filter(id => id === 'miss-0001'), ['miss-0001'], 'client errors should not be retried');
+                t.notOk(fs.existsSync(path.join(directory, 'miss-0001.geojson')));
+                t.notOk(fs.existsSync(path.join(directory, 'miss-0001.geojson.part')));
+                t.end();
+            });
+
+        });
+
+        test.test('downloads failing halfway should be retried from scratch', (t) => {
+            const stalling = [{ domain: 'a.gov', id: 'stal-l001' }];
+
+            socrata.fetch(stalling, directory, Object.assign({ timeout: 200 }, options), (err, results) => {
+                t.error(err);
+                t.deepEquals(JSON.parse(fs.readFileSync(results[0].file, 'utf8')), collection([5, 6]));
+                t.notOk(fs.existsSync(path.join(directory, 'stal-l001.geojson.part')));
+                fs.unlinkSync(results[0].file);
+                t.end();
+            });
+
+        });
+
+        test.test('downloads cut off halfway should be retried instead of kept', (t) => {
+            const truncated = [{ domain: 'a.gov', id: 'trun-c001' }, { domain: 'a.gov', id: 'chun-k001' }];
+
+            state.requests.length = 0;
+
+            socrata.fetch(truncated, directory, options, (err, results) => {
+                t.error(err);
+                t.deepEquals(state.requests.sort(), ['chun-k001', 'chun-k001', 'trun-c001', 'trun-c001']);
+                t.deepEquals(JSON.parse(fs.readFileSync(results[0].file, 'utf8')), collection([7, 8]));
+                t.deepEquals(JSON.parse(fs.readFileSync(results[1].file, 'utf8')), collection([9, 10]));
+                results.forEach(result => fs.unlinkSync(result.file));
+                t.end();
+            });
+
+        });
+
+        test.test('datasets should be merged keeping only the configured fields', (t) => {
+            const files = list.map(dataset => path.join(directory, `${dataset.id}.geojson`));
+
+            socrata.merge(files, output, ['addrnocom', 'stnamecom'], (err, count) => {
+                t.error(err);
+                t.equals(count, 4);
+
+                const merged = JSON.parse(fs.readFileSync(output, 'utf8'));
+
+                t.equals(merged.type, 'FeatureCollection');
+                t.deepEquals(merged.features.map(feature => feature.properties), ['1', '2', '3', '4'].map(number => {
+                    return { addrnocom: number, stnamecom: 'Main St' };
+                }));
+                t.end();
+            });
+
+        });
+
+        test.test('invalid JSON should fail the merge', (t) => {
+            const broken = path.join(directory, 'broken.geojson');
+
+            fs.writeFileSync(broken, '{"type":"FeatureCollection","features":[{]}');
+
+            socrata.merge([broken], output, undefined, (err) => {
+                t.ok(err, 'should fail');
+                t.ok(err && err.message.indexOf(broken) === 0, 'error should name the file');
+                t.equals(JSON.parse(fs.readFileSync(output, 'utf8')).features.length, 4, 'the previous output should be kept');
+                t.notOk(fs.existsSync(`${output}.part`));
+                t.end();
+            });
+
+        });
+
+        test.test('close server', (t) => {
+            server.close();
+            fs.readdirSync(directory).forEach(file => fs.unlinkSync(path.join(directory, file)));
+            fs.rmdirSync(directory);
+            t.end();
+        });
+
+    });
+
+});
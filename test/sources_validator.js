@@ -2,8 +2,17 @@ const tape = require('tape');
 const glob = require('glob');
 const fs = require('fs');
 const Ajv = require('ajv');
-const request = require('request');
 const schema = require('../schema/source_schema.json');
+const conform = require('../lib/conform');
+const regexp = require('../lib/regexp');
+const coverage = require('../lib/coverage');
+const rules = require('../lib/rules');
+const license = require('../lib/license');
+const usCensus = require('../lib/us_census');
+const usFips = require('../lib/us_fips');
+const iso3166 = require('../lib/iso_3166');
+const iso639 = require('../lib/iso_639');
+const translations = require('../lib/translations');
 
 const ajv = new Ajv();
 ajv.addMetaSchema(require('ajv/lib/refs/json-schema-draft-04.json'), "http://json-schema.org/draft-04/schema#");
@@ -14,18 +23,104 @@ function testAllSources(validate) {
     // find all the sources, has to be synchronous for tape
     glob.sync('sources/**/*.json').forEach((source) => {
         tape(`tests for ${source}`, (test) => {
-            test.test(`schema-validation for source ${source}`, (t) => {
-                try {
-                    const data = JSON.parse(fs.readFileSync(source, 'utf8'));
-                    const valid = validate(data);
+            let data;
 
-                    t.ok(valid, `${source}: ${JSON.stringify(validate.errors)}`);
+            try {
+                data = JSON.parse(fs.readFileSync(source, 'utf8'));
+            } catch (err) {
+                test.fail(`could not parse ${source} as JSON: ${err}`);
+                return test.end();
+            }
 
-                } catch (err) {
-                    t.fail(`could not parse ${source} as JSON: ${err}`);
-                }
+            // a subtest failing with each message returned by `check`
+            function subtest(name, check) {
+                test.test(`${name} for source ${source}`, (t) => {
+                    try {
+                        check(t).forEach((message) => {
+                            t.fail(`${source}: ${message}`);
+                        });
 
-                t.end();
+                    } catch (err) {
+                        t.fail(`could not check ${name} for ${source}: ${err}`);
+                    }
+
+                    t.end();
+
+                });
+
+            }
+
+            subtest('schema-validation', () => validate(data) ? [] : [JSON.stringify(validate.errors)]);
+
+            subtest('path/coverage agreement', () => coverage.checkPath(source, data));
+
+            subtest('cross-field rules', () => rules.check(data));
+
+            subtest('license', (t) => {
+                // these need someone to read the license terms so they don't fail
+                license.warnings(data).forEach((message) => {
+                    t.comment(`warning: ${source}: ${message}`);
+                });
+
+                return license.check(data);
+
+            });
+
+            subtest('US Census geoid', (t) => {
+                usCensus.warnings(data).forEach((message) => {
+                    t.comment(`warning: ${source}: ${message}`);
+                });
+
+                return usCensus.check(data);
+
+            });
+
+            subtest('US Census names', (t) => {
+                usFips.warnings(data).forEach((message) => {
+                    t.comment(`warning: ${source}: ${message}`);
+                });
+
+                return usFips.check(data);
+
+            });
+
+            subtest('ISO 3166 codes', () => iso3166.check(source, data));
+
+            subtest('language', (t) => {
+                // implausible languages may still be right so they don't fail
+                iso639.warnings(source, data).forEach((message) => {
+                    t.comment(`warning: ${source}: ${message}`);
+                });
+
+                return iso639.check(data);
+
+            });
+
+            subtest('translations', (t) => {
+                translations.warnings(source, data).forEach((message) => {
+                    t.comment(`warning: ${source}: ${message}`);
+                });
+
+                const read = (file) => fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : undefined;
+
+                return translations.check(source, data, read);
+
+            });
+
+            subtest('regexp lint', () => regexp.lintSource(data).map((finding) => {
+                return `conform.${finding.attribute} pattern ${JSON.stringify(finding.pattern)}: ${finding.message}`;
+            }));
+
+            subtest('regexps named groups', () => conform.checkRegexps(data.conform).map(message => `conform.${message}`));
+
+            subtest('acceptance-tests', () => {
+                // only enabled tests are run, same as the machine
+                if (!data.test || !data.test.enabled) return [];
+
+                return conform.runAcceptanceTests(data).map((failure) => {
+                    return `test "${failure.description}" expected ${JSON.stringify(failure.expected)} ` +
+                        `from ${JSON.stringify(failure.inputs)}, but got ${JSON.stringify(failure.actual)}`;
+                });
 
             });
 
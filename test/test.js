@@ -1,2 +1,24 @@
 require ('./schema_validation.js');
 require ('./sources_validator.js');
+require ('./conform.js');
+require ('./regexp.js');
+require ('./coverage.js');
+require ('./rules.js');
+require ('./format.js');
+require ('./license.js');
+require ('./manifest.js');
+require ('./attribution.js');
+require ('./diff.js');
+require ('./migrate.js');
+require ('./duplicates.js');
+require ('./urls.js');
+require ('./esri.js');
+require ('./socrata.js');
+require ('./geojson.js');
+require ('./ogc.js');
+require ('./catalog.js');
+require ('./us_census.js');
+require ('./us_fips.js');
+require ('./iso_3166.js');
+require ('./translations.js');
+require ('./iso_639.js');
@@ -0,0 +1,144 @@
+const tape = require('tape');
+const translations = require('../lib/translations');
+
+// a pair of sibling sources linked to each other
+function siblings() {
+    return {
+        'sources/fi/uusimaa-fi.json': {
+            language: 'fi',
+            translations: [{ source: 'sources/fi/uusimaa-sv.json', language: 'sv' }],
+            conform: { id: 'ID', street: 'KATU' }
+        },
+        'sources/fi/uusimaa-sv.json': {
+            language: 'sv',
+            translations: [{ source: 'sources/fi/uusimaa-fi.json', language: 'fi' }],
+            conform: { id: 'ID', street: 'GATA' }
+        }
+    };
+}
+
+function check(sources, file) {
+    return translations.check(file, sources[file], other => sources[other]);
+}
+
+tape('translations check tests', (test) => {
+    test.test('reciprocal links should not fail', (t) => {
+        const sources = siblings();
+
+        t.deepEquals(check(sources, 'sources/fi/uusimaa-fi.json'), []);
+        t.deepEquals(check(sources, 'sources/fi/uusimaa-sv.json'), []);
+        t.end();
+
+    });
+
+    test.test('sources without translations should not fail', (t) => {
+        t.deepEquals(translations.check('sources/fi/uusimaa-fi.json', { language: 'fi', conform: {} }, () => undefined), []);
+        t.end();
+
+    });
+
+    test.test('one-way links should fail', (t) => {
+        const sources = siblings();
+
+        delete sources['sources/fi/uusimaa-sv.json'].translations;
+
+        t.deepEquals(check(sources, 'sources/fi/uusimaa-fi.json'), [
+            'translations link to sources/fi/uusimaa-sv.json which does not link back'
+        ]);
+        t.end();
+
+    });
+
+    test.test('links to missing sources should fail', (t) => {
+        const sources = siblings();
+
+        sources['sources/fi/uusimaa-fi.json'].translations[0].source = 'sources/fi/nyland-sv.json';
+
+        t.deepEquals(check(sources, 'sources/fi/uusimaa-fi.json'), [
+            'translations link to sources/fi/nyland-sv.json which does not exist'
+        ]);
+        t.end();
+
+    });
+
+    test.test('links to the same language should fail', (t) => {
+        const sources = siblings();
+
+        sources['sources/fi/uusimaa-sv.json'].language = 'fi';
+        sources['sources/fi/uusimaa-fi.json'].translations[0].language = 'fi';
+
+        t.deepEquals(check(sources, 'sources/fi/uusimaa-fi.json'), [
+            'translations link to sources/fi/uusimaa-sv.json in "fi", the language of this source'
+        ]);
+        t.end();
+
+    });
+
+    test.test('links in the wrong language should fail', (t) => {
+        const sources = siblings();
+
+        sources['sources/fi/uusimaa-fi.json'].translations[0].language = 'en';
+
+        t.deepEquals(check(sources, 'sources/fi/uusimaa-fi.json'), [
+            'translations link to sources/fi/uusimaa-sv.json in "en" but its language is "sv"'
+        ]);
+        t.end();
+
+    });
+
+    test.test('links without ids should fail', (t) => {
+        const sources = siblings();
+
+        delete sources['sources/fi/uusimaa-fi.json'].conform.id;
+
+        t.deepEquals(check(sources, 'sources/fi/uusimaa-fi.json'), [
+            'conform.id is required for sources with translations'
+        ]);
+        t.deepEquals(check(sources, 'sources/fi/uusimaa-sv.json'), [
+            'translations link to sources/fi/uusimaa-fi.json which has no conform.id'
+        ]);
+        t.end();
+
+    });
+
+    test.test('links to itself should fail', (t) => {
+        const sources = siblings();
+
+        sources['sources/fi/uusimaa-fi.json'].translations[0].source = './sources/fi/uusimaa-fi.json';
+
+        t.deepEquals(check(sources, 'sources/fi/uusimaa-fi.json'), [
+            'translations link to ./sources/fi/uusimaa-fi.json which is this source'
+        ]);
+        t.end();
+
+    });
+
+    test.test('sources with translations should have a language', (t) => {
+        const sources = siblings();
+
+        delete sources['sources/fi/uusimaa-fi.json'].language;
+
+        t.deepEquals(check(sources, 'sources/fi/uusimaa-fi.json'), [
+            'language is required for sources with translations'
+        ]);
+        t.end();
+
+    });
+
+});
+
+tape('translations warnings tests', (test) => {
+    test.test('unlinked siblings should warn until they are linked', (t) => {
+        t.deepEquals(translations.warnings('sources/be/bru/brussels-fr.json', { language: 'fr' }), [
+            'not linked to its "nl" translation sources/be/bru/brussels-nl.json since neither defines conform.id'
+        ]);
+        t.deepEquals(translations.warnings('sources/be/bru/brussels-nl.json', {
+            language: 'nl',
+            translations: [{ source: 'sources/be/bru/brussels-fr.json', language: 'fr' }]
+        }), []);
+        t.deepEquals(translations.warnings('sources/fi/uusimaa-fi.json', siblings()['sources/fi/uusimaa-fi.json']), []);
+        t.end();
+
+    });
+
+});
@@ -0,0 +1,248 @@
+const tape = require('tape');
+const http = require('http');
+const net = require('net');
+const urls = require('../lib/urls');
+
+// an HTTP stand-in for data servers, responding based on the request path
+function startHTTPServer(callback) {
+    const state = { requests: {}, active: 0, maxActive: 0 };
+
+    const server = http.createServer((req, res) => {
+        const path = req.url.split('?')[0];
+
+        state.requests[path] = (state.requests[path] || 0) + 1;
+        state.active++;
+        state.maxActive = Math.max(state.maxActive, state.active);
+
+        // depending on the node version either or both of these are emitted
+        let active = true;
+        const release = () => {
+            if (active) state.active--;
+            active = false;
+        };
+
+        res.on('finish', release);
+        res.on('close', release);
+
+        if (path === '/data.zip') {
+            res.writeHead(200, { 'Content-Type': 'application/zip' });
+            res.end('zip');
+        } else if (path === '/slow.zip') {
+            setTimeout(() => res.end('zip'), 50);
+        } else if (path === '/flaky.zip') {
+            res.writeHead(state.requests[path] === 1 ? 503 : 200);
+            res.end();
+        } else if (path === '/unavailable.zip') {
+            res.writeHead(503);
+            res.end();
+        } else if (path === '/hang.zip') {
+            // never respond
+        } else if (path === '/MapServer/0') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(req.url.indexOf('f=json') >= 0 ? { name: 'Addresses', type: 'Feature Layer' } : {}));
+        } else if (path === '/MapServer/9') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: { code: 400, message: 'Invalid or missing input parameters.' } }));
+        } else {
+            res.writeHead(404);
+            res.end();
+        }
+
+    });
+
+    server.listen(0, '127.0.0.1', () => callback(server, `http://127.0.0.1:${server.address().port}`, state));
+
+}
+
+// an FTP stand-in that only knows about /pub/addresses.zip and /pub
+function startFTPServer(callback) {
+    const server = net.createServer(socket => {
+        socket.write('220 stand-in\r\n');
+
+        socket.on('data', data => {
+            data.toString().split('\r\n').filter(Boolean).forEach(line => {
+                const command = line.split(' ')[0];
+                const argument = line.slice(command.length + 1);
+
+                if (command === 'USER') socket.write('331 password please\r\n');
+                else if (command === 'PASS') socket.write('230-welcome\r\n230 logged in\r\n');
+                else if (command === 'TYPE') socket.write('200 binary\r\n');
+                else if (command === 'SIZE') socket.write(argument === '/pub/addresses.zip' ? '213 1024\r\n' : '550 not a plain file\r\n');
+                else if (command === 'MDTM') socket.write('502 not implemented\r\n');
+                else if (command === 'CWD') socket.write(argument === '/pub' ? '250 ok\r\n' : '550 no such directory\r\n');
+                else if (command === 'QUIT') socket.end('221 bye\r\n');
+            });
+        });
+
+        socket.on('error', () => {});
+
+    });
+
+    server.listen(0, '127.0.0.1', () => callback(server, `ftp://127.0.0.1:${server.address().port}`));
+
+}
+
+tape('urls describe tests', (test) => {
+    test.test('ESRI layers should be requested as JSON', (t) => {
+        t.deepEquals(urls.describe({ type: 'ESRI', data: 'http://x.com/MapServer/0' }), { protocol: 'esri', url: 'http://x.com/MapServer/0?f=json' });
+        t.deepEquals(urls.describe({ type: 'ESRI', data: 'http://x.com/MapServer/0?token=a' }), { protocol: 'esri', url: 'http://x.com/MapServer/0?token=a&f=json' });
+        t.end();
+
+    });
+
+    test.test('protocol should follow the URL for other types', (t) => {
+        t.deepEquals(urls.describe({ type: 'http', data: 'ftp://x.com/a.zip' }), { protocol: 'ftp', url: 'ftp://x.com/a.zip' });
+        t.deepEquals(urls.describe({ type: 'ftp', data: 'https://x.com/a.zip' }), { protocol: 'http', url: 'https://x.com/a.zip' });
+        t.equals(urls.describe({ type: 'http', data: 'not a url' }), null);
+        t.end();
+
+    });
+
+});
+
+tape('urls http tests', (test) => {
+    startHTTPServer((server, base, state) => {
+        const options = { timeout: 200, retries: 1 };
+
+        test.test('reachable data should be ok', (t) => {
+            urls.probe({ type: 'http', data: `${base}/data.zip` }, options, result => {
+                t.deepEquals(result, { ok: true, protocol: 'http', url: `${base}/data.zip`, status: 200, error: undefined, attempts: 1 });
+                t.end();
+            });
+
+        });
+
+        test.test('missing data should not be retried', (t) => {
+            urls.probe({ type: 'http', data: `${base}/missing.zip` }, options, result => {
+                t.equals(result.ok, false);
+                t.equals(result.error, 'HTTP 404');
+                t.equals(result.attempts, 1);
+                t.end();
+            });
+
+        });
+
+        test.test('server errors should be retried', (t) => {
+            urls.probe({ type: 'http', data: `${base}/flaky.zip` }, options, result => {
+                t.equals(result.ok, true);
+                t.equals(result.attempts, 2);
+
+                urls.probe({ type: 'http', data: `${base}/unavailable.zip` }, options, result => {
+                    t.equals(result.ok, false);
+                    t.equals(result.error, 'HTTP 503');
+                    t.equals(result.attempts, 2);
+                    t.end();
+                });
+            });
+
+        });
+
+        test.test('unresponsive server should time out', (t) => {
+            urls.probe({ type: 'http', data: `${base}/hang.zip` }, { timeout: 50, retries: 0 }, result => {
+                t.equals(result.ok, false);
+                t.equals(result.error, 'timed out');
+                t.end();
+            });
+
+        });
+
+        test.test('ESRI layer should be described as JSON', (t) => {
+            urls.probe({ type: 'ESRI', data: `${base}/MapServer/0` }, options, result => {
+                t.equals(result.ok, true);
+                t.equals(result.url, `${base}/MapServer/0?f=json`);
+
+                urls.probe({ type: 'ESRI', data: `${base}/MapServer/9` }, options, result => {
+                    t.equals(result.ok, false);
+                    t.equals(result.error, 'ESRI error 400: Invalid or missing input parameters.');
+                    t.end();
+                });
+            });
+
+        });
+
+        test.test('check should limit concurrency and keep the order of sources', (t) => {
+            const entries = ['slow', 'slow', 'missing', 'slow', 'slow', 'slow'].map((name, index) => {
+                return { file: `sources/xx/${index}.json`, source: { type: 'http', data: `${base}/${name}.zip`, skip: index === 2 } };
+            });
+
+            state.maxActive = 0;
+
+            urls.check(entries, { concurrency: 2, timeout: 1000 }, results => {
+                t.deepEquals(results.map(result => result.file), entries.map(entry => entry.file));
+                t.deepEquals(results.map(result => result.ok), [true, true, false, true, true, true]);
+                t.equals(results[2].skip, true);
+                t.ok(state.maxActive <= 2, `at most 2 requests at a time, got ${state.maxActive}`);
+                t.end();
+            });
+
+        });
+
+        test.test('close http server', (t) => {
+            server.close();
+            t.end();
+        });
+
+    });
+
+});
+
+tape('urls ftp tests', (test) => {
+    startFTPServer((server, base) => {
+        const options = { timeout: 1000, retries: 0 };
+
+        test.test('existing file should be ok', (t) => {
+            urls.probe({ type: 'ftp', data: `${base}/pub/addresses.zip` }, options, result => {
+                t.equals(result.ok, true);
+                t.equals(result.status, 213);
+                t.end();
+            });
+
+        });
+
+        test.test('existing directory should be ok', (t) => {
+            urls.probe({ type: 'ftp', data: `${base}/pub` }, options, result => {
+                t.equals(result.ok, true);
+                t.equals(result.status, 250);
+                t.end();
+            });
+
+        });
+
+        test.test('missing file should not be ok', (t) => {
+            urls.probe({ type: 'ftp', data: `${base}/pub/missing.zip` }, options, result => {
+                t.equals(result.ok, false);
+                t.equals(result.error, 'FTP 550 no such directory');
+                t.end();
+            });
+
+        });
+
+        test.test('close ftp server', (t) => {
+            server.close();
+            t.end();
+        });
+
+    });
+
+});
+
+tape('urls report tests', (test) => {
+    test.test('markdown should list broken sources', (t) => {
+        t.equals(urls.toMarkdown([
+            { file: 'sources/xx/a.json', ok: true },
+            { file: 'sources/xx/b.json', ok: false, skip: true, url: 'http://x.com/b.zip', error: 'HTTP 404', attempts: 1 }
+        ]), [
+            '# Data URL report',
+            '',
+            '1 of 2 source(s) could not be reached.',
+            '',
+            'Source | URL | Error | Attempts',
+            '------ | --- | ----- | --------',
+            'sources/xx/b.json (skipped) | http://x.com/b.zip | HTTP 404 | 1',
+            ''
+        ].join('\n'));
+        t.end();
+
+    });
+
+});
@@ -0,0 +1,100 @@
+const tape = require('tape');
+const topojson = require('topojson-client');
+const usCensus = require('../lib/us_census');
+
+tape('US Census resolve tests', (test) => {
+    test.test('level should follow the length of the geoid', (t) => {
+        t.equals(usCensus.level('06'), 'state');
+        t.equals(usCensus.level('06075'), 'county');
+        t.equals(usCensus.level('0667000'), 'place');
+        t.equals(usCensus.level('0607'), undefined);
+        t.equals(usCensus.level('CA'), undefined);
+        t.end();
+
+    });
+
+    test.test('state and county geoids should resolve to their boundary', (t) => {
+        const state = usCensus.resolve('06');
+        const county = usCensus.resolve('06075');
+
+        t.ok(/Polygon$/.test(state.type), `state should be a polygon, got ${state.type}`);
+        t.ok(/Polygon$/.test(county.type), `county should be a polygon, got ${county.type}`);
+        t.end();
+
+    });
+
+    test.test('unknown geoids should not resolve', (t) => {
+        t.equals(usCensus.resolve('99'), null);
+        t.equals(usCensus.resolve('06999'), null);
+        t.equals(usCensus.resolve('06'.repeat(3)), null);
+        t.equals(usCensus.resolve(undefined), null);
+        t.end();
+
+    });
+
+});
+
+tape('US Census check tests', (test) => {
+    const source = geoid => ({ coverage: { country: 'us', 'US Census': { geoid: geoid } } });
+
+    test.test('known geoids should not fail', (t) => {
+        t.deepEquals(usCensus.check(source('53')), []);
+        t.deepEquals(usCensus.check(source('53033')), []);
+        t.deepEquals(usCensus.check({ coverage: { country: 'us' } }), []);
+        t.end();
+
+    });
+
+    test.test('unknown geoids should fail', (t) => {
+        t.deepEquals(usCensus.check(source('99')), ['coverage["US Census"].geoid "99" does not match any state']);
+        t.deepEquals(usCensus.check(source('53999')), ['coverage["US Census"].geoid "53999" does not match any county']);
+        t.end();
+
+    });
+
+    test.test('place geoids should be checked against their state', (t) => {
+        t.equals(usCensus.hasLevel('place'), false);
+        t.deepEquals(usCensus.check(source('5363000')), []);
+        t.deepEquals(usCensus.check(source('9963000')), ['coverage["US Census"].geoid "9963000" is in unknown state "99"']);
+        t.end();
+
+    });
+
+    test.test('place geoids should warn that they are only checked against their state', (t) => {
+        t.deepEquals(usCensus.warnings(source('5363000')), [
+            'coverage["US Census"].geoid "5363000" is only checked against its state since place boundaries aren\'t bundled, see scripts/build-us-places.js'
+        ]);
+        t.deepEquals(usCensus.warnings(source('53033')), []);
+        t.deepEquals(usCensus.warnings({ coverage: { country: 'us' } }), []);
+        t.end();
+
+    });
+
+});
+
+tape('US Census place boundary tests', (test) => {
+    test.test('places should be added alongside the existing boundaries', (t) => {
+        const boundaries = require('../lib/us_boundaries.json');
+        const seattle = {
+            type: 'Feature',
+            properties: { GEOID: '5363000', NAME: 'Seattle' },
+            geometry: {
+                type: 'Polygon',
+                coordinates: [[[-122.44, 47.5], [-122.24, 47.5], [-122.24, 47.73], [-122.44, 47.73], [-122.44, 47.5]]]
+            }
+        };
+
+        const built = usCensus.addPlaces(boundaries, [seattle]);
+        const place = built.objects.places.geometries[0];
+
+        t.deepEquals(built.objects.places.geometries.map(geometry => geometry.id), ['5363000']);
+        t.deepEquals(place.properties, { name: 'Seattle' });
+        t.equals(built.objects.counties.geometries.length, boundaries.objects.counties.geometries.length);
+        t.equals(built.objects.states.geometries.length, boundaries.objects.states.geometries.length);
+        t.equals(topojson.feature(built, place).geometry.type, 'Polygon');
+        t.notOk(boundaries.objects.places, 'the boundaries passed in should not be modified');
+        t.end();
+
+    });
+
+});
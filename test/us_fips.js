@@ -0,0 +1,193 @@
+const tape = require('tape');
+const usFips = require('../lib/us_fips');
+
+// a US source covering `coverage` with a `US Census` block
+function source(census, coverage) {
+    return { coverage: Object.assign({ country: 'us', 'US Census': census }, coverage) };
+}
+
+tape('US FIPS name tests', (test) => {
+    test.test('spelling variations of county names should match', (t) => {
+        t.ok(usFips.sameCounty('St. Mary\'s County', 'Saint Marys'));
+        t.ok(usFips.sameCounty('Doña Ana County', 'Dona Ana'));
+        t.ok(usFips.sameCounty('James City County', 'James City'));
+        t.ok(usFips.sameCounty('Miami-Dade County', 'Miami Dade'));
+        t.ok(usFips.sameCounty('Baltimore city', 'Baltimore'));
+        t.notOk(usFips.sameCounty('James City County', 'James'));
+        t.notOk(usFips.sameCounty('Bibb County', 'Macon-Bibb'));
+        t.end();
+
+    });
+
+    test.test('names of places should match without the kind of place', (t) => {
+        t.ok(usFips.samePlace('City of Auburn', 'Auburn'));
+        t.ok(usFips.samePlace('Auburn city', 'auburn'));
+        t.ok(usFips.samePlace('Town of Avon', 'Avon town'));
+        t.ok(usFips.samePlace('Juneau city and borough', 'Juneau'));
+        t.notOk(usFips.samePlace('City of Sunnyvale', 'Mountain View'));
+        t.end();
+
+    });
+
+    test.test('national_places.txt should be read into names by geoid', (t) => {
+        const text = [
+            'STATE|STATEFP|PLACEFP|PLACENAME|TYPE|FUNCSTAT|COUNTY',
+            'CA|06|77000|Sunnyvale city|Incorporated Place|A|Santa Clara County',
+            'DE|10|50670|Newark city|Incorporated Place|A|New Castle County',
+            ''
+        ].join('\r\n');
+
+        t.deepEquals(usFips.parsePlaces(text), { '0677000': 'Sunnyvale city', '1050670': 'Newark city' });
+        t.end();
+
+    });
+
+    test.test('lookup should return the level and official names of a geoid', (t) => {
+        t.deepEquals(usFips.lookup('29'), { level: 'state', state: 'Missouri', name: 'Missouri' });
+        t.deepEquals(usFips.lookup('29510'), { level: 'county', state: 'Missouri', name: 'St. Louis city' });
+        t.deepEquals(usFips.lookup('2965000'), { level: 'place', state: 'Missouri', name: undefined });
+        t.equals(usFips.lookup('29999'), null);
+        t.equals(usFips.lookup('99'), null);
+        t.end();
+
+    });
+
+});
+
+tape('US FIPS check tests', (test) => {
+    test.test('consistent blocks should not fail', (t) => {
+        t.deepEquals(usFips.check(source({ geoid: '51', state: 'Virginia' }, { state: 'va' })), []);
+        t.deepEquals(usFips.check(source({ geoid: '51095', name: 'James City County', state: 'Virginia' }, { state: 'va', county: 'James City' })), []);
+        t.deepEquals(usFips.check(source({ geoid: '51760', name: 'Richmond city', state: 'Virginia' }, { state: 'va', city: 'Richmond' })), []);
+        t.deepEquals(usFips.check(source({ geoid: '1342425', name: 'City of Johns Creek', state: 'Georgia' }, { state: 'ga', city: 'Johns Creek' })), []);
+        t.deepEquals(usFips.check({ coverage: { country: 'us', state: 'va' } }), []);
+        t.deepEquals(usFips.check(source({ geoid: '29213', name: 'Taney County', state: 'Missouri' }, { state: 'Missouri', county: 'Taney' })), [], 'state names should match');
+        t.end();
+
+    });
+
+    test.test('geoid in another state should fail', (t) => {
+        t.deepEquals(usFips.check(source({ geoid: '22125', name: 'West Feliciana Parish', state: 'Louisiana' }, { state: 'ms', county: 'West Feliciana' })), [
+            'coverage.state "ms" does not match coverage["US Census"].geoid "22125" in Louisiana'
+        ]);
+        t.end();
+
+    });
+
+    test.test('place geoid of another city should fail', (t) => {
+        t.deepEquals(usFips.check(source({ geoid: '0677000', name: 'City of Sunnyvale', state: 'California' }, { state: 'ca', city: 'Mountain View' })), [
+            'coverage.city "Mountain View" does not match coverage["US Census"].geoid "0677000" City of Sunnyvale'
+        ]);
+        t.end();
+
+    });
+
+    test.test('place names should warn that they are not checked', (t) => {
+        t.deepEquals(usFips.warnings(source({ geoid: '0677000', name: 'City of Sunnyvale', state: 'California' }, { state: 'ca', city: 'Sunnyvale' })), [
+            'coverage["US Census"].name of geoid "0677000" isn\'t checked since place names aren\'t bundled, see scripts/build-us-fips-places.js'
+        ]);
+        t.deepEquals(usFips.warnings(source({ geoid: '29213', name: 'Taney County', state: 'Missouri' }, { state: 'mo' })), []);
+        t.deepEquals(usFips.warnings({ coverage: { country: 'us', state: 'va' } }), []);
+        t.end();
+
+    });
+
+    test.test('place names should be official once they are bundled', (t) => {
+        const fips = require('../lib/us_fips.json');
+
+        fips.places = { '0677000': 'Sunnyvale city' };
+
+        t.deepEquals(usFips.lookup('0677000'), { level: 'place', state: 'California', name: 'Sunnyvale city' });
+        t.equals(usFips.lookup('0677001'), null);
+        t.deepEquals(usFips.check(source({ geoid: '0677000', name: 'City of Sunnyvale', state: 'California' }, { state: 'ca', city: 'Sunnyvale' })), [
+            'coverage["US Census"].name should be "Sunnyvale city", not "City of Sunnyvale"'
+        ]);
+        t.deepEquals(usFips.migrate({ coverage: { country: 'us', state: 'ca', city: 'Sunnyvale' } }).coverage['US Census'], {
+            geoid: '0677000',
+            name: 'Sunnyvale city',
+            state: 'California'
+        });
+        t.deepEquals(usFips.warnings(source({ geoid: '0677000', name: 'Sunnyvale city', state: 'California' })), []);
+
+        delete fips.places;
+        t.end();
+
+    });
+
+    test.test('geoid of another county should fail', (t) => {
+        t.deepEquals(usFips.check(source({ geoid: '42027', name: 'Centre County', state: 'Pennsylvania' }, { state: 'pa', county: 'Dauphin' })), [
+            'coverage.county "Dauphin" does not match coverage["US Census"].geoid "42027" Centre County'
+        ]);
+        t.end();
+
+    });
+
+    test.test('unofficial or missing names should fail', (t) => {
+        t.deepEquals(usFips.check(source({ geoid: '24510', name: 'City of Baltimore', state: 'md' }, { state: 'md', city: 'Baltimore' })), [
+            'coverage["US Census"].name should be "Baltimore city", not "City of Baltimore"',
+            'coverage["US Census"].state should be "Maryland", not "md"'
+        ]);
+        t.deepEquals(usFips.check(source({ geoid: '29213' }, { state: 'mo', county: 'Taney County' })), [
+            'coverage["US Census"].name should be "Taney County"',
+            'coverage["US Census"].state should be "Missouri"'
+        ]);
+        t.end();
+
+    });
+
+    test.test('unknown geoids should fail', (t) => {
+        t.deepEquals(usFips.check(source({ geoid: '06999' }, { state: 'ca' })), [
+            'coverage["US Census"].geoid "06999" is not a known state, county or place FIPS code'
+        ]);
+        t.end();
+
+    });
+
+});
+
+tape('US FIPS migrate tests', (test) => {
+    test.test('county sources should get a block', (t) => {
+        t.deepEquals(usFips.migrate({ coverage: { country: 'us', state: 'mo', county: 'Saint Louis' } }).coverage['US Census'], {
+            geoid: '29189',
+            name: 'St. Louis County',
+            state: 'Missouri'
+        });
+        t.end();
+
+    });
+
+    test.test('independent city sources should get a block', (t) => {
+        t.deepEquals(usFips.migrate({ coverage: { country: 'us', state: 'va', city: 'Lynchburg' } }).coverage['US Census'], {
+            geoid: '51680',
+            name: 'Lynchburg city',
+            state: 'Virginia'
+        });
+        t.end();
+
+    });
+
+    test.test('other sources should not get a block', (t) => {
+        t.deepEquals(usFips.migrate({ coverage: { country: 'us', state: 'ca', city: 'Irvine' } }).coverage, { country: 'us', state: 'ca', city: 'Irvine' });
+        t.deepEquals(usFips.migrate({ coverage: { country: 'us', state: 'ct', county: 'Fairfield', city: 'Stamford' } }).coverage['US Census'], undefined);
+        t.deepEquals(usFips.migrate({ coverage: { country: 'us', state: 'tx', county: 'Cooke,Fannin,Grayson' } }).coverage['US Census'], undefined);
+        t.deepEquals(usFips.migrate({ coverage: { country: 'ca', province: 'on' } }).coverage, { country: 'ca', province: 'on' });
+        t.end();
+
+    });
+
+    test.test('names of existing blocks should be made official', (t) => {
+        t.deepEquals(usFips.migrate(source({ geoid: '12027', name: 'Desoto County', state: 'fl' }, { state: 'fl', county: 'Desoto' })).coverage['US Census'], {
+            geoid: '12027',
+            name: 'DeSoto County',
+            state: 'Florida'
+        });
+        t.deepEquals(usFips.migrate(source({ geoid: '1342425', name: 'City of Johns Creek', state: 'ga' }, { state: 'ga' })).coverage['US Census'], {
+            geoid: '1342425',
+            name: 'City of Johns Creek',
+            state: 'Georgia'
+        });
+        t.end();
+
+    });
+
+});